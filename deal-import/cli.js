@@ -0,0 +1,170 @@
+// Command-line options, output and exit codes for import-deals.js and export-deals.js,
+// kept apart from the database work so cron jobs get the same behavior every time.
+
+const os = require('os');
+const { parseArgs } = require('util');
+const { POS_SCHEMAS } = require('./posCsv');
+
+const TABLES = POS_SCHEMAS.map(schema => schema.table);
+
+// Exit codes a caller (e.g. the nightly POS export job) can react to
+const EXIT_CODES = {
+  ok: 0,
+  failed: 1,          // nothing was imported: database, credentials or unreadable CSV
+  usage: 2,           // bad command-line options
+  rejectedRows: 3,    // imported, but some rows failed validation (see the report)
+  overThreshold: 4    // --dry-run: the import would remove more than --max-removals
+};
+
+const USAGE = `Usage: node import-deals.js [options]
+
+Imports the POS deal exports (${POS_SCHEMAS.map(s => s.file).join(', ')})
+into Supabase as one batch.
+
+Options:
+  -d, --dir <path>          Directory with the CSV files (default: .)
+  -s, --store <list>        Only these stores, e.g. --store 301,401 (default: all in the files)
+  -t, --tables <list>       Only these tables (default: all): ${TABLES.join(', ')}
+      --dry-run             Show what would change instead of importing
+      --max-removals <n>    With --dry-run, fail if more than n combos would end early or
+                            combo lines / mix PLUs would be removed (default: 10)
+      --rollback            Undo the last import instead of importing
+      --report-dir <path>   Where rejected-rows reports go (default: ./import-reports)
+      --run-by <name>       Who is running the import, for the import history
+                            (default: $DEAL_IMPORT_RUN_BY, or user@host)
+  -v, --verbose             Also list every rejected row and record counts per store
+  -q, --quiet               Only print warnings and errors
+      --json                Print a JSON summary on stdout (other output goes to stderr)
+  -h, --help                Show this help
+
+Environment (or .env): REACT_APP_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+
+Exit codes:
+  ${EXIT_CODES.ok}  success
+  ${EXIT_CODES.failed}  failed, nothing was imported
+  ${EXIT_CODES.usage}  bad options
+  ${EXIT_CODES.rejectedRows}  imported, but some rows were rejected
+  ${EXIT_CODES.overThreshold}  dry run found more removals than --max-removals`;
+
+const EXPORT_USAGE = `Usage: node export-deals.js [options]
+
+Writes the deals in Supabase back out as POS files (${POS_SCHEMAS.map(s => s.file).join(', ')}),
+in the same format import-deals.js reads.
+
+Options:
+  -d, --dir <path>          Directory to write the CSV files to (default: ./pos-export)
+  -s, --store <list>        Only these stores, e.g. --store 301,401 (default: all)
+  -t, --tables <list>       Only these tables (default: all): ${TABLES.join(', ')}
+  -v, --verbose             Also print row counts per store
+  -q, --quiet               Only print warnings and errors
+      --json                Print a JSON summary on stdout (other output goes to stderr)
+  -h, --help                Show this help
+
+Environment (or .env): REACT_APP_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+
+Exit codes:
+  ${EXIT_CODES.ok}  success
+  ${EXIT_CODES.failed}  failed
+  ${EXIT_CODES.usage}  bad options`;
+
+const usageError = (message) => Object.assign(new Error(message), { code: 'usage' });
+
+const parseList = (value, name, parse) => value.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+  const parsed = parse(item);
+  if (parsed === undefined) throw usageError(`${name}: "${item}" is not valid`);
+  return parsed;
+});
+
+const parseStoreNumber = (item) => (/^\d+$/.test(item) && parseInt(item, 10) > 0 ? parseInt(item, 10) : undefined);
+const parseTable = (item) => (TABLES.includes(item) ? item : undefined);
+
+// Options both commands take
+const COMMON_OPTIONS = {
+  store: { type: 'string', short: 's' },
+  tables: { type: 'string', short: 't' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  quiet: { type: 'boolean', short: 'q', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const parseOptions = (argv, options) => {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: { ...COMMON_OPTIONS, ...options } }));
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  if (values.verbose && values.quiet) {
+    throw usageError('--verbose and --quiet cannot be used together');
+  }
+  return values;
+};
+
+const commonResult = (values) => ({
+  stores: values.store ? parseList(values.store, '--store', parseStoreNumber) : null,
+  tables: values.tables ? parseList(values.tables, '--tables', parseTable) : TABLES,
+  verbose: values.verbose,
+  quiet: values.quiet,
+  json: values.json,
+  help: values.help
+});
+
+// argv without node and the script path. Throws a usage error (err.code === 'usage').
+const parseImportArgs = (argv) => {
+  const values = parseOptions(argv, {
+    dir: { type: 'string', short: 'd', default: '.' },
+    'dry-run': { type: 'boolean', default: false },
+    'max-removals': { type: 'string', default: '10' },
+    rollback: { type: 'boolean', default: false },
+    'report-dir': { type: 'string', default: './import-reports' },
+    'run-by': { type: 'string' }
+  });
+
+  if (!/^\d+$/.test(values['max-removals'])) {
+    throw usageError(`--max-removals: "${values['max-removals']}" is not a whole number`);
+  }
+  if (values.rollback && (values['dry-run'] || values.store || values.tables)) {
+    throw usageError('--rollback undoes the whole last import; it cannot be combined with --dry-run, --store or --tables');
+  }
+
+  return {
+    ...commonResult(values),
+    dir: values.dir,
+    dryRun: values['dry-run'],
+    maxRemovals: parseInt(values['max-removals'], 10),
+    rollback: values.rollback,
+    reportDir: values['report-dir'],
+    runBy: values['run-by'] || process.env.DEAL_IMPORT_RUN_BY || `${os.userInfo().username}@${os.hostname()}`
+  };
+};
+
+// Same conventions as parseImportArgs
+const parseExportArgs = (argv) => {
+  const values = parseOptions(argv, {
+    dir: { type: 'string', short: 'd', default: './pos-export' }
+  });
+  return { ...commonResult(values), dir: values.dir };
+};
+
+// info: normal progress, detail: --verbose only, warn/error: always (stderr).
+// With --json, stdout is kept for the summary, so progress goes to stderr.
+const createLogger = ({ verbose, quiet, json }, stream = { out: console.log, err: console.error }) => {
+  const progress = json ? stream.err : stream.out;
+  return {
+    info: (...args) => { if (!quiet) progress(...args); },
+    detail: (...args) => { if (verbose) progress(...args); },
+    warn: (...args) => stream.err(...args),
+    error: (...args) => stream.err(...args)
+  };
+};
+
+module.exports = {
+  TABLES,
+  EXIT_CODES,
+  USAGE,
+  EXPORT_USAGE,
+  parseImportArgs,
+  parseExportArgs,
+  createLogger
+};
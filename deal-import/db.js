@@ -0,0 +1,42 @@
+// Supabase access shared by import-deals.js and export-deals.js
+
+const { createClient } = require('@supabase/supabase-js');
+
+// The scripts run with the service role key: deal_import_batches and the functions
+// that activate and roll back batches are closed to the anon and signed-in roles.
+// The key has no REACT_APP_ prefix so the app build can never pick it up.
+const createDealsClient = () => {
+  const supabaseUrl = process.env.REACT_APP_SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('REACT_APP_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set (e.g. in .env)');
+  }
+  return createClient(supabaseUrl, supabaseKey);
+};
+
+// All rows of a query, a page at a time (the API caps each select)
+const fetchAllPages = async (buildQuery) => {
+  const PAGE_SIZE = 1000;
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+};
+
+// Current rows of a deal table (a posCsv schema), in key order, for the given stores or
+// every store when storeNumbers is null
+const fetchDealRows = (supabase, schema, storeNumbers = null) => fetchAllPages(() => {
+  let query = supabase.from(schema.table).select('*');
+  if (storeNumbers) query = query.in('store_number', storeNumbers);
+  schema.key.forEach(column => { query = query.order(column); });
+  return query;
+});
+
+module.exports = {
+  createDealsClient,
+  fetchAllPages,
+  fetchDealRows
+};
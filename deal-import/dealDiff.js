@@ -0,0 +1,201 @@
+// Compares validated POS records (see posCsv.js) with what's currently in the deal
+// tables, per store, so an import can be previewed before it writes anything.
+//
+// The importer upserts combo_master and mix_master rows and replaces the combo_detail
+// lines of every combo in the export and the mix_detail PLUs of every mix in the export.
+// So only those combos and mixes can lose lines or PLUs; anything the export doesn't
+// mention is left as is and only listed.
+
+const comboKey = (row) => `${row.store_number}|${row.combo_number}`;
+const mixKey = (row) => `${row.store_number}|${row.mix_number}`;
+
+const groupBy = (rows, keyOf) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+};
+
+// Database numerics can come back as strings; compare money in whole cents
+const cents = (value) => Math.round(Number(value || 0) * 100);
+const rate = (value) => Math.round(Number(value || 0) * 10000);
+
+const endsAt = (combo) => `${combo.end_date} ${String(combo.end_time).padStart(4, '0')}`;
+
+// Line fields that change what a customer pays, with how to compare them
+const LINE_PRICE_FIELDS = [
+  ['price', cents],
+  ['discount_amount', cents],
+  ['percentage', rate]
+];
+
+const emptyStoreDiff = (storeNumber) => ({
+  storeNumber,
+  newCombos: [],
+  endedCombos: [],
+  priceChanges: [],
+  removedComboLines: [],
+  mixChanges: [],
+  untouchedCombos: []
+});
+
+// current / incoming: { combo_master, combo_detail, mix_master, mix_detail } row arrays.
+// Returns { stores: [per-store diff], destructive: { endedCombos, removedComboLines, removedPlus, total } }
+const diffDeals = (current, incoming) => {
+  const stores = new Map();
+  const storeDiff = (storeNumber) => {
+    if (!stores.has(storeNumber)) stores.set(storeNumber, emptyStoreDiff(storeNumber));
+    return stores.get(storeNumber);
+  };
+
+  // Combos
+  const currentCombos = new Map(current.combo_master.map(c => [comboKey(c), c]));
+  const incomingCombos = new Map(incoming.combo_master.map(c => [comboKey(c), c]));
+
+  incoming.combo_master.forEach(combo => {
+    const existing = currentCombos.get(comboKey(combo));
+    const diff = storeDiff(combo.store_number);
+
+    if (!existing) {
+      diff.newCombos.push(combo);
+      return;
+    }
+    if (endsAt(combo) < endsAt(existing)) {
+      diff.endedCombos.push({ combo, was: existing });
+    }
+    if (cents(combo.combo_price) !== cents(existing.combo_price)) {
+      diff.priceChanges.push({
+        combo_number: combo.combo_number,
+        description: combo.description,
+        field: 'combo_price',
+        from: Number(existing.combo_price),
+        to: combo.combo_price
+      });
+    }
+  });
+
+  current.combo_master
+    .filter(combo => !incomingCombos.has(comboKey(combo)))
+    .forEach(combo => storeDiff(combo.store_number).untouchedCombos.push(combo));
+
+  // Combo lines, for combos whose lines the import replaces
+  const currentLines = groupBy(current.combo_detail, comboKey);
+  const incomingLines = groupBy(incoming.combo_detail, comboKey);
+
+  incomingLines.forEach((lines, key) => {
+    const existingLines = currentLines.get(key) || [];
+    const { store_number: storeNumber, combo_number: comboNumber } = lines[0];
+    const diff = storeDiff(storeNumber);
+    const description = (incomingCombos.get(key) || currentCombos.get(key) || {}).description;
+
+    existingLines.forEach(existing => {
+      const line = lines.find(l => l.sequence === existing.sequence);
+      if (!line) {
+        diff.removedComboLines.push({ combo_number: comboNumber, description, line: existing });
+        return;
+      }
+      LINE_PRICE_FIELDS.forEach(([field, normalize]) => {
+        if (normalize(line[field]) !== normalize(existing[field])) {
+          diff.priceChanges.push({
+            combo_number: comboNumber,
+            description,
+            sequence: line.sequence,
+            field,
+            from: Number(existing[field] || 0),
+            to: line[field]
+          });
+        }
+      });
+    });
+  });
+
+  // Mix PLUs, for mixes whose PLUs the import replaces
+  const currentPlus = groupBy(current.mix_detail, mixKey);
+  const incomingPlus = groupBy(incoming.mix_detail, mixKey);
+  const mixNames = new Map([...current.mix_master, ...incoming.mix_master].map(m => [mixKey(m), m.description]));
+
+  incomingPlus.forEach((rows, key) => {
+    const before = new Set((currentPlus.get(key) || []).map(r => Number(r.plu)));
+    const after = new Set(rows.map(r => r.plu));
+    const added = [...after].filter(plu => !before.has(plu)).sort((a, b) => a - b);
+    const removed = [...before].filter(plu => !after.has(plu)).sort((a, b) => a - b);
+
+    if (added.length || removed.length) {
+      storeDiff(rows[0].store_number).mixChanges.push({
+        mix_number: rows[0].mix_number,
+        description: mixNames.get(key),
+        isNew: before.size === 0,
+        added,
+        removed
+      });
+    }
+  });
+
+  const storeDiffs = [...stores.values()].sort((a, b) => a.storeNumber - b.storeNumber);
+  const sum = (pick) => storeDiffs.reduce((total, diff) => total + pick(diff), 0);
+  const destructive = {
+    endedCombos: sum(d => d.endedCombos.length),
+    removedComboLines: sum(d => d.removedComboLines.length),
+    removedPlus: sum(d => d.mixChanges.reduce((total, m) => total + m.removed.length, 0))
+  };
+  destructive.total = destructive.endedCombos + destructive.removedComboLines + destructive.removedPlus;
+
+  return { stores: storeDiffs, destructive };
+};
+
+const money = (value) => `$${Number(value).toFixed(2)}`;
+const percent = (value) => `${Math.round(Number(value) * 10000) / 100}%`;
+
+const FIELD_LABELS = {
+  combo_price: ['combo price', money],
+  price: ['price', money],
+  discount_amount: ['discount', money],
+  percentage: ['percent off', percent]
+};
+
+const comboLabel = (comboNumber, description) => `Combo ${comboNumber}${description ? ` ${description}` : ''}`;
+
+const hasChanges = (diff) => diff.newCombos.length || diff.endedCombos.length || diff.priceChanges.length ||
+  diff.removedComboLines.length || diff.mixChanges.length;
+
+// Readable, per-store text version of a diffDeals() result
+const formatDealDiff = ({ stores }) => {
+  const out = [];
+
+  stores.forEach(diff => {
+    if (!hasChanges(diff) && !diff.untouchedCombos.length) return;
+    out.push(`Store ${diff.storeNumber}`);
+
+    diff.newCombos.forEach(c => {
+      out.push(`  + ${comboLabel(c.combo_number, c.description)} (${c.start_date} → ${c.end_date})`);
+    });
+    diff.endedCombos.forEach(({ combo, was }) => {
+      out.push(`  - ${comboLabel(combo.combo_number, combo.description)} ends ${combo.end_date} ${combo.end_time} (was ${was.end_date} ${was.end_time})`);
+    });
+    diff.priceChanges.forEach(change => {
+      const [label, show] = FIELD_LABELS[change.field];
+      const where = change.sequence ? ` line ${change.sequence}` : '';
+      out.push(`  $ ${comboLabel(change.combo_number, change.description)}${where}: ${label} ${show(change.from)} → ${show(change.to)}`);
+    });
+    diff.removedComboLines.forEach(({ combo_number: comboNumber, description, line }) => {
+      out.push(`  x ${comboLabel(comboNumber, description)} line ${line.sequence} (${line.type}) removed`);
+    });
+    diff.mixChanges.forEach(mix => {
+      const plus = [...mix.added.map(plu => `+${plu}`), ...mix.removed.map(plu => `-${plu}`)];
+      out.push(`  ${mix.isNew ? '+' : '~'} Mix ${mix.mix_number}${mix.description ? ` ${mix.description}` : ''}: ${plus.join(', ')}`);
+    });
+    diff.untouchedCombos.forEach(c => {
+      out.push(`  · ${comboLabel(c.combo_number, c.description)} is not in the export (left as is)`);
+    });
+  });
+
+  return out.length ? out.join('\n') : 'No changes.';
+};
+
+module.exports = {
+  diffDeals,
+  formatDealDiff
+};
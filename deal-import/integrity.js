@@ -0,0 +1,116 @@
+// Cross-checks the four deal tables against each other and against the product
+// catalog, per store. None of these problems stop an import, but each one is a deal
+// (or part of one) that can never fire in the app:
+//   orphanedCombos   - combo with no combo_detail lines
+//   orphanedLines    - combo_detail lines for a combo that isn't in combo_master
+//   missingMixes     - M lines pointing at a mix that isn't in mix_master
+//   emptyMixes       - mixes with no PLUs in mix_detail
+//   unknownPlus      - PLUs (mix_detail or P lines) that aren't in products
+//   unstockedPlus    - PLUs in products that the store doesn't carry (store_products)
+// PLU numbers are product IDs, and store_products.store_id is the store number.
+
+const ISSUE_TYPES = ['orphanedCombos', 'orphanedLines', 'missingMixes', 'emptyMixes', 'unknownPlus', 'unstockedPlus'];
+
+const byStore = (rows) => {
+  const stores = new Map();
+  rows.forEach(row => {
+    if (!stores.has(row.store_number)) stores.set(row.store_number, []);
+    stores.get(row.store_number).push(row);
+  });
+  return stores;
+};
+
+const uniqueSorted = (values) => [...new Set(values)].sort((a, b) => a - b);
+
+// deals:   { combo_master, combo_detail, mix_master, mix_detail } rows (what the tables
+//          will hold for the stores being imported)
+// catalog: { productIds: [product id], storeProducts: [{ store_id, product_id }] }
+// Returns { stores: [{ storeNumber, ...issue lists }], total }
+const checkDealIntegrity = (deals, catalog) => {
+  const productIds = new Set(catalog.productIds.map(Number));
+  const stocked = new Map();
+  catalog.storeProducts.forEach(sp => {
+    const storeId = Number(sp.store_id);
+    if (!stocked.has(storeId)) stocked.set(storeId, new Set());
+    stocked.get(storeId).add(Number(sp.product_id));
+  });
+
+  const tables = Object.fromEntries(Object.entries(deals).map(([table, rows]) => [table, byStore(rows)]));
+  const storeNumbers = uniqueSorted(Object.values(deals).flat().map(row => row.store_number));
+
+  const stores = storeNumbers.map(storeNumber => {
+    const combos = tables.combo_master.get(storeNumber) || [];
+    const lines = tables.combo_detail.get(storeNumber) || [];
+    const mixes = tables.mix_master.get(storeNumber) || [];
+    const mixPlus = tables.mix_detail.get(storeNumber) || [];
+    const storeStock = stocked.get(storeNumber) || new Set();
+
+    const comboNumbers = new Set(combos.map(c => c.combo_number));
+    const linedCombos = new Set(lines.map(l => l.combo_number));
+    const mixNumbers = new Set(mixes.map(m => m.mix_number));
+    const filledMixes = new Set(mixPlus.map(md => md.mix_number));
+
+    // Every PLU the store's deals refer to, with where it came from
+    const pluRefs = [
+      ...mixPlus.map(md => ({ plu: Number(md.plu), source: `mix ${md.mix_number}` })),
+      ...lines.filter(l => l.type === 'P' && l.plu_number).map(l => ({ plu: Number(l.plu_number), source: `combo ${l.combo_number}` }))
+    ];
+    const pluIssues = (isIssue) => {
+      const sources = new Map();
+      pluRefs.filter(ref => isIssue(ref.plu)).forEach(ref => {
+        if (!sources.has(ref.plu)) sources.set(ref.plu, new Set());
+        sources.get(ref.plu).add(ref.source);
+      });
+      return [...sources.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([plu, from]) => ({ plu, usedBy: [...from] }));
+    };
+
+    return {
+      storeNumber,
+      orphanedCombos: combos
+        .filter(c => !linedCombos.has(c.combo_number))
+        .map(c => ({ combo_number: c.combo_number, description: c.description })),
+      orphanedLines: uniqueSorted(lines.filter(l => !comboNumbers.has(l.combo_number)).map(l => l.combo_number))
+        .map(comboNumber => ({ combo_number: comboNumber, lines: lines.filter(l => l.combo_number === comboNumber).length })),
+      missingMixes: uniqueSorted(lines.filter(l => l.type === 'M' && l.mix_number && !mixNumbers.has(l.mix_number)).map(l => l.mix_number))
+        .map(mixNumber => ({
+          mix_number: mixNumber,
+          usedBy: uniqueSorted(lines.filter(l => l.mix_number === mixNumber).map(l => l.combo_number))
+        })),
+      emptyMixes: mixes
+        .filter(m => !filledMixes.has(m.mix_number))
+        .map(m => ({ mix_number: m.mix_number, description: m.description })),
+      unknownPlus: pluIssues(plu => !productIds.has(plu)),
+      unstockedPlus: pluIssues(plu => productIds.has(plu) && !storeStock.has(plu))
+    };
+  }).filter(store => ISSUE_TYPES.some(type => store[type].length));
+
+  const total = stores.reduce((sum, store) => sum + ISSUE_TYPES.reduce((n, type) => n + store[type].length, 0), 0);
+  return { stores, total };
+};
+
+const named = (kind, number, description) => `${kind} ${number}${description ? ` ${description}` : ''}`;
+
+// Readable, per-store text version of a checkDealIntegrity() result
+const formatIntegrityReport = ({ stores }) => {
+  if (!stores.length) return 'No integrity problems.';
+
+  const out = [];
+  stores.forEach(store => {
+    out.push(`Store ${store.storeNumber}`);
+    store.orphanedCombos.forEach(c => out.push(`  ${named('Combo', c.combo_number, c.description)} has no detail lines`));
+    store.orphanedLines.forEach(c => out.push(`  ${c.lines} detail line(s) for combo ${c.combo_number}, which isn't in combo_master`));
+    store.missingMixes.forEach(m => out.push(`  Mix ${m.mix_number} isn't in mix_master (used by combo ${m.usedBy.join(', ')})`));
+    store.emptyMixes.forEach(m => out.push(`  ${named('Mix', m.mix_number, m.description)} has no PLUs`));
+    store.unknownPlus.forEach(p => out.push(`  PLU ${p.plu} isn't a product (in ${p.usedBy.join(', ')})`));
+    store.unstockedPlus.forEach(p => out.push(`  PLU ${p.plu} isn't sold at this store (in ${p.usedBy.join(', ')})`));
+  });
+  return out.join('\n');
+};
+
+module.exports = {
+  ISSUE_TYPES,
+  checkDealIntegrity,
+  formatIntegrityReport
+};
@@ -0,0 +1,338 @@
+// POS deal export files (ComboMaster, ComboDetail, MixMaster, MixDetail): CSV parsing
+// and per-row validation against a schema for each file. Rows that don't validate are
+// returned as rejections with their line number and reasons, never as records.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+
+// ── Field types ────────────────────────────────────────────────
+// parse takes the trimmed cell text and returns the column value, or throws with the
+// reason the cell is invalid. format turns a column value back into the POS's cell
+// text, so parse(format(value)) gives back the same value.
+
+const isBlank = (raw) => raw === undefined || raw === '';
+
+const integer = ({ min = null, max = null, blank } = {}) => ({
+  parse: (raw) => {
+    if (isBlank(raw)) {
+      if (blank !== undefined) return blank;
+      throw new Error('is required');
+    }
+    if (!/^-?\d+$/.test(raw)) throw new Error(`"${raw}" is not a whole number`);
+    const value = parseInt(raw, 10);
+    if (min !== null && value < min) throw new Error(`${value} is below ${min}`);
+    if (max !== null && value > max) throw new Error(`${value} is above ${max}`);
+    return value;
+  },
+  format: (value) => String(value ?? blank ?? '')
+});
+
+// Optional IDs (PLU #, Mix #): the POS writes 0 when there isn't one
+const optionalId = () => ({
+  parse: (raw) => integer({ min: 0, blank: 0 }).parse(raw) || null,
+  format: (value) => String(value || 0)
+});
+
+// Money is exported in cents; the tables store dollars
+const cents = () => ({
+  parse: (raw) => integer({ min: 0, blank: 0 }).parse(raw) / 100,
+  format: (value) => String(Math.round(Number(value || 0) * 100))
+});
+
+// Percentages are exported as whole or decimal percents (20 = 20%); stored as 0.20
+const percent = () => ({
+  parse: (raw) => {
+    if (isBlank(raw)) return 0;
+    if (!/^\d+(\.\d+)?$/.test(raw)) throw new Error(`"${raw}" is not a percentage`);
+    const value = parseFloat(raw);
+    if (value > 100) throw new Error(`${value} is above 100%`);
+    return value / 100;
+  },
+  format: (value) => String(Math.round(Number(value || 0) * 1000000) / 10000)
+});
+
+// YYYYMMDD → YYYY-MM-DD, and it has to be a real calendar date
+const date = () => ({
+  parse: (raw) => {
+    if (!/^\d{8}$/.test(raw || '')) throw new Error(`"${raw || ''}" is not a YYYYMMDD date`);
+    const [year, month, day] = [raw.substring(0, 4), raw.substring(4, 6), raw.substring(6, 8)].map(n => parseInt(n, 10));
+    const parsed = new Date(Date.UTC(year, month - 1, day));
+    if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+      throw new Error(`"${raw}" is not a calendar date`);
+    }
+    return `${raw.substring(0, 4)}-${raw.substring(4, 6)}-${raw.substring(6, 8)}`;
+  },
+  format: (value) => String(value).substring(0, 10).replace(/-/g, '')
+});
+
+// HHMM on a 24-hour clock (100 = 1:00 AM, 2359 = 11:59 PM)
+const time = () => ({
+  parse: (raw) => {
+    const value = integer({ min: 0, max: 2359 }).parse(raw);
+    if (value % 100 > 59) throw new Error(`${value} is not a valid HHMM time`);
+    return value;
+  },
+  format: (value) => String(value)
+});
+
+const text = ({ maxLength = 255, upperCase = false } = {}) => ({
+  parse: (raw) => {
+    if (isBlank(raw)) throw new Error('is required');
+    if (raw.length > maxLength) throw new Error(`is longer than ${maxLength} characters`);
+    return upperCase ? raw.toUpperCase() : raw;
+  },
+  format: (value) => value
+});
+
+// ── Schemas ────────────────────────────────────────────────────
+// columns: table column → [CSV header, field type]
+// key:     columns that must be unique within the file
+// group:   columns whose rows stand or fall together (a combo's lines)
+// check:   row-level rules across columns, returns a list of reasons
+
+const COMBO_MASTER = {
+  table: 'combo_master',
+  file: 'ComboMaster.csv',
+  columns: {
+    store_number: ['Store #', integer({ min: 1 })],
+    combo_number: ['Combo #', integer({ min: 1 })],
+    description: ['Description', text()],
+    start_date: ['Start Date', date()],
+    start_time: ['Start Time', time()],
+    end_date: ['End Date', date()],
+    end_time: ['End Time', time()],
+    combo_price: ['Combo Price', cents()]
+  },
+  key: ['store_number', 'combo_number'],
+  check: (record) => record.end_date < record.start_date
+    ? [`End Date ${record.end_date} is before Start Date ${record.start_date}`]
+    : []
+};
+
+const COMBO_DETAIL = {
+  table: 'combo_detail',
+  file: 'ComboDetail.csv',
+  columns: {
+    store_number: ['Store#', integer({ min: 1 })],
+    combo_number: ['Combo #', integer({ min: 1 })],
+    sequence: ['Sequence', integer({ min: 1 })],
+    type: ['Type', text({ maxLength: 1, upperCase: true })],
+    plu_number: ['PLU #', optionalId()],
+    modifier: ['Modifier', integer({ min: 0, blank: 0 })],
+    price: ['Price', cents()],
+    mix_number: ['Mix #', optionalId()],
+    quantity: ['Qty', integer({ min: 1 })],
+    percentage: ['Percentage', percent()],
+    discount_amount: ['Discount Amount', cents()],
+    // 0 or blank means the POS default of 5 per transaction
+    transaction_limit: ['Transaction Limit', {
+      parse: (raw) => integer({ min: 0, blank: 0 }).parse(raw) || 5,
+      format: (value) => String(value || 5)
+    }]
+  },
+  key: ['store_number', 'combo_number', 'sequence'],
+  group: ['store_number', 'combo_number'],
+  check: (record) => {
+    const reasons = [];
+    if (record.type === 'M' && !record.mix_number) reasons.push('Type M line has no Mix #');
+    if (record.type === 'P' && !record.plu_number) reasons.push('Type P line has no PLU #');
+    return reasons;
+  }
+};
+
+const MIX_MASTER = {
+  table: 'mix_master',
+  file: 'MixMaster.csv',
+  columns: {
+    store_number: ['Store #', integer({ min: 1 })],
+    mix_number: ['Mix #', integer({ min: 1 })],
+    description: ['Description', text()]
+  },
+  key: ['store_number', 'mix_number']
+};
+
+const MIX_DETAIL = {
+  table: 'mix_detail',
+  file: 'MixDetail.csv',
+  columns: {
+    store_number: ['Store #', integer({ min: 1 })],
+    mix_number: ['Mix #', integer({ min: 1 })],
+    plu: ['PLU', integer({ min: 1 })]
+  },
+  key: ['store_number', 'mix_number', 'plu']
+};
+
+const POS_SCHEMAS = [COMBO_MASTER, COMBO_DETAIL, MIX_MASTER, MIX_DETAIL];
+
+// ── Parsing ────────────────────────────────────────────────────
+
+// CSV text → rows of trimmed cells with the file line each row starts on (quoted
+// fields can span lines, so rows and lines don't always line up)
+const readCsvRows = (content) => {
+  const csv = content.replace(/^\uFEFF/, '');
+  const rows = [];
+  let rowStart = 0;
+  let line = 1;
+
+  Papa.parse(csv, {
+    skipEmptyLines: 'greedy',
+    step: (result) => {
+      // Skipped blank lines before this row, then the row itself (cursor is just past
+      // the row's line break)
+      const blankLines = csv.slice(rowStart).match(/^([ \t]*\r?\n)*/)[0];
+      line += (blankLines.match(/\n/g) || []).length;
+      rows.push({ line, cells: result.data.map(cell => cell.trim()), errors: result.errors });
+
+      const end = result.meta.cursor;
+      line += (csv.slice(rowStart + blankLines.length, end).match(/\n/g) || []).length;
+      rowStart = end;
+    }
+  });
+
+  return rows;
+};
+
+const keyOf = (record, columns) => columns.map(column => record[column]).join('|');
+
+// Validate CSV text against a schema. Returns
+//   records:  [{ line, record }] for rows that passed
+//   rejected: [{ file, line, reasons, raw }]
+// Throws if the header row is missing a column the schema needs.
+const parsePosCsv = (content, schema) => {
+  const [header, ...rows] = readCsvRows(content);
+  const headers = header ? header.cells : [];
+
+  const missing = Object.values(schema.columns).map(([name]) => name).filter(name => !headers.includes(name));
+  if (missing.length) {
+    throw new Error(`${schema.file} is missing column(s): ${missing.join(', ')}`);
+  }
+
+  const accepted = [];
+  const rejected = [];
+  const seenKeys = new Map();
+
+  rows.forEach(({ line, cells, errors }) => {
+    const raw = {};
+    headers.forEach((name, i) => { raw[name] = cells[i]; });
+
+    const reasons = errors.map(e => e.message);
+    if (cells.length !== headers.length) {
+      reasons.push(`has ${cells.length} fields, expected ${headers.length}`);
+    }
+
+    const record = {};
+    Object.entries(schema.columns).forEach(([column, [name, field]]) => {
+      try {
+        record[column] = field.parse(raw[name]);
+      } catch (err) {
+        reasons.push(`${name} ${err.message}`);
+      }
+    });
+
+    if (!reasons.length && schema.check) {
+      reasons.push(...schema.check(record));
+    }
+
+    if (!reasons.length) {
+      const key = keyOf(record, schema.key);
+      if (seenKeys.has(key)) {
+        reasons.push(`duplicates line ${seenKeys.get(key)} (${schema.key.join(', ')})`);
+      } else {
+        seenKeys.set(key, line);
+      }
+    }
+
+    if (reasons.length) {
+      rejected.push({ file: schema.file, line, reasons, raw: cells.join(','), record });
+    } else {
+      accepted.push({ line, record });
+    }
+  });
+
+  // One bad line in a group (e.g. a combo's qualifier line) would leave the rest of
+  // the group meaning something else, so the whole group is rejected with it
+  if (schema.group) {
+    const badGroups = new Map();
+    rejected.forEach(r => {
+      if (schema.group.every(column => r.record[column] !== undefined)) {
+        badGroups.set(keyOf(r.record, schema.group), r.line);
+      }
+    });
+
+    const records = [];
+    accepted.forEach(({ line, record }) => {
+      const badLine = badGroups.get(keyOf(record, schema.group));
+      if (badLine) {
+        rejected.push({
+          file: schema.file,
+          line,
+          reasons: [`line ${badLine} of the same ${schema.group.join('/')} was rejected`],
+          raw: rows.find(r => r.line === line).cells.join(','),
+          record
+        });
+      } else {
+        records.push({ line, record });
+      }
+    });
+
+    return { records, rejected: rejected.sort((a, b) => a.line - b.line) };
+  }
+
+  return { records: accepted, rejected };
+};
+
+// parsePosCsv() for the schema's file in dir, plus the file's sha256 for the import history
+const readPosFile = (dir, schema) => {
+  const content = fs.readFileSync(path.join(dir, schema.file));
+  return {
+    ...parsePosCsv(content.toString('utf-8'), schema),
+    sha256: crypto.createHash('sha256').update(content).digest('hex')
+  };
+};
+
+// Table rows → CSV text in the POS's own format: the schema's headers in order, LF line
+// endings with a trailing newline, and quotes only where a cell needs them
+const formatPosCsv = (rows, schema) => {
+  const columns = Object.entries(schema.columns);
+  return Papa.unparse({
+    fields: columns.map(([, [name]]) => name),
+    data: rows.map(row => columns.map(([column, [, field]]) => field.format(row[column])))
+  }, { newline: '\n' }) + '\n';
+};
+
+// Write rows as the schema's file in dir and return its path
+const writePosFile = (dir, schema, rows) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, schema.file);
+  fs.writeFileSync(filePath, formatPosCsv(rows, schema));
+  return filePath;
+};
+
+// Write rejected rows to a CSV report (file, line, reasons, original row) and return its path
+const writeRejectedReport = (rejected, reportDir, at = new Date()) => {
+  fs.mkdirSync(reportDir, { recursive: true });
+  const stamp = at.toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  const reportPath = path.join(reportDir, `rejected-rows-${stamp}.csv`);
+
+  fs.writeFileSync(reportPath, Papa.unparse({
+    fields: ['file', 'line', 'reasons', 'row'],
+    data: rejected.map(r => [r.file, r.line, r.reasons.join('; '), r.raw])
+  }) + '\n');
+
+  return reportPath;
+};
+
+module.exports = {
+  COMBO_MASTER,
+  COMBO_DETAIL,
+  MIX_MASTER,
+  MIX_DETAIL,
+  POS_SCHEMAS,
+  parsePosCsv,
+  readPosFile,
+  formatPosCsv,
+  writePosFile,
+  writeRejectedReport
+};
@@ -0,0 +1,72 @@
+require('dotenv').config(); // Load .env file
+
+const path = require('path');
+const { POS_SCHEMAS, writePosFile } = require('./deal-import/posCsv');
+const { EXIT_CODES, EXPORT_USAGE, parseExportArgs, createLogger } = require('./deal-import/cli');
+const { createDealsClient, fetchDealRows } = require('./deal-import/db');
+
+// Writes the deal tables back out as POS CSV files, e.g. after deals were fixed in the
+// database. The files are in exactly the format import-deals.js reads (cents, YYYYMMDD
+// dates, HHMM times), so importing an export gives back the same data:
+//   node export-deals.js --dir /exports/to-pos --store 301
+
+async function main() {
+  let options;
+  try {
+    options = parseExportArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`✗ ${err.message}\n\n${EXPORT_USAGE}`);
+    return EXIT_CODES.usage;
+  }
+  if (options.help) {
+    console.log(EXPORT_USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  const log = createLogger(options);
+  const summary = { mode: 'export', dir: path.resolve(options.dir), tables: options.tables, stores: options.stores, files: {} };
+
+  log.info('═══════════════════════════════════════════════');
+  log.info('  JACK FLASH DEALS EXPORT SCRIPT');
+  log.info('═══════════════════════════════════════════════\n');
+
+  let exitCode = EXIT_CODES.ok;
+  try {
+    const supabase = createDealsClient();
+
+    // Fetch everything before writing anything, so a failure can't leave a partial set
+    const exports = [];
+    for (const schema of POS_SCHEMAS.filter(s => options.tables.includes(s.table))) {
+      const rows = await fetchDealRows(supabase, schema, options.stores);
+      exports.push({ schema, rows });
+    }
+
+    exports.forEach(({ schema, rows }) => {
+      const filePath = writePosFile(options.dir, schema, rows);
+      summary.files[schema.file] = { path: path.resolve(filePath), rows: rows.length };
+      log.info(`✓ ${schema.file}: ${rows.length} row(s)`);
+      [...new Set(rows.map(r => r.store_number))].forEach(storeNumber => {
+        log.detail(`    store ${storeNumber}: ${rows.filter(r => r.store_number === storeNumber).length}`);
+      });
+    });
+
+    if (options.stores) {
+      const exported = new Set(exports.flatMap(({ rows }) => rows.map(r => r.store_number)));
+      const missing = options.stores.filter(storeNumber => !exported.has(storeNumber));
+      if (missing.length) log.warn(`⚠ No deals found for store(s) ${missing.join(', ')}`);
+    }
+
+    log.info(`\n✓ Wrote ${exports.length} file(s) to ${summary.dir}`);
+  } catch (error) {
+    summary.error = error.message;
+    exitCode = EXIT_CODES.failed;
+    log.error('\n✗ Export failed:', error.message || error);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...summary, ok: exitCode === EXIT_CODES.ok, exitCode }, null, 2));
+  }
+  return exitCode;
+}
+
+main().then(exitCode => { process.exitCode = exitCode; });
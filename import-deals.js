@@ -1,201 +1,275 @@
 require('dotenv').config(); // Load .env file
 
-const { createClient } = require('@supabase/supabase-js');
-const fs = require('fs');
 const path = require('path');
+const { POS_SCHEMAS, readPosFile, writeRejectedReport } = require('./deal-import/posCsv');
+const { diffDeals, formatDealDiff } = require('./deal-import/dealDiff');
+const { checkDealIntegrity, formatIntegrityReport } = require('./deal-import/integrity');
+const { TABLES, EXIT_CODES, USAGE, parseImportArgs, createLogger } = require('./deal-import/cli');
+const { createDealsClient, fetchAllPages, fetchDealRows } = require('./deal-import/db');
 
-// Initialize Supabase client
-const supabaseUrl = process.env.REACT_APP_SUPABASE_URL;
-const supabaseKey = process.env.REACT_APP_SUPABASE_ANON_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
-
-// Helper function to parse CSV
-function parseCSV(filePath) {
-  const content = fs.readFileSync(filePath, 'utf-8');
-  const lines = content.trim().split('\n');
-  const headers = lines[0].split(',').map(h => h.trim());
-  
-  return lines.slice(1).map(line => {
-    const values = line.split(',').map(v => v.trim());
-    const obj = {};
-    headers.forEach((header, index) => {
-      obj[header] = values[index];
+// Run with --help for the options. The nightly POS export job runs e.g.
+//   node import-deals.js --dir /exports/pos --json --quiet
+// and checks the exit code (see EXIT_CODES in deal-import/cli.js).
+
+// combo_detail line types the app's deal engine knows how to match
+const SUPPORTED_LINE_TYPES = ['M', 'P'];
+
+let options;
+let log;
+let supabase;
+
+// Parse and validate the selected POS files. Returns every table's records (empty for
+// tables that weren't selected) and the rejected rows, both limited to --store, and
+// each file's checksum and row counts for the import history.
+function readIncoming() {
+  const incoming = {};
+  const rejected = [];
+  const sourceFiles = {};
+  const inStores = (storeNumber) => !options.stores || storeNumber === undefined || options.stores.includes(storeNumber);
+
+  POS_SCHEMAS.forEach(schema => {
+    incoming[schema.table] = [];
+    if (!options.tables.includes(schema.table)) return;
+
+    const result = readPosFile(options.dir, schema);
+    const records = result.records.map(({ record }) => record).filter(r => inStores(r.store_number));
+    const fileRejected = result.rejected.filter(r => inStores(r.record.store_number));
+
+    incoming[schema.table] = records;
+    rejected.push(...fileRejected);
+    sourceFiles[schema.file] = {
+      sha256: result.sha256,
+      rows: result.records.length + result.rejected.length,
+      rejected: result.rejected.length
+    };
+    log.info(`✓ ${schema.file}: ${records.length} valid row(s)`);
+    storesIn({ records }).forEach(storeNumber => {
+      log.detail(`    store ${storeNumber}: ${records.filter(r => r.store_number === storeNumber).length}`);
     });
-    return obj;
+    if (fileRejected.length > 0) {
+      log.warn(`⚠ ${fileRejected.length} ${schema.file} row(s) rejected`);
+      fileRejected.forEach(r => log.detail(`    line ${r.line}: ${r.reasons.join('; ')}`));
+    }
   });
+
+  return { incoming, rejected, sourceFiles };
 }
 
-// Helper function to convert date format YYYYMMDD to YYYY-MM-DD
-function formatDate(dateStr) {
-  if (dateStr.length !== 8) return null;
-  const year = dateStr.substring(0, 4);
-  const month = dateStr.substring(4, 6);
-  const day = dateStr.substring(6, 8);
-  return `${year}-${month}-${day}`;
+const countRecords = (incoming) => Object.fromEntries(options.tables.map(table => [table, incoming[table].length]));
+const storesIn = (incoming) => [...new Set(Object.values(incoming).flat().map(r => r.store_number))].sort((a, b) => a - b);
+
+// The app matches M (mix) and P (single PLU) lines; anything else would never fire
+function warnUnsupportedLineTypes(comboDetails) {
+  const unsupported = comboDetails.filter(r => !SUPPORTED_LINE_TYPES.includes(r.type));
+  if (unsupported.length > 0) {
+    log.warn(`⚠ ${unsupported.length} combo_detail line(s) with unsupported type(s): ` +
+      [...new Set(unsupported.map(r => `${r.type || '(blank)'} (combo ${r.combo_number})`))].join(', '));
+  }
 }
 
-async function importComboMaster() {
-  console.log('Importing/Updating combo_master...');
-  const data = parseCSV('./ComboMaster.csv');
-  
-  const records = data.map(row => ({
-    store_number: parseInt(row['Store #']),
-    combo_number: parseInt(row['Combo #']),
-    description: row['Description'],
-    start_date: formatDate(row['Start Date']),
-    start_time: parseInt(row['Start Time']),
-    end_date: formatDate(row['End Date']),
-    end_time: parseInt(row['End Time']),
-    combo_price: parseFloat(row['Combo Price']) || 0,
-    updated_at: new Date().toISOString()
-  }));
-  
-  // UPSERT: Insert new records or update existing based on store_number + combo_number
-  const { data: inserted, error } = await supabase
-    .from('combo_master')
-    .upsert(records, {
-      onConflict: 'store_number,combo_number', // unique constraint
-      ignoreDuplicates: false // update if exists
-    });
-  
-  if (error) {
-    console.error('Error importing combo_master:', error);
-  } else {
-    console.log(`✓ Upserted ${records.length} combo_master records`);
+// Stage the tables as one batch, then swap it in with a single database transaction
+// (see the deal_import_batches migrations). If activation fails nothing has changed and
+// the batch is marked failed. summary carries the run's audit details (source files,
+// rejected rows, integrity problems) into the batch.
+async function importBatch(incoming, summary) {
+  log.info(`Staging import batch for store(s) ${summary.stores.join(', ')}...`);
+  const { data: staged, error: stageError } = await supabase
+    .from('deal_import_batches')
+    .insert({
+      store_numbers: summary.stores,
+      records: incoming,
+      run_by: options.runBy,
+      source_files: summary.sourceFiles,
+      row_counts: summary.records,
+      rejected_rows: summary.rejected,
+      integrity_problems: summary.integrity.total
+    })
+    .select('id')
+    .single();
+  if (stageError) throw stageError;
+  summary.batchId = staged.id;
+
+  log.info(`Activating batch ${staged.id}...`);
+  const { data: batch, error: activateError } = await supabase.rpc('activate_deal_import_batch', { p_batch_id: staged.id });
+  if (activateError) {
+    await supabase
+      .from('deal_import_batches')
+      .update({ status: 'failed', error: activateError.message })
+      .eq('id', staged.id);
+    throw activateError;
   }
+
+  options.tables.forEach(table => {
+    const { added, changed, removed } = batch.row_changes[table];
+    log.info(`✓ ${table}: ${incoming[table].length} records (${added} added, ${changed} changed, ${removed} removed)`);
+  });
+  log.info(`✓ Batch ${batch.id} is now the active deal set (undo with --rollback)`);
+  summary.rowChanges = batch.row_changes;
 }
 
-async function importComboDetail() {
-  console.log('Importing/Updating combo_detail...');
-  const data = parseCSV('./ComboDetail.csv');
-  
-  // First, we need to delete old combo_detail records and insert fresh
-  // (since combo_detail doesn't have a natural unique key beyond the data itself)
-  const storeNumbers = [...new Set(data.map(row => parseInt(row['Store#'])))];
-  const comboNumbers = [...new Set(data.map(row => parseInt(row['Combo #'])))];
-  
-  console.log('  Clearing old combo_detail records...');
-  for (const storeNum of storeNumbers) {
-    for (const comboNum of comboNumbers) {
-      await supabase
-        .from('combo_detail')
-        .delete()
-        .eq('store_number', storeNum)
-        .eq('combo_number', comboNum);
-    }
+// A run that failed before anything was staged is still recorded in the import history
+async function recordFailedRun(summary, error) {
+  const { error: recordError } = await supabase
+    .from('deal_import_batches')
+    .insert({
+      status: 'failed',
+      store_numbers: summary.stores || [],
+      run_by: options.runBy,
+      source_files: summary.sourceFiles || null,
+      row_counts: summary.records || null,
+      rejected_rows: summary.rejected || 0,
+      error: error.message || String(error)
+    });
+  if (recordError) log.detail('  (Could not record the failed run:', recordError.message, ')');
+}
+
+// Put back the deal set from before the most recently activated batch
+async function rollbackImport() {
+  const { data: batch, error } = await supabase.rpc('rollback_deal_import', { p_rolled_back_by: options.runBy });
+  if (error) throw error;
+  log.info(`✓ Rolled back batch ${batch.id}; store(s) ${batch.store_numbers.join(', ')} have their previous deals again`);
+  return batch;
+}
+
+// Current rows of a deal table for the given stores
+const fetchCurrentRows = (table, storeNumbers) =>
+  fetchDealRows(supabase, POS_SCHEMAS.find(schema => schema.table === table), storeNumbers);
+
+// Cross-check the files against each other and the product catalog. Tables left out
+// with --tables are checked as they are in the database.
+async function checkIntegrity(incoming) {
+  const storeNumbers = storesIn(incoming);
+  const deals = {};
+  for (const table of TABLES) {
+    deals[table] = options.tables.includes(table) ? incoming[table] : await fetchCurrentRows(table, storeNumbers);
   }
-  
-  const records = data.map(row => ({
-    store_number: parseInt(row['Store#']),
-    combo_number: parseInt(row['Combo #']),
-    sequence: parseInt(row['Sequence']),
-    type: row['Type'],
-    plu_number: parseInt(row['PLU #']) || null,
-    modifier: parseInt(row['Modifier']) || 0,
-    price: (parseFloat(row['Price']) || 0) / 100, // Convert cents to dollars
-    mix_number: parseInt(row['Mix #']) || null,
-    quantity: parseInt(row['Qty']),
-    percentage: (parseFloat(row['Percentage']) || 0) / 100, // Convert to decimal (e.g., 20 -> 0.20)
-    discount_amount: (parseFloat(row['Discount Amount']) || 0) / 100, // Convert cents to dollars
-    transaction_limit: parseInt(row['Transaction Limit']) || 5,
-    updated_at: new Date().toISOString()
-  }));
-  
-  const { data: inserted, error } = await supabase
-    .from('combo_detail')
-    .insert(records);
-  
-  if (error) {
-    console.error('Error importing combo_detail:', error);
+
+  const products = await fetchAllPages(() => supabase.from('products').select('id'));
+  const storeProducts = await fetchAllPages(() => supabase
+    .from('store_products')
+    .select('store_id, product_id')
+    .in('store_id', storeNumbers));
+
+  const integrity = checkDealIntegrity(deals, { productIds: products.map(p => p.id), storeProducts });
+  if (integrity.total > 0) {
+    log.warn(`⚠ ${integrity.total} deal integrity problem(s); these deals (or parts of them) will never fire:`);
+    log.info(formatIntegrityReport(integrity));
   } else {
-    console.log(`✓ Inserted ${records.length} combo_detail records`);
+    log.detail('✓ Combos, mixes and PLUs all check out');
   }
+  return integrity;
 }
 
-async function importMixMaster() {
-  console.log('Importing/Updating mix_master...');
-  const data = parseCSV('./MixMaster.csv');
-  
-  const records = data.map(row => ({
-    store_number: parseInt(row['Store #']),
-    mix_number: parseInt(row['Mix #']),
-    description: row['Description'],
-    updated_at: new Date().toISOString()
-  }));
-  
-  // UPSERT: Insert new or update existing based on store_number + mix_number
-  const { data: inserted, error } = await supabase
-    .from('mix_master')
-    .upsert(records, {
-      onConflict: 'store_number,mix_number',
-      ignoreDuplicates: false
-    });
-  
-  if (error) {
-    console.error('Error importing mix_master:', error);
-  } else {
-    console.log(`✓ Upserted ${records.length} mix_master records`);
+async function previewImport(incoming) {
+  const storeNumbers = storesIn(incoming);
+  log.info(`Comparing with current deals for store(s) ${storeNumbers.join(', ')}...\n`);
+
+  const current = {};
+  for (const table of TABLES) {
+    current[table] = options.tables.includes(table) ? await fetchCurrentRows(table, storeNumbers) : [];
   }
+
+  const diff = diffDeals(current, incoming);
+  log.info(formatDealDiff(diff));
+
+  const { endedCombos, removedComboLines, removedPlus } = diff.destructive;
+  log.info(`\nWould end ${endedCombos} combo(s) early, remove ${removedComboLines} combo line(s) and ${removedPlus} mix PLU(s).`);
+  return diff.destructive;
 }
 
-async function importMixDetail() {
-  console.log('Importing/Updating mix_detail...');
-  const data = parseCSV('./MixDetail.csv');
-  
-  // Clear old mix_detail records for these store/mix combinations, then insert fresh
-  const uniqueCombos = [...new Set(data.map(row => `${row['Store #']}-${row['Mix #']}`))];
-  
-  console.log('  Clearing old mix_detail records...');
-  for (const combo of uniqueCombos) {
-    const [storeNum, mixNum] = combo.split('-').map(n => parseInt(n));
-    await supabase
-      .from('mix_detail')
-      .delete()
-      .eq('store_number', storeNum)
-      .eq('mix_number', mixNum);
+async function runImport(summary) {
+  if (options.rollback) {
+    const batch = await rollbackImport();
+    summary.batchId = batch.id;
+    summary.stores = batch.store_numbers;
+    return EXIT_CODES.ok;
   }
-  
-  const records = data.map(row => ({
-    store_number: parseInt(row['Store #']),
-    mix_number: parseInt(row['Mix #']),
-    plu: parseInt(row['PLU']),
-    updated_at: new Date().toISOString()
-  }));
-  
-  const { data: inserted, error } = await supabase
-    .from('mix_detail')
-    .insert(records);
-  
-  if (error) {
-    console.error('Error importing mix_detail:', error);
-  } else {
-    console.log(`✓ Inserted ${records.length} mix_detail records`);
+
+  const { incoming, rejected, sourceFiles } = readIncoming();
+  summary.sourceFiles = sourceFiles;
+  summary.records = countRecords(incoming);
+  summary.stores = storesIn(incoming);
+  summary.rejected = rejected.length;
+
+  if (rejected.length > 0) {
+    summary.reportPath = path.resolve(writeRejectedReport(rejected, options.reportDir));
+    log.warn(`⚠ ${rejected.length} row(s) were rejected and ${options.dryRun ? 'would not be' : 'will not be'} imported.`);
+    log.warn(`  Line numbers and reasons: ${summary.reportPath}`);
+  }
+
+  warnUnsupportedLineTypes(incoming.combo_detail);
+
+  if (summary.stores.length === 0) {
+    throw new Error(`No valid rows to import${options.stores ? ` for store(s) ${options.stores.join(', ')}` : ''}`);
+  }
+
+  summary.integrity = await checkIntegrity(incoming);
+
+  if (options.dryRun) {
+    summary.destructive = await previewImport(incoming);
+    if (summary.destructive.total > options.maxRemovals) {
+      log.error(`✗ That is more than --max-removals=${options.maxRemovals}. Nothing was imported.`);
+      return EXIT_CODES.overThreshold;
+    }
+    log.info('✓ Dry run only, nothing was imported.');
+    return EXIT_CODES.ok;
   }
+
+  await importBatch(incoming, summary);
+  return rejected.length > 0 ? EXIT_CODES.rejectedRows : EXIT_CODES.ok;
 }
 
-async function runImport() {
-  console.log('═══════════════════════════════════════════════');
-  console.log('  JACK FLASH DEALS IMPORT/UPDATE SCRIPT');
-  console.log('═══════════════════════════════════════════════\n');
-  
+async function main() {
+  try {
+    options = parseImportArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`✗ ${err.message}\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  log = createLogger(options);
+  const mode = options.rollback ? 'rollback' : options.dryRun ? 'dry-run' : 'import';
+  const summary = { mode, dir: path.resolve(options.dir), tables: options.tables };
+
+  log.info('═══════════════════════════════════════════════');
+  log.info('  JACK FLASH DEALS IMPORT/UPDATE SCRIPT');
+  log.info('═══════════════════════════════════════════════\n');
+
+  let exitCode;
   try {
-    // Import in correct order (respecting foreign keys)
-    await importComboMaster();
-    await importComboDetail();
-    await importMixMaster();
-    await importMixDetail();
-    
-    console.log('\n═══════════════════════════════════════════════');
-    console.log('  ✓ ALL IMPORTS COMPLETED SUCCESSFULLY!');
-    console.log('═══════════════════════════════════════════════\n');
+    supabase = createDealsClient();
+
+    exitCode = await runImport(summary);
+
+    if (exitCode !== EXIT_CODES.overThreshold) {
+      log.info('\n═══════════════════════════════════════════════');
+      log.info(exitCode === EXIT_CODES.rejectedRows
+        ? '  ✓ IMPORT COMPLETED (WITH REJECTED ROWS)'
+        : `  ✓ ${mode.toUpperCase()} COMPLETED SUCCESSFULLY!`);
+      log.info('═══════════════════════════════════════════════\n');
+    }
   } catch (error) {
-    console.error('\n✗ Import failed:', error);
-    console.error('\nPlease check:');
-    console.error('  1. CSV files are in the correct directory');
-    console.error('  2. Supabase credentials are correct in .env');
-    console.error('  3. Tables exist in Supabase');
+    summary.error = error.message;
+    exitCode = EXIT_CODES.failed;
+    if (mode === 'import' && supabase && !summary.batchId) {
+      await recordFailedRun(summary, error);
+    }
+    log.error(`\n✗ ${mode === 'rollback' ? 'Rollback' : 'Import'} failed:`, error.message || error);
+    log.error('  No deal tables were changed (batches are applied in one transaction).');
+    log.error('\nPlease check:');
+    log.error(`  1. CSV files are in ${summary.dir}`);
+    log.error('  2. Supabase credentials are correct in .env');
+    log.error('  3. Tables exist in Supabase');
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...summary, ok: exitCode === EXIT_CODES.ok, exitCode }, null, 2));
   }
+  return exitCode;
 }
 
-// Run the import
-runImport();
\ No newline at end of file
+main().then(exitCode => { process.exitCode = exitCode; });
@@ -5,6 +5,38 @@ import { loadStripe } from '@stripe/stripe-js';
 import { Elements, CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
+import { getStoreTimeZone, isComboActiveAt, describeComboTiming, getNextDealChange } from './pricing/dealSchedule';
+import { priceCart, summarizeCombo, getComboProductIds } from './pricing/dealEngine';
+import { loadDealSnapshot, EMPTY_DEAL_SNAPSHOT } from './pricing/dealSnapshot';
+import { releaseDealRedemptions } from './pricing/dealRedemptions';
+import { submitCheckout, toCheckoutItems, newIdempotencyKey, isFinalCheckoutError } from './checkout/checkoutClient';
+import { UNPLACED_ORDER_STATUSES } from './checkout/placeOrder';
+import { toCents, fromCents, lineSubtotalCents, getOrderTotals, toOrderAmounts } from './pricing/money';
+import {
+  emptyDealDraft,
+  emptyDealLine,
+  validateDealDraft,
+  dealDraftToRows,
+  dealDraftFromRows,
+  previewDealDraft,
+  nextComboNumber,
+  LINE_DISCOUNT_TYPES,
+  MAX_DEAL_LINES,
+  AUTHORED_COMBO_START
+} from './admin/dealDraft';
+import { simulateDeals } from './admin/dealSimulator';
+import {
+  toStoredCart,
+  readLocalCart,
+  writeLocalCart,
+  clearLocalCart,
+  loadServerCart,
+  saveServerCart,
+  mergeStoredCarts,
+  refreshCartItems
+} from './cart/cartStorage';
+import { newCartLineId, findCartLine, withCartLineIds, availableLines, withPricedLines, parseOrderItems } from './cart/cartLines';
+import { compareStoreCarts } from './cart/storeSwitch';
 
 const supabaseUrl = process.env.REACT_APP_SUPABASE_URL;
 const supabaseKey = process.env.REACT_APP_SUPABASE_ANON_KEY;
@@ -120,6 +152,7 @@ const GasStationApp = () => {
   window.supabase = supabase;
   const [currentScreen, setCurrentScreen] = useState('home');
   const [cart, setCart] = useState([]);
+  const [cartNearMisses, setCartNearMisses] = useState([]);
   const [loyaltyPoints, setLoyaltyPoints] = useState(2450);
   const [selectedStore, setSelectedStore] = useState(null);
   const [stores, setStores] = useState([]);
@@ -132,6 +165,9 @@ const GasStationApp = () => {
   const [userRole, setUserRole] = useState(null);
   const [isLoadingRole, setIsLoadingRole] = useState(true);
   const [trackingOrderId, setTrackingOrderId] = useState(null);
+  const [cartRestoredFor, setCartRestoredFor] = useState(null); // user whose saved cart is loaded
+  const [pendingStoreSwitch, setPendingStoreSwitch] = useState(null); // store change waiting on the customer
+  const checkoutAttemptRef = useRef(null); // { key, paymentMethodId } of the checkout being placed
 
   // Check if user is already logged in
 useEffect(() => {
@@ -162,6 +198,9 @@ useEffect(() => {
     
     // Only handle sign out
     if (!session?.user) {
+      // The cart stays on the server for next time, but not on a device they left
+      if (event === 'SIGNED_OUT') clearLocalCart();
+      setCartRestoredFor(null);
       setUser(null);
       setCurrentScreen('home');
       setSelectedStore(null);
@@ -425,81 +464,53 @@ const handleConfirmOrder = async (orderDetails) => {
       return;
     }
 
-    // Fetch default payment method
-    const { data: paymentMethods } = await supabase
-      .from('payment_methods')
-      .select('*')
-      .eq('user_id', user.id)
-      .eq('is_default', true)
-      .single();
-
-    if (!paymentMethods) {
-      alert('Please add a default payment method in Account');
+    // Every order goes through the checkout function; only a cart that can be
+    // fulfilled at the selected store is sent
+    if (!selectedStore || cart.length === 0 || cart.some(item => item.unavailable)) {
+      setCurrentScreen('cart');
+      alert('Please review your cart before checking out.');
       return;
     }
 
-    // Prepare order data for email
-    const orderData = {
-      items: cart.map(item => ({
-        name: item.name,
-        quantity: item.quantity,
-        price: item.price,
-        total: item.price * item.quantity
-      })),
-      storeName: selectedStore.name,
-      storeAddress: selectedStore.address,
-      pickupTime: orderDetails.pickupTime,
-      specialInstructions: orderDetails.specialInstructions,
-      subtotal: getSubtotal(),
-      discounts: getTotalDiscounts(),
-      tax: getTax(),
-      total: getTotal()
-    };
-
-const response = await fetch(process.env.REACT_APP_EDGE_FUNCTION_URL, {
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${process.env.REACT_APP_SUPABASE_ANON_KEY}`
-  },
-  body: JSON.stringify({
-    amount: getTotal(),
-    paymentMethodId: orderDetails.paymentMethodId,
-    userId: user.id,
-    userEmail: user.email,
-    orderData: orderData  // NEW: This passes order details to Edge Function
-  })
-});
-
-    const result = await response.json();
-
-    if (!response.ok || !result.success) {
-      throw new Error(result.error || 'Payment failed');
+    // One idempotency key per checkout attempt: a double tap or a retry after an error
+    // sends the same key, so the order is charged and placed at most once. A changed
+    // cart or card is a new attempt.
+    if (checkoutAttemptRef.current?.paymentMethodId !== orderDetails.paymentMethodId) {
+      checkoutAttemptRef.current = { key: newIdempotencyKey(), paymentMethodId: orderDetails.paymentMethodId };
     }
 
-    // Insert order with 'placed' status
-    const { data: newOrder, error: orderError } = await supabase
-  .from('orders')
-  .insert({
-    user_id: user.id,
-    store_id: selectedStore.id,
-    payment_method_id: paymentMethods.id,
-    stripe_payment_intent_id: result.paymentIntentId,
-    subtotal: getSubtotal(),
-    discount: getTotalDiscounts(),
-    tax: getTax(),
-    total: getTotal(),
-    status: 'placed',
-    items: cart,
-    pickup_time: orderDetails.pickupTime,
-    special_instructions: orderDetails.specialInstructions
-  })
-      .select()
-      .single();
-
-    if (orderError || !newOrder) {
-      console.error('Order insert error:', orderError);
-      throw new Error('Failed to save order');
+    // The checkout function re-prices the order from the database, charges that
+    // amount and saves the order. The cart total goes along only so it can refuse
+    // to charge something different from what the customer saw.
+    let newOrder;
+    try {
+      newOrder = await submitCheckout(supabase, {
+        storeId: selectedStore.id,
+        items: toCheckoutItems(cart),
+        paymentMethodId: orderDetails.paymentMethodId,
+        expectedTotalCents: getCartTotals().totalCents,
+        pickupTime: orderDetails.pickupTime,
+        specialInstructions: orderDetails.specialInstructions,
+        idempotencyKey: checkoutAttemptRef.current.key
+      });
+    } catch (checkoutError) {
+      // Errors that settle the attempt start a new one next time; anything else (a
+      // dropped connection, a charge not yet confirmed) is retried with the same key
+      if (isFinalCheckoutError(checkoutError)) {
+        checkoutAttemptRef.current = null;
+      }
+      if (checkoutError.code === 'checkout_in_progress') {
+        console.log('⏳ Checkout already in progress, ignoring the repeat tap');
+        return;
+      }
+      if (checkoutError.code === 'total_mismatch' || checkoutError.code === 'unavailable_product') {
+        // Re-price the cart so the customer sees what they'd actually be charged
+        setCart(await calculateDeals(cart, selectedStore.id));
+        setCurrentScreen('cart');
+        alert(`${checkoutError.message}. Your cart has been updated, please review it before checking out.`);
+        return;
+      }
+      throw checkoutError;
     }
 
     // Now fetch the full order with store details
@@ -529,8 +540,10 @@ if (fetchError || !fullOrderData) {
     // UPDATE: Set the active order immediately
     setActiveOrder(fullOrder);
 
-    // Clear cart and navigate to order success screen
-    cart.forEach(item => removeFromCart(item.name));
+    // Clear cart and navigate to order success screen. The checkout function has
+    // already emptied the saved cart on the server
+    checkoutAttemptRef.current = null;
+    setCart([]);
     setCurrentScreen('order-success');
     
     // Store the order ID for tracking
@@ -538,345 +551,58 @@ if (fetchError || !fullOrderData) {
     
   } catch (err) {
     console.error('Order error:', err);
-    alert('Payment failed: ' + err.message);
+    alert(err.code === 'payment_unconfirmed' ? err.message : 'Payment failed: ' + err.message);
     throw err;
   }
 };
 
-// ROBUST VERSION - Handles missing products, keeps integers as integers
+// Loads the store's deal tables and prices the cart (see src/pricing). userId is the
+// customer whose earlier redemptions count against per-customer deal limits.
+const priceCartForStore = async (cartItems, storeId, asOf = new Date(), { userId = user?.id, excludeOrderId = null } = {}) => {
+  const store = stores.find(s => s.id === storeId);
+  const snapshot = await loadDealSnapshot(supabase, storeId, {
+    at: asOf,
+    timeZone: getStoreTimeZone(store),
+    userId,
+    excludeOrderId
+  });
+  const breakdown = priceCart(cartItems, snapshot, { at: asOf, taxRate: store?.tax_rate || 0 });
+  breakdown.warnings.forEach(warning => console.warn('⚠️', warning));
+  return breakdown;
+};
 
-const calculateDeals = async (cartItems, storeId) => {
-  if (!cartItems.length || !storeId) {
-    console.log('❌ No cart items or store ID');
-    return cartItems;
+// asOf lets refunds re-price at the time the order was placed instead of now
+// Also keeps the cart's near-miss deals for the suggestions on CartScreen. Lines the
+// store no longer sells (item.unavailable) stay in the cart but aren't priced, so they
+// can't satisfy a deal.
+const calculateDeals = async (cartItems, storeId, asOf = new Date()) => {
+  const pricedLines = availableLines(cartItems);
+  if (!pricedLines.length || !storeId) {
+    setCartNearMisses([]);
+    return withPricedLines(cartItems, pricedLines);
   }
 
   try {
-    const today = new Date().toISOString().split('T')[0];
-    console.log('🔍 Checking deals for store:', storeId, 'on date:', today);
-    
-    // Step 1: Get active combos for this store based on date range
-    const { data: activeCombos, error: comboError } = await supabase
-      .from('combo_master')
-      .select('combo_number, description, start_date, end_date')
-      .eq('store_number', storeId)
-      .lte('start_date', today)
-      .gte('end_date', today);
-
-    console.log('📦 Active combos found:', activeCombos?.length || 0);
-    if (comboError) {
-      console.error('❌ Combo error:', comboError);
-      return cartItems;
-    }
-
-    if (!activeCombos?.length) {
-      console.log('ℹ️ No active combos for this store/date');
-      return cartItems;
-    }
-
-    // Step 2: Get combo details (rules) for active combos
-    const comboNumbers = activeCombos.map(c => c.combo_number);
-    console.log('🔢 Combo numbers to check:', comboNumbers);
-    
-    const { data: comboDetails, error: detailError } = await supabase
-      .from('combo_detail')
-      .select('*')
-      .eq('store_number', storeId)
-      .in('combo_number', comboNumbers);
-
-    console.log('📋 Combo details found:', comboDetails?.length || 0);
-    if (detailError) {
-      console.error('❌ Detail error:', detailError);
-      return cartItems;
-    }
-
-    if (!comboDetails?.length) {
-      console.log('ℹ️ No combo details found');
-      return cartItems;
-    }
-
-    // Step 3: Get all mix numbers used by these combos
-    const mixNumbers = [...new Set(comboDetails.map(cd => cd.mix_number))];
-    console.log('🎯 Mix numbers needed:', mixNumbers);
-    
-    const { data: mixDetails, error: mixError } = await supabase
-      .from('mix_detail')
-      .select('mix_number, plu')
-      .eq('store_number', storeId)
-      .in('mix_number', mixNumbers);
-
-    console.log('📝 Mix details found:', mixDetails?.length || 0);
-    if (mixError) {
-      console.error('❌ Mix error:', mixError);
-      return cartItems;
-    }
-
-    if (!mixDetails?.length) {
-      console.log('ℹ️ No mix details found');
-      return cartItems;
-    }
-
-    // Step 4: Build a map: PLU → [mix_numbers it belongs to]
-    // Keep as integers - no type conversion needed
-    const pluToMixesMap = {};
-    mixDetails.forEach(md => {
-      const plu = md.plu; // Keep as-is (integer)
-      
-      if (!pluToMixesMap[plu]) {
-        pluToMixesMap[plu] = [];
-      }
-      pluToMixesMap[plu].push(md.mix_number);
-    });
-
-    console.log('🗺️ PLU to Mixes Map created with', Object.keys(pluToMixesMap).length, 'PLUs');
-
-    // Step 5: Count cart items by mix_number
-    // RESILIENT: Only process cart items that have matching PLUs
-    const mixCounts = {};
-    let matchedItems = 0;
-    let unmatchedItems = 0;
-    
-    cartItems.forEach(item => {
-      const itemPlu = item.id; // Keep as-is (no conversion)
-      
-      if (pluToMixesMap[itemPlu]) {
-        matchedItems++;
-        console.log('✅ Cart item matched:', item.name, '(PLU:', itemPlu, ')');
-        
-        pluToMixesMap[itemPlu].forEach(mixNum => {
-          mixCounts[mixNum] = (mixCounts[mixNum] || 0) + item.quantity;
-        });
-      } else {
-        unmatchedItems++;
-        console.log('ℹ️ Cart item not in any deal:', item.name, '(PLU:', itemPlu, ')');
-      }
-    });
-
-    console.log(`📊 Cart analysis: ${matchedItems} items in deals, ${unmatchedItems} items not in deals`);
-    console.log('📊 Mix counts:', mixCounts);
-
-    // If no cart items matched any mix, no deals can trigger
-    if (Object.keys(mixCounts).length === 0) {
-      console.log('ℹ️ No cart items match any active deals');
-      return cartItems;
-    }
-
-    // Step 6: Check which combos are triggered
-    const triggeredCombos = [];
-    
-    activeCombos.forEach(combo => {
-      const rules = comboDetails.filter(cd => cd.combo_number === combo.combo_number);
-      
-      console.log(`\n🎲 Evaluating combo ${combo.combo_number}: ${combo.description}`);
-      
-      // Check if ALL required mixes have sufficient quantity
-      let comboTriggered = true;
-      let maxApplications = Infinity;
-      
-      rules.forEach(rule => {
-        const availableQty = mixCounts[rule.mix_number] || 0;
-        const requiredQty = rule.quantity || 1;
-        
-        console.log(`  - Mix ${rule.mix_number}: need ${requiredQty}, have ${availableQty}`);
-        
-        if (availableQty < requiredQty) {
-          comboTriggered = false;
-          maxApplications = 0;
-          console.log(`    ❌ Insufficient quantity`);
-        } else {
-          const applicationsForThisRule = Math.floor(availableQty / requiredQty);
-          maxApplications = Math.min(maxApplications, applicationsForThisRule);
-          console.log(`    ✅ Can apply ${applicationsForThisRule} time(s)`);
-        }
-      });
-
-      if (comboTriggered && maxApplications > 0) {
-        // Respect transaction limit
-        const firstRule = rules[0];
-        const transactionLimit = firstRule.transaction_limit || Infinity;
-        const actualApplications = Math.min(maxApplications, transactionLimit);
-        
-        console.log(`  🎉 COMBO TRIGGERED! Will apply ${actualApplications} time(s) (limit: ${transactionLimit})`);
-        
-        triggeredCombos.push({
-          combo,
-          rules,
-          timesApplied: actualApplications
-        });
-      } else {
-        console.log(`  ❌ Combo not triggered`);
-      }
-    });
-
-    console.log(`\n✨ Total combos triggered: ${triggeredCombos.length}`);
-
-    if (!triggeredCombos.length) {
-      console.log('ℹ️ No combos qualified - clearing all deals');
-      return cartItems.map(item => ({  // ← CLEAR THE DEALS
-        ...item,
-        appliedDeal: null,
-        discountAmount: 0
-      }));
-    }
-
-    // Step 7: Apply discounts
-    const itemDiscounts = {};
-
-// If NO combos were triggered, all items should have no deals
-if (triggeredCombos.length === 0) {
-  console.log('⚠️ No combos triggered - clearing all deals');
-  const updatedCart = cartItems.map(item => ({
-    ...item,
-    appliedDeal: null,
-    discountAmount: 0
-  }));
-  return updatedCart;
-}
-
-    triggeredCombos.forEach(({ combo, rules, timesApplied }) => {
-      const rule = rules[0]; // Use first rule for discount logic
-      
-      console.log(`\n💰 Applying discount for: ${combo.description}`);
-      
-      // Determine discount type and amount
-      let discountPerApplication = 0;
-      let discountType = 'flat';
-      
-      if (rule.price && rule.price > 0) {
-        discountType = 'price_override';
-        console.log(`  Type: Price Override to $${rule.price}`);
-      } else if (rule.percentage && rule.percentage > 0) {
-        discountType = 'percentage';
-        console.log(`  Type: Percentage Discount ${(rule.percentage * 100).toFixed(0)}%`);
-      } else if (rule.discount_amount && rule.discount_amount > 0) {
-        discountType = 'flat';
-        discountPerApplication = rule.discount_amount;
-        console.log(`  Type: Flat Discount $${discountPerApplication.toFixed(2)} per application`);
-      } else {
-        console.log(`  ⚠️ No discount configured for this combo`);
-        return; // Skip this combo
-      }
-
-      // Calculate total units involved in the deal
-      let totalUnitsInDeal = 0;
-      rules.forEach(r => {
-        totalUnitsInDeal += (r.quantity || 1) * timesApplied;
-      });
-
-      console.log(`  Total units in deal: ${totalUnitsInDeal}`);
-
-      // Find cart items that belong to mixes in this combo
-      const comboMixes = rules.map(r => r.mix_number);
-      let remainingUnits = totalUnitsInDeal;
-      let totalDiscountToDistribute = discountPerApplication * timesApplied;
-
-      cartItems.forEach((item, idx) => {
-        const itemPlu = item.id; // Keep as integer
-        const itemMixes = pluToMixesMap[itemPlu] || [];
-        
-        // Check if this item is in any of the combo's mixes
-        const isInCombo = itemMixes.some(mix => comboMixes.includes(mix));
-        
-        if (isInCombo && remainingUnits > 0) {
-          const unitsToDiscount = Math.min(item.quantity, remainingUnits);
-          
-          if (discountType === 'flat') {
-            // Distribute flat discount proportionally
-            const itemDiscount = (totalDiscountToDistribute / totalUnitsInDeal) * unitsToDiscount;
-            
-            console.log(`  💵 ${item.name}: -$${itemDiscount.toFixed(2)}`);
-            
-            if (!itemDiscounts[idx]) {
-              itemDiscounts[idx] = {
-                discountAmount: itemDiscount,
-                appliedDeal: {
-                  combo_number: combo.combo_number,
-                  description: combo.description,
-                  timesApplied,
-                  unitsInDeal: totalUnitsInDeal
-                }
-              };
-            }
-          } else if (discountType === 'percentage') {
-            // Apply percentage discount
-            const itemSubtotal = item.price * unitsToDiscount;
-            const itemDiscount = itemSubtotal * rule.percentage;
-            
-            console.log(`  💵 ${item.name}: -$${itemDiscount.toFixed(2)} (${(rule.percentage * 100).toFixed(0)}% of $${itemSubtotal.toFixed(2)})`);
-            
-            if (!itemDiscounts[idx]) {
-              itemDiscounts[idx] = {
-                discountAmount: itemDiscount,
-                appliedDeal: {
-                  combo_number: combo.combo_number,
-                  description: combo.description,
-                  discount_percentage: rule.percentage,
-                  timesApplied,
-                  unitsInDeal: totalUnitsInDeal
-                }
-              };
-            }
-          } else if (discountType === 'price_override') {
-            // Override price to fixed amount
-            const originalSubtotal = item.price * unitsToDiscount;
-            const newSubtotal = rule.price * unitsToDiscount;
-            const itemDiscount = originalSubtotal - newSubtotal;
-            
-            console.log(`  💵 ${item.name}: -$${Math.max(0, itemDiscount).toFixed(2)} (price $${item.price} → $${rule.price})`);
-            
-            if (!itemDiscounts[idx]) {
-              itemDiscounts[idx] = {
-                discountAmount: Math.max(0, itemDiscount),
-                appliedDeal: {
-                  combo_number: combo.combo_number,
-                  description: combo.description,
-                  override_price: rule.price,
-                  timesApplied,
-                  unitsInDeal: totalUnitsInDeal
-                }
-              };
-            }
-          }
-
-          remainingUnits -= unitsToDiscount;
-        }
-      });
-    });
-
-    // Step 8: Return updated cart with discounts applied
-    const updatedCart = cartItems.map((item, idx) => {
-      if (itemDiscounts[idx]) {
-        return {
-          ...item,
-          appliedDeal: itemDiscounts[idx].appliedDeal,
-          discountAmount: itemDiscounts[idx].discountAmount
-        };
-      }
-      return {
-        ...item,
-        appliedDeal: null,
-        discountAmount: 0
-      };
-    });
-
-    const totalDiscountApplied = Object.values(itemDiscounts).reduce((sum, d) => sum + d.discountAmount, 0);
-    console.log(`\n✅ Deal calculation complete! Total discount: $${totalDiscountApplied.toFixed(2)}`);
-    
-    return updatedCart;
-    
+    const breakdown = await priceCartForStore(pricedLines, storeId, asOf);
+    console.log(`✅ Deals priced: ${breakdown.appliedDeals.length} combo(s) applied, total discount $${fromCents(breakdown.discountCents).toFixed(2)}`);
+    setCartNearMisses(breakdown.nearMisses);
+    return withPricedLines(cartItems, breakdown.items);
   } catch (err) {
-    console.error('💥 Fatal error calculating deals:', err);
-    console.error('Stack:', err.stack);
+    console.error('💥 Error calculating deals:', err);
+    setCartNearMisses([]);
     // Return original cart on error - don't break the app
     return cartItems;
   }
 };
 
-const calculatePartialRefund = async (order, itemsToRefund) => {
+// lineIdsToRefund names the order's lines (item.lineId) being taken off the order
+const calculatePartialRefund = async (order, lineIdsToRefund) => {
+  const orderItems = parseOrderItems(order.items);
+
   try {
     // Get the items that will remain in the order
-    const remainingItems = order.items.filter(item => 
-      !itemsToRefund.includes(item.name)
+    const remainingItems = orderItems.filter(item => 
+      !lineIdsToRefund.includes(item.lineId)
     );
 
     if (remainingItems.length === 0) {
@@ -894,23 +620,17 @@ const calculatePartialRefund = async (order, itemsToRefund) => {
       };
     }
 
-    // Recalculate deals on remaining items
+    // Recalculate deals on remaining items. Deals are evaluated as of when the
+    // order was placed, not when it is refunded, and for the order's customer
+    // without counting this order's own redemptions against their limits
     const storeId = order.store_id;
-    let recalculatedCart = [...remainingItems];
-    
-    if (storeId) {
-      recalculatedCart = await calculateDeals(recalculatedCart, storeId);
-    }
-
-    // Calculate new subtotal
-    const newSubtotal = recalculatedCart.reduce((sum, item) => 
-      sum + (item.price * item.quantity), 0
-    );
-
-    // Calculate new discounts
-    const newDiscounts = recalculatedCart.reduce((sum, item) => 
-      sum + (item.discountAmount || 0), 0
-    );
+    const breakdown = storeId
+      ? await priceCartForStore(remainingItems, storeId, order.created_at || new Date(), {
+          userId: order.user_id,
+          excludeOrderId: order.id
+        })
+      : priceCart(remainingItems, EMPTY_DEAL_SNAPSHOT);
+    const recalculatedCart = breakdown.items;
 
     // Get store tax rate
     const { data: store } = await supabase
@@ -921,63 +641,65 @@ const calculatePartialRefund = async (order, itemsToRefund) => {
 
     const taxRate = store?.tax_rate || 0;
 
-    // Calculate new tax (on subtotal after discounts)
-    const newTax = (newSubtotal - newDiscounts) * taxRate;
-
-    // Calculate new total
-    const newTotal = newSubtotal - newDiscounts + newTax;
+    // New totals for what stays on the order, in cents, with tax on the
+    // subtotal after discounts
+    const newTotals = getOrderTotals(recalculatedCart, taxRate);
 
     // Calculate what's being removed
-    const removedItems = order.items.filter(item => 
-      itemsToRefund.includes(item.name)
+    const removedItems = orderItems.filter(item => 
+      lineIdsToRefund.includes(item.lineId)
     );
 
-    const removedItemsCost = removedItems.reduce((sum, item) => 
-      sum + (item.price * item.quantity), 0
+    const removedItemsCents = removedItems.reduce((sum, item) => 
+      sum + lineSubtotalCents(item), 0
     );
 
-    const removedDiscounts = (order.discount || 0) - newDiscounts;
-    const removedTax = (order.tax || 0) - newTax;
+    const removedDiscountCents = toCents(order.discount) - newTotals.discountCents;
+    const removedTaxCents = toCents(order.tax) - newTotals.taxCents;
 
-    // Refund amount is original total minus new total
-    const refundAmount = order.total - newTotal;
+    // Refund amount is original total minus new total, so what's kept and what's
+    // refunded always add back up to the original total
+    const refundCents = Math.max(0, toCents(order.total) - newTotals.totalCents);
+    const newAmounts = toOrderAmounts(newTotals);
 
     return {
       type: 'partial',
-      refundAmount: Math.max(0, refundAmount),
-      remainingTotal: newTotal,
-      newTotal: newTotal,
-      newSubtotal: newSubtotal,
-      newDiscounts: newDiscounts,
-      newTax: newTax,
+      refundAmount: fromCents(refundCents),
+      remainingTotal: newAmounts.total,
+      newTotal: newAmounts.total,
+      newSubtotal: newAmounts.subtotal,
+      newDiscounts: newAmounts.discount,
+      newTax: newAmounts.tax,
       remainingItems: recalculatedCart,
       breakdown: {
         originalTotal: order.total,
-        removedItemsCost: removedItemsCost,
-        removedDiscounts: removedDiscounts,
-        removedTax: removedTax,
-        newSubtotal: newSubtotal,
-        newTotal: newTotal,
-        refundAmount: Math.max(0, refundAmount)
+        removedItemsCost: fromCents(removedItemsCents),
+        removedDiscounts: fromCents(removedDiscountCents),
+        removedTax: fromCents(removedTaxCents),
+        newSubtotal: newAmounts.subtotal,
+        newTotal: newAmounts.total,
+        refundAmount: fromCents(refundCents)
       }
     };
 
   } catch (error) {
     console.error('Error calculating partial refund:', error);
     // Return a simple calculation on error
-    const removedItems = order.items.filter(item => 
-      itemsToRefund.includes(item.name)
+    const removedItems = orderItems.filter(item => 
+      lineIdsToRefund.includes(item.lineId)
     );
-    const removedCost = removedItems.reduce((sum, item) => 
-      sum + (item.price * item.quantity), 0
+    const removedCents = Math.min(
+      toCents(order.total),
+      removedItems.reduce((sum, item) => sum + lineSubtotalCents(item), 0)
     );
+    const removedCost = fromCents(removedCents);
     
     return {
       type: 'partial',
       refundAmount: removedCost,
-      remainingTotal: order.total - removedCost,
-      newTotal: order.total - removedCost,
-      remainingItems: order.items.filter(item => !itemsToRefund.includes(item.name)),
+      remainingTotal: fromCents(toCents(order.total) - removedCents),
+      newTotal: fromCents(toCents(order.total) - removedCents),
+      remainingItems: orderItems.filter(item => !lineIdsToRefund.includes(item.lineId)),
       breakdown: {
         originalTotal: order.total,
         removedItemsCost: removedCost,
@@ -987,7 +709,7 @@ const calculatePartialRefund = async (order, itemsToRefund) => {
   }
 };
 
-const processRefund = async (orderId, itemsToRefund, reasonCode, reasonText, employeeName, employeeNumber) => {
+const processRefund = async (orderId, lineIdsToRefund, reasonCode, reasonText, employeeName, employeeNumber) => {
   try {
     // Get full order details
     const { data: order, error: fetchError } = await supabase
@@ -997,12 +719,15 @@ const processRefund = async (orderId, itemsToRefund, reasonCode, reasonText, emp
       .single();
     if (fetchError) throw fetchError;
     
-    order.items = Array.isArray(order.items) 
-      ? order.items 
-      : JSON.parse(order.items);
+    order.items = parseOrderItems(order.items);
+
+    // Names of the refunded lines, for the Stripe metadata and the refund log
+    const refundedNames = order.items
+      .filter(item => lineIdsToRefund.includes(item.lineId))
+      .map(item => item.name);
     
     // Determine if full or partial refund
-    const isFullRefund = itemsToRefund.length === order.items.length;
+    const isFullRefund = order.items.every(item => lineIdsToRefund.includes(item.lineId));
     
     let refundAmount, remainingTotal, remainingItems, refundCalculation;
     
@@ -1013,7 +738,7 @@ const processRefund = async (orderId, itemsToRefund, reasonCode, reasonText, emp
       remainingItems = [];
     } else {
       // Partial refund - recalculate everything
-      refundCalculation = await calculatePartialRefund(order, itemsToRefund);
+      refundCalculation = await calculatePartialRefund(order, lineIdsToRefund);
       refundAmount = refundCalculation.refundAmount;
       remainingTotal = refundCalculation.newTotal;
       remainingItems = refundCalculation.remainingItems;
@@ -1030,14 +755,14 @@ const processRefund = async (orderId, itemsToRefund, reasonCode, reasonText, emp
         },
         body: JSON.stringify({
           paymentIntentId: order.stripe_payment_intent_id,
-          refundAmount: Math.round(refundAmount * 100),
+          refundAmount: toCents(refundAmount),
           reason: 'requested_by_customer',
           metadata: {
             order_id: orderId,
             refund_reason: reasonText,
             refund_code: reasonCode,
             refund_type: isFullRefund ? 'full' : 'partial',
-            removed_items: itemsToRefund.join(', '),
+            removed_items: refundedNames.join(', '),
             original_total: order.total,
             refund_amount: refundAmount,
             employee_name: employeeName,
@@ -1052,9 +777,10 @@ const processRefund = async (orderId, itemsToRefund, reasonCode, reasonText, emp
       throw new Error(refundResult.error);
     }
     
-    // Update order in database
+    // Update order in database. refunded_amount is the running total across every
+    // refund on the order, so total + refunded_amount is always the original total
     const orderUpdate = {
-      refunded_amount: refundAmount,
+      refunded_amount: fromCents(toCents(order.refunded_amount) + toCents(refundAmount)),
       refund_reason: reasonText,
       refund_code: reasonCode,
       refunded_by_name: employeeName,
@@ -1085,6 +811,13 @@ const processRefund = async (orderId, itemsToRefund, reasonCode, reasonText, emp
       .eq('id', orderId);
     
     if (updateError) throw updateError;
+
+    // Give back the deal redemptions the refund reversed
+    try {
+      await releaseDealRedemptions(supabase, order, isFullRefund ? [] : remainingItems);
+    } catch (redemptionError) {
+      console.error('Deal redemption update error:', redemptionError);
+    }
     
     // Log refund for compliance/analytics
     await supabase
@@ -1097,7 +830,7 @@ const processRefund = async (orderId, itemsToRefund, reasonCode, reasonText, emp
         refund_reason: reasonCode,
         refund_details: reasonText,
         refund_type: isFullRefund ? 'full' : 'partial',
-        items_refunded: itemsToRefund,
+        items_refunded: refundedNames,
         stripe_refund_id: refundResult.refundId,
         employee_name: employeeName,
         employee_number: employeeNumber,
@@ -1127,12 +860,12 @@ const addToCart = async (product) => {
 
     // Create new cart with the added/updated item
     let newCart;
-    const existingItem = cart.find(item => item.name === product.name);
+    const existingItem = findCartLine(cart, product.id, product.modifier || 0);
     
     if (existingItem) {
       // Update existing item quantity
       newCart = cart.map(item => 
-        item.name === product.name 
+        item.lineId === existingItem.lineId 
           ? {...item, quantity: item.quantity + 1}
           : item
       );
@@ -1140,6 +873,7 @@ const addToCart = async (product) => {
       // Add new item
       newCart = [...cart, { 
         ...product, 
+        lineId: newCartLineId(),
         quantity: 1,
         discountAmount: 0,
         appliedDeal: null
@@ -1155,9 +889,9 @@ const addToCart = async (product) => {
     }
   };
 
-  const updateQuantity = async (productName, change) => {
+  const updateQuantity = async (lineId, change) => {
     const updatedCart = cart.map(item => {
-      if (item.name === productName) {
+      if (item.lineId === lineId) {
         const newQuantity = item.quantity + change;
         return newQuantity > 0 ? {...item, quantity: newQuantity} : null;
       }
@@ -1173,8 +907,8 @@ const addToCart = async (product) => {
     }
   };
 
-const removeFromCart = async (productName) => {
-  const updatedCart = cart.filter(item => item.name !== productName);
+const removeFromCart = async (lineId) => {
+  const updatedCart = cart.filter(item => item.lineId !== lineId);
   
   // Recalculate deals after removal
   if (selectedStore && updatedCart.length > 0) {
@@ -1185,30 +919,134 @@ const removeFromCart = async (productName) => {
   }
 };
 
+  // Changing stores with items in the cart re-prices them at the new store and waits
+  // for the customer to confirm (StoreSwitchModal) before anything changes. items is
+  // the cart to move when it isn't the current one (handleReorder merges an order in
+  // first); onSwitched runs once the switch goes through.
+  const switchStore = async (store, { items = cart, onSwitched } = {}) => {
+    if (!store) return;
+
+    if (store.id === selectedStore?.id) {
+      onSwitched?.();
+      return;
+    }
+
+    if (!cart.length) {
+      setSelectedStore(store);
+      if (items.length) setCart(await calculateDeals(items, store.id));
+      onSwitched?.();
+      return;
+    }
+
+    try {
+      const refreshed = await refreshCartItems(supabase, items, store.id);
+      const breakdown = await priceCartForStore(availableLines(refreshed), store.id);
+      const priced = withPricedLines(refreshed, breakdown.items);
+      const changes = compareStoreCarts(items, priced, {
+        fromTaxRate: selectedStore?.tax_rate || 0,
+        toTaxRate: store.tax_rate || 0
+      });
+      setPendingStoreSwitch({ store, items: priced, nearMisses: breakdown.nearMisses, changes, onSwitched });
+    } catch (err) {
+      console.error('Error re-pricing cart for store switch:', err);
+      alert(`Couldn't check prices at ${store.name}. Please try again.`);
+    }
+  };
+
+  const confirmStoreSwitch = () => {
+    const { store, items, nearMisses, onSwitched } = pendingStoreSwitch;
+    console.log(`🏪 Switched to ${store.name} with ${items.length} cart line(s)`);
+    setSelectedStore(store);
+    setCart(items);
+    setCartNearMisses(nearMisses);
+    setPendingStoreSwitch(null);
+    onSwitched?.();
+  };
+
+  // Load the saved cart once per sign-in: this device's copy merged with the server's,
+  // re-priced at its store. Nothing is saved until then, so the empty cart the app
+  // starts with can't overwrite it. The restore lives in a ref so the effect runs on
+  // sign-in alone, while the restore still sees the current store list and store.
+  const storesLoaded = stores.length > 0;
+  const restoreCartRef = useRef(null);
+  restoreCartRef.current = async (userId) => {
+    let serverCart = null;
+    try {
+      serverCart = await loadServerCart(supabase, userId);
+    } catch (err) {
+      console.error('Error loading saved cart:', err);
+    }
+    const saved = mergeStoredCarts(readLocalCart(userId), serverCart);
+
+    if (saved?.items.length) {
+      const savedItems = withCartLineIds(saved.items);
+      const store = selectedStore || stores.find(s => s.id === saved.storeId);
+      if (store) {
+        if (!selectedStore) setSelectedStore(store);
+        let items = savedItems;
+        try {
+          items = await refreshCartItems(supabase, savedItems, store.id);
+        } catch (err) {
+          console.error('Error refreshing saved cart:', err);
+        }
+        setCart(await calculateDeals(items, store.id));
+        console.log(`🛒 Restored cart: ${items.length} line(s), ${items.filter(item => item.unavailable).length} unavailable`);
+      } else {
+        setCart(savedItems);
+      }
+    }
+    setCartRestoredFor(userId);
+  };
+
+  useEffect(() => {
+    if (!user?.id || !storesLoaded || cartRestoredFor === user.id) return;
+    restoreCartRef.current(user.id);
+  }, [user?.id, storesLoaded, cartRestoredFor]);
+
+  // A changed cart is a new checkout attempt (see handleConfirmOrder)
+  useEffect(() => {
+    checkoutAttemptRef.current = null;
+  }, [cart]);
+
+  // Save every change on this device right away, and on the server once changes settle
+  useEffect(() => {
+    if (!user?.id || cartRestoredFor !== user?.id) return;
+
+    const stored = toStoredCart(cart, { userId: user?.id, storeId: selectedStore?.id });
+    writeLocalCart(stored);
+    const timer = setTimeout(() => {
+      saveServerCart(supabase, stored).catch(err => console.error('Error saving cart:', err));
+    }, 1000);
+
+    return () => clearTimeout(timer);
+  }, [cart, selectedStore?.id, user?.id, cartRestoredFor]);
+
   const getTotalItems = () => {
     return cart.reduce((total, item) => total + item.quantity, 0);
   };
 
+  // Cart totals in cents (see src/pricing/money.js for the rounding rules), without
+  // unavailable lines. The getters below return dollars for display.
+  const getCartTotals = () => getOrderTotals(availableLines(cart), selectedStore?.tax_rate || 0);
+
   const getSubtotal = () => {
-  return cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  return fromCents(getCartTotals().subtotalCents);
 };
 
 const getTotalDiscounts = () => {
-  return cart.reduce((sum, item) => sum + (item.discountAmount || 0), 0);
+  return fromCents(getCartTotals().discountCents);
 };
 
 const getSubtotalBeforeDiscounts = () => {
-  return cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  return fromCents(getCartTotals().subtotalCents);
 };
 
   const getTax = () => {
-  if (!selectedStore) return 0;
-  const subtotalAfterDiscounts = getSubtotal() - getTotalDiscounts();
-  return subtotalAfterDiscounts * selectedStore.tax_rate;
+  return fromCents(getCartTotals().taxCents);
 };
 
   const getTotal = () => {
-  return getSubtotal() - getTotalDiscounts() + getTax();
+  return fromCents(getCartTotals().totalCents);
 };
 
   const [mapCenter, setMapCenter] = useState({ lat: 0, lng: 0 });
@@ -1317,10 +1155,11 @@ if (isLoadingRole && user) {
 }
 
 // Route based on role
-if (user && userRole === 'store_manager') {
+if (user && (userRole === 'store_manager' || userRole === 'admin')) {
   return (
     <StoreManagerApp 
       user={user} 
+      isAdmin={userRole === 'admin'}
       handleSignOut={handleSignOut}
       calculatePartialRefund={calculatePartialRefund}
       processRefund={processRefund}
@@ -1366,17 +1205,17 @@ return (
           <div className="pb-16">
   <Suspense fallback={<LoadingSpinner />}>
    {!selectedStore && currentScreen !== 'stores' && currentScreen !== 'account' && currentScreen !== 'loyalty' && currentScreen !== 'order-history' && currentScreen !== 'order-success' && currentScreen !== 'order-tracking' ? (
-  <StoreSelectionScreen stores={stores} setSelectedStore={setSelectedStore} setScreen={setCurrentScreen} getUserLocation={getUserLocation} isLocating={isLocating} userLocation={userLocation} getCurrentHours={getCurrentHours} getDayLabel={getDayLabel} />
+  <StoreSelectionScreen stores={stores} setSelectedStore={switchStore} setScreen={setCurrentScreen} getUserLocation={getUserLocation} isLocating={isLocating} userLocation={userLocation} getCurrentHours={getCurrentHours} getDayLabel={getDayLabel} />
 ) : (
   <>
     {/* Your existing screen conditionals remain unchanged */}
-    {currentScreen === 'home' && <HomeScreen setScreen={setCurrentScreen} loyaltyPoints={loyaltyPoints} selectedStore={selectedStore} addToCart={addToCart} setSelectedStore={setSelectedStore} stores={stores} activeOrder={activeOrder} calculateDeals={calculateDeals} setCart={setCart} cart={cart} user={user} />}
+    {currentScreen === 'home' && <HomeScreen setScreen={setCurrentScreen} loyaltyPoints={loyaltyPoints} selectedStore={selectedStore} addToCart={addToCart} switchStore={switchStore} stores={stores} activeOrder={activeOrder} calculateDeals={calculateDeals} setCart={setCart} cart={cart} user={user} />}
     {currentScreen === 'products' && <ProductsScreen setScreen={setCurrentScreen} addToCart={addToCart} selectedStore={selectedStore} products={products} setProducts={setProducts} categories={categories} categoryCounts={categoryCounts} cart={cart} updateQuantity={updateQuantity} user={user} />}
-   {currentScreen === 'cart' && <CartScreen cart={cart} setScreen={setCurrentScreen} updateQuantity={updateQuantity} removeFromCart={removeFromCart} selectedStore={selectedStore} getSubtotal={getSubtotal} getTax={getTax} getTotal={getTotal} getTotalDiscounts={getTotalDiscounts} />}
+   {currentScreen === 'cart' && <CartScreen cart={cart} setScreen={setCurrentScreen} updateQuantity={updateQuantity} removeFromCart={removeFromCart} addToCart={addToCart} nearMisses={cartNearMisses} selectedStore={selectedStore} getSubtotal={getSubtotal} getTax={getTax} getTotal={getTotal} getTotalDiscounts={getTotalDiscounts} />}
     {currentScreen === 'checkout-confirmation' && <CheckoutConfirmationScreen cart={cart} selectedStore={selectedStore} getSubtotal={getSubtotal} getTax={getTax} getTotal={getTotal} getTotalDiscounts={getTotalDiscounts} setScreen={setCurrentScreen} onConfirmOrder={handleConfirmOrder} />}
     {currentScreen === 'tobacco' && <TobaccoScreen setScreen={setCurrentScreen} user={user} />}
     {currentScreen === 'age-verification' && <AgeVerificationScreen setScreen={setCurrentScreen} user={user} setUser={setUser} />}
-    {currentScreen === 'stores' && <StoresScreen stores={stores} setScreen={setCurrentScreen} selectedStore={selectedStore} setSelectedStore={setSelectedStore} mapCenter={mapCenter} setMapCenter={setMapCenter} zoom={zoom} setZoom={setZoom} getUserLocation={getUserLocation} isLocating={isLocating} userLocation={userLocation} getCurrentHours={getCurrentHours} getDayLabel={getDayLabel} />}
+    {currentScreen === 'stores' && <StoresScreen stores={stores} setScreen={setCurrentScreen} selectedStore={selectedStore} setSelectedStore={switchStore} mapCenter={mapCenter} setMapCenter={setMapCenter} zoom={zoom} setZoom={setZoom} getUserLocation={getUserLocation} isLocating={isLocating} userLocation={userLocation} getCurrentHours={getCurrentHours} getDayLabel={getDayLabel} />}
     {currentScreen === 'loyalty' && <LoyaltyScreen loyaltyPoints={loyaltyPoints} setScreen={setCurrentScreen} />}
     {currentScreen === 'account' && <AccountScreen user={user} handleSignOut={handleSignOut} setScreen={setCurrentScreen} />}
     {currentScreen === 'order-history' && <OrderHistoryScreen user={user} setScreen={setCurrentScreen} stores={stores} setTrackingOrderId={setTrackingOrderId} />}
@@ -1396,12 +1235,118 @@ return (
   <NavButton icon={<Gift />} label="Rewards" active={currentScreen === 'loyalty'} onClick={() => setCurrentScreen('loyalty')} />
   <NavButton icon={<Shield />} label="Account" active={currentScreen === 'account'} onClick={() => setCurrentScreen('account')} />
 </div>
+
+          {pendingStoreSwitch && (
+            <StoreSwitchModal
+              fromStore={selectedStore}
+              pending={pendingStoreSwitch}
+              onConfirm={confirmStoreSwitch}
+              onCancel={() => setPendingStoreSwitch(null)}
+            />
+          )}
         </>
       )}
     </div>
   );
 };
 
+// Shows what the cart looks like at the new store before switching: price changes,
+// items the store doesn't carry, deals gained or lost and the new total
+const StoreSwitchModal = ({ fromStore, pending, onConfirm, onCancel }) => {
+  const { store, changes } = pending;
+  const totalDifferenceCents = changes.toTotals.totalCents - changes.fromTotals.totalCents;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <h3 className="text-xl font-bold mb-1">Switch to {store.name}?</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Your cart will be priced at {store.name}{fromStore ? ` instead of ${fromStore.name}` : ''}.
+        </p>
+
+        {changes.unchanged && (
+          <p className="text-sm text-green-700 bg-green-50 p-3 rounded-lg mb-4">
+            ✓ Everything in your cart is the same price there.
+          </p>
+        )}
+
+        {changes.priceChanges.length > 0 && (
+          <div className="mb-4">
+            <h4 className="font-semibold text-gray-900 mb-2">Price changes</h4>
+            <div className="space-y-1 text-sm">
+              {changes.priceChanges.map(change => (
+                <div key={change.lineId} className="flex justify-between">
+                  <span className="text-gray-700">{change.name}</span>
+                  <span className={change.newPrice > change.oldPrice ? 'text-red-600' : 'text-green-600'}>
+                    <span className="line-through text-gray-400 mr-2">${change.oldPrice.toFixed(2)}</span>
+                    ${change.newPrice.toFixed(2)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {changes.unavailable.length > 0 && (
+          <div className="mb-4 bg-red-50 border border-red-200 p-3 rounded-lg">
+            <h4 className="font-semibold text-red-700 mb-1">Not carried at {store.name}</h4>
+            <ul className="text-sm text-red-700 list-disc list-inside">
+              {changes.unavailable.map(line => (
+                <li key={line.lineId}>{line.name}{line.quantity > 1 ? ` (×${line.quantity})` : ''}</li>
+              ))}
+            </ul>
+            <p className="text-xs text-red-600 mt-1">These stay in your cart, marked unavailable, until you remove them.</p>
+          </div>
+        )}
+
+        {(changes.dealsLost.length > 0 || changes.dealsGained.length > 0) && (
+          <div className="mb-4 text-sm space-y-1">
+            {changes.dealsLost.map(description => (
+              <p key={`lost-${description}`} className="text-red-600">✗ {description} doesn't apply there</p>
+            ))}
+            {changes.dealsGained.map(description => (
+              <p key={`gained-${description}`} className="text-orange-600">🎉 {description} applies there</p>
+            ))}
+          </div>
+        )}
+
+        <div className="border-t pt-3 mb-4 text-sm">
+          <div className="flex justify-between text-gray-600">
+            <span>Current total</span>
+            <span>${fromCents(changes.fromTotals.totalCents).toFixed(2)}</span>
+          </div>
+          <div className="flex justify-between font-bold text-gray-900">
+            <span>New total</span>
+            <span>
+              ${fromCents(changes.toTotals.totalCents).toFixed(2)}
+              {totalDifferenceCents !== 0 && (
+                <span className={`ml-2 font-medium ${totalDifferenceCents > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                  ({totalDifferenceCents > 0 ? '+' : '-'}${fromCents(Math.abs(totalDifferenceCents)).toFixed(2)})
+                </span>
+              )}
+            </span>
+          </div>
+        </div>
+
+        <div className="flex gap-3">
+          <button
+            onClick={onCancel}
+            className="flex-1 bg-gray-200 text-gray-800 py-3 rounded-lg hover:bg-gray-300 font-medium"
+          >
+            Keep {fromStore?.name || 'current store'}
+          </button>
+          <button
+            onClick={onConfirm}
+            className="flex-1 bg-orange-600 text-white py-3 rounded-lg hover:bg-orange-700 font-medium"
+          >
+            Switch Store
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const NavButton = ({ icon, label, active, onClick }) => (
   <button 
     onClick={onClick}
@@ -1425,81 +1370,180 @@ const ActionCard = ({ icon, title, subtitle, onClick, color, style }) => (
   </div>
 );
 
+// Without onClick the card is display-only (upcoming deals can't be added yet)
 const DealCard = ({ deal, onClick }) => (
   <div 
     onClick={onClick}
-    className="bg-white border border-gray-200 p-4 rounded-lg cursor-pointer hover:border-orange-400 hover:shadow-md transition-all"
+    className={`bg-white border border-gray-200 p-4 rounded-lg transition-all ${
+      onClick ? 'cursor-pointer hover:border-orange-400 hover:shadow-md' : 'opacity-80'
+    }`}
   >
     <div className="flex items-start justify-between">
       <div className="flex-1">
         <h4 className="font-medium mb-1">{deal.description}</h4>
         <div className="flex justify-between items-center">
-          <p className="text-sm text-gray-600">{deal.expires}</p>
+          <p className={`text-sm ${deal.endingSoon ? 'text-red-600 font-medium' : 'text-gray-600'}`}>
+            {deal.endingSoon && '⏰ '}{deal.expires}
+          </p>
           <span className="text-orange-600 font-bold text-sm">{deal.discount}</span>
         </div>
       </div>
-      <span className="text-gray-400 ml-2">→</span>
+      {onClick && <span className="text-gray-400 ml-2">→</span>}
     </div>
   </div>
 );
 
 
-const DealDetailsScreen = ({ deal, dealProducts, selectedStore, addToCart, setScreen, cart, calculateDeals, setCart }) => {
+// Products from productIds that the store has available, at the store's price.
+// Shared by DealDetailsScreen and the cart's deal suggestions.
+const fetchStoreProducts = async (storeId, productIds) => {
+  if (!productIds.length) return [];
+
+  // Get store-specific products with pricing
+  const { data: storeProductData, error } = await supabase
+    .from('store_products')
+    .select('price, available, product_id')
+    .eq('store_id', storeId)
+    .eq('available', true)
+    .in('product_id', productIds);
+
+  if (error || !storeProductData) {
+    console.error('Error fetching store products:', error);
+    return [];
+  }
+
+  // Get product details
+  const storeProductIds = storeProductData.map(sp => sp.product_id);
+  const { data: productDetails, error: prodError } = await supabase
+    .from('products')
+    .select('*')
+    .in('id', storeProductIds);
+
+  if (prodError || !productDetails) {
+    console.error('Error fetching product details:', prodError);
+    return [];
+  }
+
+  return productDetails.map(product => {
+    const storeProduct = storeProductData.find(sp => sp.product_id === product.id);
+    return {
+      ...product,
+      price: storeProduct.price,
+      available: storeProduct.available
+    };
+  });
+};
+
+// "You're one item away" cards for the cart's near-miss deals, with one-tap add
+// buttons for the products that complete each deal
+const CartDealSuggestions = ({ nearMisses, cart, selectedStore, addToCart }) => {
   const [products, setProducts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [showToast, setShowToast] = useState(false);
-  const [toastMessage, setToastMessage] = useState('');
-  const [initialCartQuantity, setInitialCartQuantity] = useState(0);
 
-  useEffect(() => {
-    const initialDealItems = cart.filter(item => 
-      dealProducts.some(dp => dp.product_id === item.id)
-    );
-    const initialQty = initialDealItems.reduce((sum, item) => sum + item.quantity, 0);
-    setInitialCartQuantity(initialQty);
-  }, []);
+  // Refetch only when the set of suggested products changes, not on every re-price
+  const productKey = [...new Set(nearMisses.flatMap(nm => nm.lines.flatMap(line => line.productIds)))].join(',');
 
   useEffect(() => {
-    const fetchDealProducts = async () => {
-      if (!dealProducts || dealProducts.length === 0) {
-        setLoading(false);
-        return;
-      }
+    let cancelled = false;
+    const productIds = productKey ? productKey.split(',').map(id => parseInt(id)) : [];
 
-      const productIds = dealProducts.map(dp => dp.product_id);
+    fetchStoreProducts(selectedStore.id, productIds).then(productList => {
+      if (!cancelled) setProducts(productList);
+    });
 
-      // Get store-specific products with pricing
-      const { data: storeProductData, error } = await supabase
-        .from('store_products')
-        .select('price, available, product_id')
-        .eq('store_id', selectedStore.id)
-        .eq('available', true)
-        .in('product_id', productIds);
+    return () => { cancelled = true; };
+  }, [productKey, selectedStore]);
+
+  const suggestions = nearMisses
+    .map(nearMiss => {
+      const lineProductIds = nearMiss.lines.flatMap(line => line.productIds);
+      const choices = lineProductIds
+        .map(id => products.find(p => p.id === id))
+        .filter(Boolean)
+        .slice(0, 3);
+      return { ...nearMiss, choices };
+    })
+    .filter(suggestion => suggestion.choices.length > 0)
+    .slice(0, 3);
 
-      if (error || !storeProductData) {
-        console.error('Error fetching store products:', error);
-        setLoading(false);
-        return;
-      }
+  if (suggestions.length === 0) return null;
 
-      // Get product details
-      const storeProductIds = storeProductData.map(sp => sp.product_id);
-      const { data: productDetails, error: prodError } = await supabase
-        .from('products')
-        .select('*')
-        .in('id', storeProductIds);
-
-      if (!prodError && productDetails) {
-        const productList = productDetails.map(product => {
-          const storeProduct = storeProductData.find(sp => sp.product_id === product.id);
-          return {
-            ...product,
-            price: storeProduct.price,
-            available: storeProduct.available
-          };
-        });
-        setProducts(productList);
+  return (
+    <div className="space-y-3 mb-6">
+      {suggestions.map(suggestion => {
+        // Name the product when it's more of something already in the cart
+        const inCart = cart.find(item => item.id === suggestion.choices[0].id);
+        const what = inCart ? inCart.name : `qualifying item${suggestion.missingUnits !== 1 ? 's' : ''}`;
+        const reward = suggestion.savingsCents > 0
+          ? `save ${suggestion.again ? 'another ' : ''}$${fromCents(suggestion.savingsCents).toFixed(2)}`
+          : `get ${suggestion.description}`;
+
+        return (
+          <div key={suggestion.combo_number} className="bg-orange-50 border border-orange-200 p-4 rounded-lg">
+            <p className="text-sm font-bold text-orange-700">
+              🎯 You're {suggestion.missingUnits} item{suggestion.missingUnits !== 1 ? 's' : ''} away!
+            </p>
+            <p className="text-sm text-gray-700 mb-3">
+              Add {suggestion.missingUnits} more {what} to {reward}
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {suggestion.choices.map(product => (
+                <button
+                  key={product.id}
+                  onClick={() => addToCart(product)}
+                  className="bg-orange-500 text-white text-sm px-3 py-2 rounded-lg hover:bg-orange-600 transition-colors"
+                >
+                  + {product.name} ${Number(product.price).toFixed(2)}
+                </button>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Deal line shown under a cart/order item, e.g. "🎉 PIZZA + 2 DRINKS – 3 for $9.99 (-$2.48)"
+const AppliedDealNote = ({ item }) => {
+  const deal = item.appliedDeal;
+  if (!deal) return null;
+
+  const bundleText = deal.bundle_price > 0 && deal.timesApplied
+    ? ` – ${deal.unitsInDeal / deal.timesApplied} for $${Number(deal.bundle_price).toFixed(2)}`
+    : '';
+
+  return (
+    <p className="text-xs text-orange-600 font-medium mt-1">
+      🎉 {deal.description}{bundleText}
+      {item.discountAmount > 0 && ` (-$${item.discountAmount.toFixed(2)})`}
+    </p>
+  );
+};
+
+const DealDetailsScreen = ({ deal, dealProducts, selectedStore, addToCart, setScreen, cart, calculateDeals, setCart }) => {
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showToast, setShowToast] = useState(false);
+  const [toastMessage, setToastMessage] = useState('');
+  const [initialCartQuantity, setInitialCartQuantity] = useState(0);
+
+  useEffect(() => {
+    const initialDealItems = cart.filter(item => 
+      dealProducts.some(dp => dp.product_id === item.id)
+    );
+    const initialQty = initialDealItems.reduce((sum, item) => sum + item.quantity, 0);
+    setInitialCartQuantity(initialQty);
+  }, []);
+
+  useEffect(() => {
+    const fetchDealProducts = async () => {
+      if (!dealProducts || dealProducts.length === 0) {
+        setLoading(false);
+        return;
       }
+
+      const productList = await fetchStoreProducts(selectedStore.id, dealProducts.map(dp => dp.product_id));
+      setProducts(productList);
       setLoading(false);
     };
 
@@ -1583,7 +1627,9 @@ useEffect(() => {
       <div className="flex-1">
         <h3 className="text-lg font-bold mb-1">{deal.description}</h3>
         <p className="text-sm opacity-90">
-          Buy {deal.quantity_required} and save ${deal.discount_amount?.toFixed(2)}
+          {deal.combo_price > 0
+            ? `Get ${deal.quantity_required} for $${Number(deal.combo_price).toFixed(2)}`
+            : `Buy ${deal.quantity_required} and save $${deal.discount_amount?.toFixed(2)}`}
         </p>
       </div>
       <div className="text-2xl">🎉</div>
@@ -1666,11 +1712,11 @@ useEffect(() => {
             <div className="flex items-center gap-3">
               <button 
                 onClick={() => {
-                  const updateQuantity = async (productName, change) => {
-                    const existingItem = cart.find(item => item.name === productName);
+                  const updateQuantity = async (lineId, change) => {
+                    const existingItem = cart.find(item => item.lineId === lineId);
                     if (existingItem && existingItem.quantity + change <= 0) {
                       // Remove from cart
-                      const updatedCart = cart.filter(item => item.name !== productName);
+                      const updatedCart = cart.filter(item => item.lineId !== lineId);
                       if (selectedStore) {
                         const cartWithDeals = await calculateDeals(updatedCart, selectedStore.id);
                         setCart(cartWithDeals);
@@ -1680,7 +1726,7 @@ useEffect(() => {
                     } else {
                       // Update quantity
                       const updatedCart = cart.map(item => {
-                        if (item.name === productName) {
+                        if (item.lineId === lineId) {
                           return {...item, quantity: item.quantity + change};
                         }
                         return item;
@@ -1693,7 +1739,7 @@ useEffect(() => {
                       }
                     }
                   };
-                  updateQuantity(product.name, -1);
+                  updateQuantity(inCart.lineId, -1);
                 }}
                 className="bg-gray-200 w-8 h-8 rounded-lg hover:bg-gray-300 transition-colors font-bold"
               >
@@ -1837,14 +1883,40 @@ const ToastNotification = ({ message, onClose }) => {
   );
 };
 
-const HomeScreen = ({ setScreen, loyaltyPoints, selectedStore, addToCart, setSelectedStore, stores, activeOrder, calculateDeals, setCart, cart, user }) => {
+// How far ahead HomeScreen lists upcoming deals
+const UPCOMING_DEAL_DAYS = 7;
+
+const HomeScreen = ({ setScreen, loyaltyPoints, selectedStore, addToCart, switchStore, stores, activeOrder, calculateDeals, setCart, cart, user }) => {
   const [recentOrder, setRecentOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [deals, setDeals] = useState([]);
-  const [fullDeals, setFullDeals] = useState([]);
+  const [dealSnapshot, setDealSnapshot] = useState(EMPTY_DEAL_SNAPSHOT);
   const [showToast, setShowToast] = useState(false);
   const [toastMessage, setToastMessage] = useState('');
   const [userName, setUserName] = useState('');
+  const [dealClock, setDealClock] = useState(() => new Date());
+  const [dealsRefreshKey, setDealsRefreshKey] = useState(0);
+
+  // Re-check deal windows every minute so happy-hour deals appear and drop off on time
+  // (and the "Ends in" countdowns tick)
+  useEffect(() => {
+    const timer = setInterval(() => setDealClock(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Reload the deals the moment one starts or ends, or the store's day rolls over
+  useEffect(() => {
+    if (!selectedStore) return;
+
+    const nextChange = getNextDealChange(dealSnapshot.combos, getStoreTimeZone(selectedStore), new Date());
+    const timer = setTimeout(() => {
+      console.log('⏰ Deal schedule changed, refreshing deals');
+      setDealClock(new Date());
+      setDealsRefreshKey(key => key + 1);
+    }, Math.min(Math.max(nextChange - Date.now(), 0) + 1000, 24 * 60 * 60 * 1000));
+
+    return () => clearTimeout(timer);
+  }, [dealSnapshot, selectedStore]);
 
 useEffect(() => {
     const fetchUserName = async () => {
@@ -1866,71 +1938,39 @@ useEffect(() => {
   const fetchDeals = async () => {
     if (!selectedStore) return;
     
-    const today = new Date().toISOString().split('T')[0];
-    
-    // Fetch active combos for this store
-    const { data: activeCombos, error: comboError } = await supabase
-      .from('combo_master')
-      .select('combo_number, description, start_date, end_date, age_restricted')  // ← Added age_restricted
-      .eq('store_number', selectedStore.id)
-      .lte('start_date', today)
-      .gte('end_date', today);
-    
-    if (comboError || !activeCombos || activeCombos.length === 0) {
-      console.log('No active combos found:', comboError);
-      setDeals([]);
-      setFullDeals([]);
-      return;
-    }
-    
-    // Get combo details for these combos to find discount amounts
-    const comboNumbers = activeCombos.map(c => c.combo_number);
-    const { data: comboDetails, error: detailError } = await supabase
-      .from('combo_detail')
-      .select('*')
-      .eq('store_number', selectedStore.id)
-      .in('combo_number', comboNumbers);
-    
-    if (detailError || !comboDetails) {
-      console.log('Error fetching combo details:', detailError);
+    // Combos dated for today and the next UPCOMING_DEAL_DAYS; the start/end time
+    // window is checked at render with the same isComboActiveAt the pricing engine uses
+    let snapshot;
+    try {
+      snapshot = await loadDealSnapshot(supabase, selectedStore.id, {
+        timeZone: getStoreTimeZone(selectedStore),
+        upcomingDays: UPCOMING_DEAL_DAYS
+      });
+    } catch (err) {
+      console.log('Error fetching deals:', err);
       setDeals([]);
-      setFullDeals([]);
+      setDealSnapshot(EMPTY_DEAL_SNAPSHOT);
       return;
     }
     
-    // Store full deal data
-    setFullDeals(activeCombos);
+    setDealSnapshot(snapshot);
     
     // Format deals for display
-    const formattedDeals = activeCombos.map(combo => {
-      // Find the detail for this combo to get discount info
-      const detail = comboDetails.find(cd => cd.combo_number === combo.combo_number);
-      
-      // Determine discount display
-      let discountText = '';
-      if (detail) {
-        if (detail.price && detail.price > 0) {
-          discountText = `Special Price: $${detail.price.toFixed(2)}`;
-        } else if (detail.percentage && detail.percentage > 0) {
-          discountText = `${(detail.percentage * 100).toFixed(0)}% off`;
-        } else if (detail.discount_amount && detail.discount_amount > 0) {
-          discountText = `$${detail.discount_amount.toFixed(2)} off`;
-        }
-      }
-      
-      // Calculate total quantity required
-      const totalQty = comboDetails
-        .filter(cd => cd.combo_number === combo.combo_number)
-        .reduce((sum, cd) => sum + (cd.quantity || 1), 0);
+    const formattedDeals = snapshot.combos.map(combo => {
+      const summary = summarizeCombo(snapshot, combo);
       
       return {
         combo_number: combo.combo_number,
         description: combo.description,
         title: combo.description,
-        discount: discountText || 'Special Deal',
-        quantity_required: totalQty,
-        discount_amount: detail?.discount_amount || 0,
-        expires: `Ends ${new Date(combo.end_date).toLocaleDateString()}`,
+        discount: summary.discountText || 'Special Deal',
+        quantity_required: summary.quantityRequired,
+        discount_amount: summary.discountAmount,
+        combo_price: combo.combo_price || 0,
+        start_date: combo.start_date,
+        start_time: combo.start_time,
+        end_date: combo.end_date,
+        end_time: combo.end_time,
         age_restricted: combo.age_restricted  // ← Added this
       };
     });
@@ -1939,7 +1979,7 @@ useEffect(() => {
   };
 
   fetchDeals();
-}, [selectedStore?.id]);
+}, [selectedStore?.id, dealsRefreshKey]);
 
   useEffect(() => {
     const fetchRecentOrder = async () => {
@@ -1957,6 +1997,7 @@ useEffect(() => {
         `)
         .eq('user_id', user.id)
         .eq('store_id', selectedStore.id)  // Filter by current store only
+        .not('status', 'in', `(${UNPLACED_ORDER_STATUSES.join(',')})`)
         .order('created_at', { ascending: false })
         .limit(1);  // Most recent for this store
 
@@ -1976,21 +2017,14 @@ useEffect(() => {
 const handleReorder = async () => {
   if (!recentOrder || !addToCart) return;
 
-  // Already on the right store (from filter), but set explicitly if needed
-  if (recentOrder.store_id && setSelectedStore && stores) {
-    const orderStore = stores.find(s => s.id === recentOrder.store_id);
-    if (orderStore && orderStore.id !== selectedStore?.id) {
-      setSelectedStore(orderStore);
-    }
-  }
-
-  // Start with existing cart, then add reordered items
+  // Start with existing cart, then add reordered items. Cart lines get their own
+  // line IDs; the order's belong to the order
   let newCart = [...cart];
   
-  for (const item of recentOrder.items) {
+  for (const item of parseOrderItems(recentOrder.items)) {
     const productToAdd = {
       ...item,
-      id: item.id || item.product_id,
+      lineId: newCartLineId(),
       name: item.name.trim(),
       price: Number(item.price),
       quantity: item.quantity || 1,
@@ -1999,13 +2033,29 @@ const handleReorder = async () => {
     };
     
     // Check if item already exists in newCart
-    const existingIndex = newCart.findIndex(i => i.name === productToAdd.name);
-    if (existingIndex >= 0) {
-      newCart[existingIndex].quantity += productToAdd.quantity;
+    const existingItem = findCartLine(newCart, productToAdd.id, productToAdd.modifier || 0);
+    if (existingItem) {
+      newCart = newCart.map(i =>
+        i.lineId === existingItem.lineId ? { ...i, quantity: i.quantity + productToAdd.quantity } : i
+      );
     } else {
       newCart.push(productToAdd);
     }
   }
+
+  const showAddedToast = () => {
+    const totalQuantity = recentOrder.items.reduce((sum, item) => sum + item.quantity, 0);
+    setToastMessage(`${totalQuantity} item${totalQuantity !== 1 ? 's' : ''} added to cart!`);
+    setShowToast(true);
+  };
+
+  // Already on the right store (from filter), but an order from another store moves
+  // the merged cart there, once the customer confirms the new prices
+  const orderStore = stores?.find(s => s.id === recentOrder.store_id);
+  if (orderStore && orderStore.id !== selectedStore?.id && switchStore) {
+    await switchStore(orderStore, { items: newCart, onSwitched: showAddedToast });
+    return;
+  }
   
   // Apply deals to the complete cart
   if (selectedStore) {
@@ -2015,10 +2065,7 @@ const handleReorder = async () => {
     setCart(newCart);
   }
 
-  // Show toast notification
-  const totalQuantity = recentOrder.items.reduce((sum, item) => sum + item.quantity, 0);
-  setToastMessage(`${totalQuantity} item${totalQuantity !== 1 ? 's' : ''} added to cart!`);
-  setShowToast(true);
+  showAddedToast();
 };
 
 const formatDate = (dateStr) => {
@@ -2030,6 +2077,24 @@ const formatDate = (dateStr) => {
   });
 };
 
+// "Ends Oct 24" / "Ends in 3h 12m" / "Starts Friday", as of the deal clock
+const dealsWithTiming = deals
+  .filter(deal => {
+    // Filter out age-restricted deals if user not verified
+    if (deal.age_restricted) {
+      return user?.age_verified && user?.verification_status === 'verified';
+    }
+    return true;
+  })
+  .map(deal => {
+    const timing = describeComboTiming(deal, getStoreTimeZone(selectedStore), dealClock);
+    return { ...deal, timing: timing.state, expires: timing.text, endingSoon: timing.endingSoon };
+  });
+const activeDeals = dealsWithTiming.filter(deal => isComboActiveAt(deal, getStoreTimeZone(selectedStore), dealClock));
+const upcomingDeals = dealsWithTiming
+  .filter(deal => deal.timing === 'upcoming')
+  .sort((a, b) => `${a.start_date} ${String(a.start_time).padStart(4, '0')}`.localeCompare(`${b.start_date} ${String(b.start_time).padStart(4, '0')}`));
+
 const fullLayout = (content) => (
     <div className="p-4 min-h-screen" style={{ 
       backgroundImage: `url("${getImageUrl('app-assets', 'hd_green_texture.png')}")`,
@@ -2079,18 +2144,11 @@ const fullLayout = (content) => (
         )}
       </div>
 
-{deals && deals.length > 0 && (
+{activeDeals.length > 0 && (
   <section className="mb-6">
     <h3 className="font-bold text-lg text-gray-800 mb-3">Today's Deals</h3>
     <div className="space-y-3">
-      {deals
-        .filter(deal => {
-          // Filter out age-restricted deals if user not verified
-          if (deal.age_restricted) {
-            return user?.age_verified && user?.verification_status === 'verified';
-          }
-          return true;
-        })
+      {activeDeals
         .map((deal, idx) => (
           <DealCard 
             key={idx}
@@ -2102,34 +2160,14 @@ const fullLayout = (content) => (
                 return;
               }
               
-              // Fetch mix numbers for this combo
-              const { data: comboMixes } = await supabase
-                .from('combo_detail')
-                .select('mix_number')
-                .eq('store_number', selectedStore.id)
-                .eq('combo_number', deal.combo_number);
-              
-              if (!comboMixes || comboMixes.length === 0) {
-                alert('No products found for this deal');
-                return;
-              }
-              
-              const mixNumbers = comboMixes.map(cm => cm.mix_number);
-              
-              // Fetch product IDs from mix_detail
-              const { data: mixProducts } = await supabase
-                .from('mix_detail')
-                .select('plu')
-                .eq('store_number', selectedStore.id)
-                .in('mix_number', mixNumbers);
-              
-              if (!mixProducts || mixProducts.length === 0) {
+              const productIds = getComboProductIds(dealSnapshot, deal.combo_number);
+              if (productIds.length === 0) {
                 alert('No products found for this deal');
                 return;
               }
               
               // Format for DealDetailsScreen
-              const dealProducts = mixProducts.map(mp => ({ product_id: mp.plu }));
+              const dealProducts = productIds.map(plu => ({ product_id: plu }));
               
               window.currentDeal = deal;
               window.currentDealProducts = dealProducts;
@@ -2140,6 +2178,17 @@ const fullLayout = (content) => (
     </div>
   </section>
 )}
+
+{upcomingDeals.length > 0 && (
+  <section className="mb-6">
+    <h3 className="font-bold text-lg text-gray-800 mb-3">Coming Soon</h3>
+    <div className="space-y-3">
+      {upcomingDeals.map(deal => (
+        <DealCard key={deal.combo_number} deal={deal} />
+      ))}
+    </div>
+  </section>
+)}
       {activeOrder && (
         <section className="mb-6">
           <div className="bg-gradient-to-r from-blue-500 to-blue-600 text-white p-4 rounded-lg shadow-lg">
@@ -2457,7 +2506,7 @@ const handleCategoryClick = (category, user) => {
         {!isOutOfStock && quantityInCart > 0 && (
           <div className="flex items-center justify-end gap-3 mt-3">
   <button 
-    onClick={() => updateQuantity(product.name, -1)}
+    onClick={() => updateQuantity(inCart.lineId, -1)}
     className="bg-gray-200 w-8 h-8 rounded-lg hover:bg-gray-300 transition-colors"
   >
     −
@@ -2974,87 +3023,7 @@ const AgeVerificationScreen = ({ setScreen, user, setUser }) => {  // Add setUse
   );
 };
 
-const CartScreen = ({ cart, setScreen, updateQuantity, removeFromCart, selectedStore, getSubtotal, getTax, getTotal, getTotalDiscounts }) => {
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [error, setError] = useState('');
-
-  const handleCheckout = async () => {
-  setError('');
-  setIsProcessing(true);
-
-  try {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) {
-      alert('Please sign in to checkout');
-      setIsProcessing(false);
-      return;
-    }
-
-    const { data: paymentMethods } = await supabase
-      .from('payment_methods')
-      .select('*')
-      .eq('user_id', user.id)
-      .eq('is_default', true)
-      .single();
-
-    if (!paymentMethods) {
-      alert('Please add a payment method first');
-      setScreen('account');
-      setIsProcessing(false);
-      return;
-    }
-
-    const response = await fetch(process.env.REACT_APP_EDGE_FUNCTION_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.REACT_APP_SUPABASE_ANON_KEY}`
-      },
-      body: JSON.stringify({
-        amount: getTotal(),
-        paymentMethodId: paymentMethods.stripe_payment_method_id,
-        userId: user.id,
-        userEmail: user.email
-      })
-    });
-
-    const result = await response.json();
-
-    if (!response.ok || !result.success) {
-      throw new Error(result.error || 'Payment failed');
-    }
-
-    const { error: orderError } = await supabase
-      .from('orders')
-      .insert({
-        user_id: user.id,
-        store_id: selectedStore.id,
-        payment_method_id: paymentMethods.id,
-        stripe_payment_intent_id: result.paymentIntentId,
-        subtotal: getSubtotal(),
-        tax: getTax(),
-        total: getTotal(),
-        status: 'completed',
-        items: cart
-      });
-
-    if (orderError) {
-      console.error('Order save error:', orderError);
-      throw new Error('Payment successful but failed to save order');
-    }
-
-    alert('Order placed successfully!');
-    cart.forEach(item => removeFromCart(item.name));
-    setScreen('home');
-    
-  } catch (err) {
-    setError(err.message);
-    alert('Payment failed: ' + err.message);
-  } finally {
-    setIsProcessing(false);
-  }
-};
-
+const CartScreen = ({ cart, setScreen, updateQuantity, removeFromCart, addToCart, nearMisses, selectedStore, getSubtotal, getTax, getTotal, getTotalDiscounts }) => {
   return (
     <div className="p-4 min-h-screen" style={{ 
       backgroundImage: `url("${getImageUrl('app-assets', 'hd_green_texture.png')}")`,
@@ -3079,8 +3048,8 @@ const CartScreen = ({ cart, setScreen, updateQuantity, removeFromCart, selectedS
       ) : (
         <>
           <div className="space-y-3 mb-6">
-  {cart.map((item, idx) => (
-    <div key={idx} className="bg-white border border-gray-200 p-4 rounded-lg">
+  {cart.map(item => (
+    <div key={item.lineId} className="bg-white border border-gray-200 p-4 rounded-lg">
       <div className="flex justify-between items-start mb-2">
         <div className="flex items-center flex-1">
           <ProductImageDisplay 
@@ -3090,15 +3059,14 @@ const CartScreen = ({ cart, setScreen, updateQuantity, removeFromCart, selectedS
           <div className="flex-1">
             <h4 className="font-medium">{item.name}</h4>
             <p className="text-green-600 font-bold">${item.price.toFixed(2)}</p>
-            {item.appliedDeal && (
-              <p className="text-xs text-orange-600 font-medium mt-1">
-                🎉 Discount applied!
-              </p>
+            {item.unavailable && (
+              <p className="text-sm text-red-600 font-medium">Not available at this store</p>
             )}
+            <AppliedDealNote item={item} />
           </div>
         </div>
         <button 
-          onClick={() => removeFromCart(item.name)}
+          onClick={() => removeFromCart(item.lineId)}
           className="text-red-600 hover:underline text-sm"
         >
           Remove
@@ -3106,14 +3074,14 @@ const CartScreen = ({ cart, setScreen, updateQuantity, removeFromCart, selectedS
       </div>
       <div className="flex items-center gap-3">
         <button 
-          onClick={() => updateQuantity(item.name, -1)}
+          onClick={() => updateQuantity(item.lineId, -1)}
           className="bg-gray-200 w-8 h-8 rounded-lg hover:bg-gray-300 transition-colors"
         >
           −
         </button>
         <span className="font-medium">{item.quantity}</span>
         <button 
-          onClick={() => updateQuantity(item.name, 1)}
+          onClick={() => updateQuantity(item.lineId, 1)}
           className="bg-gray-200 w-8 h-8 rounded-lg hover:bg-gray-300 transition-colors"
         >
           +
@@ -3126,6 +3094,10 @@ const CartScreen = ({ cart, setScreen, updateQuantity, removeFromCart, selectedS
   ))}
 </div>
 
+          {selectedStore && nearMisses?.length > 0 && (
+            <CartDealSuggestions nearMisses={nearMisses} cart={cart} selectedStore={selectedStore} addToCart={addToCart} />
+          )}
+
           <div className="bg-white border border-gray-200 p-4 rounded-lg mb-6">
   <div className="flex justify-between mb-2">
     <span className="text-gray-600">Subtotal</span>
@@ -3158,15 +3130,16 @@ const CartScreen = ({ cart, setScreen, updateQuantity, removeFromCart, selectedS
   </div>
 </div>
 
-          {error && (
+          {cart.some(item => item.unavailable) && (
             <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4 text-sm">
-              {error}
+              Remove the items that aren't available at {selectedStore?.name || 'this store'} to check out.
             </div>
           )}
 
           <button 
   onClick={() => setScreen('checkout-confirmation')}
-  className="bg-red-600 text-white px-6 py-4 rounded-lg hover:bg-red-700 transition-colors w-full font-bold text-lg"
+  disabled={cart.some(item => item.unavailable)}
+  className="bg-red-600 text-white px-6 py-4 rounded-lg hover:bg-red-700 transition-colors w-full font-bold text-lg disabled:bg-gray-400"
 >
   Continue to Checkout
 </button>
@@ -3375,8 +3348,13 @@ const CheckoutConfirmationScreen = ({ cart, selectedStore, getSubtotal, getTax,
       specialInstructions
     };
 
-    await onConfirmOrder(orderDetails);
-    setIsProcessing(false);
+    try {
+      await onConfirmOrder(orderDetails);
+    } catch (err) {
+      // Already reported by onConfirmOrder; the customer can try again
+    } finally {
+      setIsProcessing(false);
+    }
   };
 
   const getCardIcon = (brand) => {
@@ -3433,6 +3411,7 @@ const CheckoutConfirmationScreen = ({ cart, selectedStore, getSubtotal, getTax,
                 <div>
                   <p className="font-medium text-sm">{item.name}</p>
                   <p className="text-gray-600 text-xs">Qty: {item.quantity}</p>
+                  <AppliedDealNote item={item} />
                 </div>
               </div>
               <span className="font-medium">${(item.price * item.quantity).toFixed(2)}</span>
@@ -4546,6 +4525,7 @@ const OrderHistoryScreen = ({ user, setScreen, stores, setTrackingOrderId }) =>
         store:stores(name)
       `)
       .eq('user_id', user.id)
+      .not('status', 'in', `(${UNPLACED_ORDER_STATUSES.join(',')})`)
       .order('created_at', { ascending: false })
       .range(pageNum * pageSize, (pageNum + 1) * pageSize - 1);
 
@@ -5532,7 +5512,7 @@ const MapView = ({ stores, selectedStore, setSelectedStore, userLocation, getCur
     </div>
   );
 };
-const StoreManagerApp = ({ user, handleSignOut, calculatePartialRefund, processRefund }) => {
+const StoreManagerApp = ({ user, isAdmin, handleSignOut, calculatePartialRefund, processRefund }) => {
   const [assignedStores, setAssignedStores] = useState([]);
   const [selectedStore, setSelectedStore] = useState(null);
   const [orders, setOrders] = useState([]);
@@ -5578,15 +5558,19 @@ const [refundedSearchQuery, setRefundedSearchQuery] = useState('');
     }
   }, [orders, alertAudio]);
 
-  // Fetch stores this manager is assigned to
+  // Fetch stores this manager is assigned to (admins get every store)
   useEffect(() => {
     const fetchAssignedStores = async () => {
       console.log('Fetching stores for manager:', user.email);
       
-      const { data, error } = await supabase
+      let query = supabase
         .from('stores')
         .select('*')
-        .eq('manager_email', user.email);
+        .order('id', { ascending: true });
+      if (!isAdmin) {
+        query = query.eq('manager_email', user.email);
+      }
+      const { data, error } = await query;
 
       console.log('Stores query result:', { data, error });
 
@@ -5599,7 +5583,7 @@ const [refundedSearchQuery, setRefundedSearchQuery] = useState('');
     };
 
     fetchAssignedStores();
-  }, [user.email]);
+  }, [user.email, isAdmin]);
 
   // Fetch active orders for selected store
   useEffect(() => {
@@ -5713,7 +5697,7 @@ const channel = supabase
   // Fetch store products
 // Fetch store products with real-time updates
   useEffect(() => {
-    if (!selectedStore || activeTab !== 'products') return;
+    if (!selectedStore || (activeTab !== 'products' && activeTab !== 'simulator')) return;
 
     const fetchProducts = async () => {
       const { data: storeProducts, error } = await supabase
@@ -5884,6 +5868,16 @@ const channel = supabase
     >
       ID Verify
     </button>
+    <button
+      onClick={() => setActiveTab('simulator')}
+      className={`flex-1 py-3 px-4 font-medium text-sm transition-colors ${
+        activeTab === 'simulator'
+          ? 'bg-orange-600 text-white'
+          : 'text-gray-600 hover:bg-gray-100'
+      }`}
+    >
+      Deal Simulator
+    </button>
     <button
       onClick={() => setActiveTab('settings')}
       className={`flex-1 py-3 px-4 font-medium text-sm transition-colors ${
@@ -5894,6 +5888,18 @@ const channel = supabase
     >
       Settings
     </button>
+    {isAdmin && (
+      <button
+        onClick={() => setActiveTab('deals')}
+        className={`flex-1 py-3 px-4 font-medium text-sm transition-colors ${
+          activeTab === 'deals'
+            ? 'bg-orange-600 text-white'
+            : 'text-gray-600 hover:bg-gray-100'
+        }`}
+      >
+        Deals
+      </button>
+    )}
   </div>
 </div>
 
@@ -6002,10 +6008,20 @@ const channel = supabase
   <ManualIDVerificationScreen selectedStore={selectedStore} />
 )}
 
+      {/* Deal Simulator View */}
+      {activeTab === 'simulator' && (
+        <DealSimulatorView store={selectedStore} products={products} />
+      )}
+
       {/* Settings View */}
       {activeTab === 'settings' && (
         <StoreSettingsView store={selectedStore} />
       )}
+
+      {/* Deal Authoring View (admins) */}
+      {isAdmin && activeTab === 'deals' && (
+        <DealAuthoringView stores={assignedStores} />
+      )}
     </div>
   );
 };
@@ -7108,7 +7124,7 @@ const formatDate = (dateStr) => {
         <div className="space-y-3">
           {filteredOrders.map(order => {
             // Calculate original total by adding refund back to current total
-            const originalTotal = (order.total || 0) + (order.refunded_amount || 0);
+            const originalTotal = fromCents(toCents(order.total) + toCents(order.refunded_amount));
             const isFullRefund = order.total === 0;
             
             return (
@@ -7306,6 +7322,803 @@ const StoreSettingsView = ({ store }) => {
   );
 };
 
+// Builds a hypothetical cart for the selected store and shows, for every combo dated
+// for that day, whether it applied, the units it used, or why it didn't
+const DealSimulatorView = ({ store, products }) => {
+  const [cart, setCart] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [simulateAt, setSimulateAt] = useState('');       // datetime-local value; empty = now
+  const [customerEmail, setCustomerEmail] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  const productNames = {};
+  products.forEach(sp => { productNames[sp.product_id] = sp.products?.name; });
+
+  const searchLower = searchTerm.toLowerCase();
+  const matchingProducts = searchTerm
+    ? products.filter(sp =>
+        (sp.products?.name || '').toLowerCase().includes(searchLower) || String(sp.product_id).includes(searchLower)
+      ).slice(0, 8)
+    : [];
+
+  const addToSimulatedCart = (storeProduct) => {
+    setCart(current => {
+      const existing = current.find(item => item.id === storeProduct.product_id && item.modifier === 0);
+      if (existing) {
+        return current.map(item => (item === existing ? { ...item, quantity: item.quantity + 1 } : item));
+      }
+      return [...current, {
+        id: storeProduct.product_id,
+        name: storeProduct.products?.name,
+        price: storeProduct.price ?? storeProduct.products?.price ?? 0,
+        quantity: 1,
+        modifier: 0
+      }];
+    });
+    setSearchTerm('');
+    setResult(null);
+  };
+
+  const updateSimulatedItem = (index, changes) => {
+    setCart(current => current
+      .map((item, i) => (i === index ? { ...item, ...changes } : item))
+      .filter(item => item.quantity > 0));
+    setResult(null);
+  };
+
+  const runSimulation = async () => {
+    setIsRunning(true);
+    setError(null);
+    try {
+      const at = simulateAt ? new Date(simulateAt) : new Date();
+
+      // Per-customer limits count that customer's earlier redemptions
+      let userId = null;
+      if (customerEmail.trim()) {
+        const { data: profile, error: profileError } = await supabase
+          .from('profiles')
+          .select('id')
+          .ilike('email', customerEmail.trim())
+          .maybeSingle();
+        if (profileError) throw profileError;
+        if (!profile) throw new Error(`No customer with email ${customerEmail.trim()}`);
+        userId = profile.id;
+      }
+
+      const snapshot = await loadDealSnapshot(supabase, store.id, { at, timeZone: getStoreTimeZone(store), userId });
+      const simulation = simulateDeals(cart.map(item => ({ ...item, discountAmount: 0, appliedDeal: null })), snapshot, {
+        at,
+        taxRate: store.tax_rate || 0,
+        productNames
+      });
+      simulation.pricing.warnings.forEach(warning => console.warn('⚠️', warning));
+      setResult(simulation);
+    } catch (err) {
+      console.error('💥 Error simulating deals:', err);
+      setError(err.message);
+    }
+    setIsRunning(false);
+  };
+
+  const statusColors = {
+    applied: 'bg-green-100 text-green-800',
+    not_selected: 'bg-blue-100 text-blue-800',
+    insufficient_quantity: 'bg-yellow-100 text-yellow-800'
+  };
+
+  return (
+    <div className="p-4">
+      <h2 className="text-xl font-bold mb-4">Deal Simulator</h2>
+
+      <div className="grid grid-cols-2 gap-4">
+        {/* Cart builder */}
+        <div className="bg-white rounded-lg p-4 shadow space-y-4">
+          <div className="relative">
+            <input
+              type="text"
+              placeholder="Add a product by name or PLU..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-lg"
+            />
+            {matchingProducts.length > 0 && (
+              <div className="absolute z-10 left-0 right-0 bg-white border rounded-lg shadow mt-1 divide-y">
+                {matchingProducts.map(sp => (
+                  <button
+                    key={sp.product_id}
+                    onClick={() => addToSimulatedCart(sp)}
+                    className="w-full text-left px-3 py-2 text-sm hover:bg-orange-50 flex justify-between"
+                  >
+                    <span>{sp.products?.name}</span>
+                    <span className="text-gray-500">#{sp.product_id}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {cart.length === 0 ? (
+            <p className="text-sm text-gray-600 text-center py-4">Add products to build a cart</p>
+          ) : (
+            <div className="space-y-2">
+              {cart.map((item, i) => (
+                <div key={`${item.id}-${i}`} className="flex items-center gap-2 text-sm">
+                  <span className="flex-1">{item.name} <span className="text-gray-500">${Number(item.price).toFixed(2)}</span></span>
+                  <button onClick={() => updateSimulatedItem(i, { quantity: item.quantity - 1 })} className="w-7 h-7 rounded bg-gray-200">−</button>
+                  <span className="w-6 text-center">{item.quantity}</span>
+                  <button onClick={() => updateSimulatedItem(i, { quantity: item.quantity + 1 })} className="w-7 h-7 rounded bg-gray-200">+</button>
+                  <label className="text-xs text-gray-600 flex items-center gap-1">
+                    Mod
+                    <input
+                      type="number"
+                      min="0"
+                      value={item.modifier}
+                      onChange={(e) => updateSimulatedItem(i, { modifier: parseInt(e.target.value) || 0 })}
+                      className="w-12 p-1 border border-gray-300 rounded"
+                    />
+                  </label>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Simulate at</label>
+              <input
+                type="datetime-local"
+                value={simulateAt}
+                onChange={(e) => { setSimulateAt(e.target.value); setResult(null); }}
+                className="w-full p-2 border border-gray-300 rounded"
+              />
+              <p className="text-xs text-gray-500 mt-1">Leave empty for now</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Customer email</label>
+              <input
+                type="email"
+                value={customerEmail}
+                onChange={(e) => { setCustomerEmail(e.target.value); setResult(null); }}
+                placeholder="Optional"
+                className="w-full p-2 border border-gray-300 rounded"
+              />
+              <p className="text-xs text-gray-500 mt-1">Counts their earlier redemptions</p>
+            </div>
+          </div>
+
+          <button
+            onClick={runSimulation}
+            disabled={isRunning || !store}
+            className="w-full py-3 rounded-lg font-medium bg-orange-600 text-white hover:bg-orange-700 disabled:opacity-50"
+          >
+            {isRunning ? 'Simulating...' : 'Run Simulation'}
+          </button>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+
+        {/* Results */}
+        <div className="space-y-2">
+          {!result ? (
+            <div className="bg-white p-8 rounded-lg text-center">
+              <p className="text-gray-600">Run the simulation to see which deals apply</p>
+            </div>
+          ) : (
+            <>
+              <div className="bg-white rounded-lg p-4 shadow text-sm">
+                <div className="flex justify-between"><span>Subtotal</span><span>${fromCents(result.pricing.subtotalCents).toFixed(2)}</span></div>
+                <div className="flex justify-between text-green-700"><span>Deals</span><span>−${fromCents(result.pricing.discountCents).toFixed(2)}</span></div>
+                <div className="flex justify-between"><span>Tax</span><span>${fromCents(result.pricing.taxCents).toFixed(2)}</span></div>
+                <div className="flex justify-between font-bold"><span>Total</span><span>${fromCents(result.pricing.totalCents).toFixed(2)}</span></div>
+              </div>
+
+              {result.combos.length === 0 && (
+                <div className="bg-white p-8 rounded-lg text-center">
+                  <p className="text-gray-600">No deals are dated for this day at {store.name}</p>
+                </div>
+              )}
+              {result.combos.map(combo => (
+                <div key={combo.combo_number} className="bg-white rounded-lg p-4 shadow text-sm">
+                  <div className="flex justify-between items-start mb-1">
+                    <h3 className="font-medium">{combo.description} <span className="text-gray-500">#{combo.combo_number}</span></h3>
+                    <span className={`text-xs px-2 py-1 rounded ${statusColors[combo.status] || 'bg-gray-100 text-gray-700'}`}>
+                      {combo.label}
+                    </span>
+                  </div>
+                  {combo.reasons.map(reason => (
+                    <p key={reason} className="text-gray-600">{reason}</p>
+                  ))}
+                  {combo.units.length > 0 && (
+                    <ul className="mt-2 text-gray-700">
+                      {combo.units.map((unit, i) => (
+                        <li key={i}>
+                          {unit.units} × {unit.name} (line {unit.sequence})
+                          {unit.discountCents > 0 ? ` −$${fromCents(unit.discountCents).toFixed(2)}` : ' qualifier'}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Admin Deals tab: every combo across the stores, and the editor for one of them.
+// Saving goes through the save_deal RPC, which records the save as a deal batch
+// (see supabase/migrations/20261019130000_deal_authoring.sql).
+const DealAuthoringView = ({ stores }) => {
+  const [deals, setDeals] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [editing, setEditing] = useState(null); // { draft, warnings, isNew }
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchDeals = async () => {
+      setIsLoading(true);
+      const { data, error } = await supabase
+        .from('combo_master')
+        .select('store_number, combo_number, description, start_date, end_date')
+        .order('combo_number', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching deals:', error);
+        setLoadError(error.message);
+      } else {
+        // One entry per combo_number, with the stores running it
+        const byCombo = {};
+        (data || []).forEach(row => {
+          if (!byCombo[row.combo_number]) {
+            byCombo[row.combo_number] = { ...row, storeNumbers: [] };
+          }
+          byCombo[row.combo_number].storeNumbers.push(row.store_number);
+        });
+        setDeals(Object.values(byCombo));
+        setLoadError(null);
+      }
+      setIsLoading(false);
+    };
+
+    fetchDeals();
+  }, [reloadKey]);
+
+  const openDeal = async (comboNumber) => {
+    try {
+      const { data: comboRows, error: comboError } = await supabase
+        .from('combo_master')
+        .select('*')
+        .eq('combo_number', comboNumber);
+      if (comboError) throw comboError;
+
+      const storeNumbers = comboRows.map(row => row.store_number);
+      const { data: comboDetails, error: detailError } = await supabase
+        .from('combo_detail')
+        .select('*')
+        .eq('combo_number', comboNumber)
+        .in('store_number', storeNumbers);
+      if (detailError) throw detailError;
+
+      const mixNumbers = [...new Set(comboDetails.filter(line => line.mix_number).map(line => line.mix_number))];
+      let mixDetails = [];
+      if (mixNumbers.length) {
+        const { data, error } = await supabase
+          .from('mix_detail')
+          .select('store_number, mix_number, plu')
+          .in('mix_number', mixNumbers)
+          .in('store_number', storeNumbers);
+        if (error) throw error;
+        mixDetails = data;
+      }
+
+      const productIds = [...new Set([...comboDetails.map(line => line.plu_number), ...mixDetails.map(md => md.plu)].filter(Boolean))];
+      const productNames = {};
+      if (productIds.length) {
+        const { data, error } = await supabase
+          .from('products')
+          .select('id, name')
+          .in('id', productIds);
+        if (error) throw error;
+        data.forEach(product => { productNames[product.id] = product.name; });
+      }
+
+      const { draft, warnings } = dealDraftFromRows({ comboRows, comboDetails, mixDetails, productNames });
+      setEditing({ draft, warnings, isNew: false });
+    } catch (error) {
+      console.error('Error loading deal:', error);
+      alert('Failed to load deal: ' + error.message);
+    }
+  };
+
+  const newDeal = () => {
+    setEditing({
+      draft: { ...emptyDealDraft(), comboNumber: nextComboNumber(deals.map(deal => deal.combo_number)) },
+      warnings: [],
+      isNew: true
+    });
+  };
+
+  if (editing) {
+    return (
+      <DealEditor
+        key={editing.draft.comboNumber}
+        initialDraft={editing.draft}
+        warnings={editing.warnings}
+        isNew={editing.isNew}
+        stores={stores}
+        onClose={() => setEditing(null)}
+        onSaved={() => {
+          setEditing(null);
+          setReloadKey(key => key + 1);
+        }}
+      />
+    );
+  }
+
+  const searchLower = searchTerm.toLowerCase();
+  const filteredDeals = deals.filter(deal =>
+    (deal.description || '').toLowerCase().includes(searchLower) || String(deal.combo_number).includes(searchLower)
+  );
+
+  return (
+    <div className="p-4">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">Deals</h2>
+        <button
+          onClick={newDeal}
+          disabled={isLoading}
+          className="px-4 py-2 rounded-lg font-medium bg-orange-600 text-white hover:bg-orange-700 disabled:opacity-50"
+        >
+          + New Deal
+        </button>
+      </div>
+
+      <div className="mb-4">
+        <input
+          type="text"
+          placeholder="Search deals..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="w-full p-3 border border-gray-300 rounded-lg"
+        />
+      </div>
+
+      {loadError && (
+        <div className="bg-red-50 text-red-800 p-3 rounded-lg mb-4 text-sm">Failed to load deals: {loadError}</div>
+      )}
+
+      <div className="space-y-2">
+        {isLoading ? (
+          <div className="bg-white p-8 rounded-lg text-center">
+            <p className="text-gray-600">Loading deals...</p>
+          </div>
+        ) : filteredDeals.length === 0 ? (
+          <div className="bg-white p-8 rounded-lg text-center">
+            <p className="text-gray-600">No deals found</p>
+          </div>
+        ) : (
+          filteredDeals.map(deal => (
+            <button
+              key={deal.combo_number}
+              onClick={() => openDeal(deal.combo_number)}
+              className="w-full text-left bg-white rounded-lg p-4 shadow flex items-center justify-between hover:bg-orange-50"
+            >
+              <div>
+                <h3 className="font-medium">{deal.description}</h3>
+                <p className="text-sm text-gray-600">
+                  Combo #{deal.combo_number} • {deal.start_date} to {deal.end_date} • {deal.storeNumbers.length} store(s)
+                </p>
+              </div>
+              <span className="text-orange-600 text-sm font-medium">Edit</span>
+            </button>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+const DealEditor = ({ initialDraft, warnings, isNew, stores, onClose, onSaved }) => {
+  const [draft, setDraft] = useState(initialDraft);
+  const [showErrors, setShowErrors] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  const errors = validateDealDraft(draft);
+  const fieldError = (field) => showErrors && errors.find(e => e.field === field)?.message;
+
+  const setField = (field, value) => {
+    setDraft(current => ({ ...current, [field]: value }));
+    setPreview(null);
+  };
+
+  const updateLine = (index, changes) => {
+    setDraft(current => ({
+      ...current,
+      lines: current.lines.map((line, i) => (i === index ? { ...line, ...changes } : line))
+    }));
+    setPreview(null);
+  };
+
+  const toggleStore = (storeNumber) => {
+    setField('storeNumbers', draft.storeNumbers.includes(storeNumber)
+      ? draft.storeNumbers.filter(n => n !== storeNumber)
+      : [...draft.storeNumbers, storeNumber].sort((a, b) => a - b));
+  };
+
+  const handleSave = async () => {
+    if (errors.length) {
+      setShowErrors(true);
+      return;
+    }
+
+    setIsSaving(true);
+    setSaveError(null);
+    const { error } = await supabase.rpc('save_deal', {
+      p_combo_number: draft.comboNumber,
+      p_store_numbers: draft.storeNumbers,
+      p_records: dealDraftToRows(draft)
+    });
+    setIsSaving(false);
+
+    if (error) {
+      console.error('Error saving deal:', error);
+      setSaveError(error.message);
+    } else {
+      console.log('✅ Deal saved:', draft.comboNumber);
+      onSaved();
+    }
+  };
+
+  // Sample cart at the first selected store's prices
+  const handlePreview = async () => {
+    const storeNumber = draft.storeNumbers[0];
+    const productIds = draft.lines.map(line => line.products[0]?.id).filter(Boolean);
+    if (!storeNumber || !productIds.length) {
+      setPreview({ message: 'Pick a store and add products to preview the deal.' });
+      return;
+    }
+
+    const { data, error } = await supabase
+      .from('store_products')
+      .select('product_id, price')
+      .eq('store_id', storeNumber)
+      .in('product_id', productIds);
+    if (error) {
+      setPreview({ message: 'Failed to load prices: ' + error.message });
+      return;
+    }
+
+    const prices = {};
+    data.forEach(sp => { prices[sp.product_id] = sp.price; });
+    setPreview({ storeNumber, ...previewDealDraft(draft, prices) });
+  };
+
+  const inputClass = (field) => `w-full p-2 border rounded ${fieldError(field) ? 'border-red-500' : 'border-gray-300'}`;
+  const errorText = (field) => (fieldError(field) ? <p className="text-xs text-red-600 mt-1">{fieldError(field)}</p> : null);
+
+  return (
+    <div className="p-4">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">{isNew ? 'New Deal' : 'Edit Deal'} • Combo #{draft.comboNumber}</h2>
+        <button onClick={onClose} className="text-sm text-gray-600 hover:text-gray-800">← Back to deals</button>
+      </div>
+
+      {warnings.map(warning => (
+        <div key={warning} className="bg-yellow-50 text-yellow-800 p-3 rounded-lg mb-2 text-sm">⚠️ {warning}</div>
+      ))}
+      {!isNew && draft.comboNumber < AUTHORED_COMBO_START && (
+        <div className="bg-yellow-50 text-yellow-800 p-3 rounded-lg mb-4 text-sm">
+          ⚠️ This deal came from the POS. The next deal import will overwrite your changes unless they are exported
+          back to the POS first (export-deals.js).
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg p-4 shadow space-y-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+          <input
+            type="text"
+            value={draft.description}
+            onChange={(e) => setField('description', e.target.value)}
+            placeholder="e.g. Copenhagen 2 for $10"
+            className={inputClass('description')}
+          />
+          {errorText('description')}
+        </div>
+
+        <div className="grid grid-cols-4 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+            <input type="date" value={draft.startDate} onChange={(e) => setField('startDate', e.target.value)} className={inputClass('startDate')} />
+            {errorText('startDate')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Start Time</label>
+            <input type="time" value={draft.startTime} onChange={(e) => setField('startTime', e.target.value)} className={inputClass('startTime')} />
+            {errorText('startTime')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
+            <input type="date" value={draft.endDate} onChange={(e) => setField('endDate', e.target.value)} className={inputClass('endDate')} />
+            {errorText('endDate')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">End Time</label>
+            <input type="time" value={draft.endTime} onChange={(e) => setField('endTime', e.target.value)} className={inputClass('endTime')} />
+            {errorText('endTime')}
+          </div>
+        </div>
+        <p className="text-xs text-gray-500">Times are each store's local time.</p>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Stores</label>
+          <div className="flex flex-wrap gap-2">
+            {stores.map(store => (
+              <label key={store.id} className="flex items-center gap-2 text-sm border rounded px-2 py-1">
+                <input type="checkbox" checked={draft.storeNumbers.includes(store.id)} onChange={() => toggleStore(store.id)} />
+                {store.name}
+              </label>
+            ))}
+          </div>
+          {errorText('storeNumbers')}
+        </div>
+
+        <div className="grid grid-cols-3 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Limit per Transaction</label>
+            <input
+              type="number"
+              min="1"
+              value={draft.transactionLimit}
+              onChange={(e) => setField('transactionLimit', e.target.value)}
+              className={inputClass('transactionLimit')}
+            />
+            {errorText('transactionLimit')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Pricing</label>
+            <select value={draft.pricing} onChange={(e) => setField('pricing', e.target.value)} className="w-full p-2 border border-gray-300 rounded">
+              <option value="lines">Discount per line</option>
+              <option value="bundle">Bundle price</option>
+            </select>
+          </div>
+          {draft.pricing === 'bundle' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Bundle Price ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={draft.bundlePrice}
+                onChange={(e) => setField('bundlePrice', e.target.value)}
+                className={inputClass('bundlePrice')}
+              />
+              {errorText('bundlePrice')}
+            </div>
+          )}
+        </div>
+
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={draft.ageRestricted} onChange={(e) => setField('ageRestricted', e.target.checked)} />
+          🔞 Age restricted (only shown to ID-verified customers)
+        </label>
+      </div>
+
+      <div className="space-y-3 mb-4">
+        {draft.lines.map((line, i) => (
+          <div key={i} className="bg-white rounded-lg p-4 shadow space-y-3">
+            <div className="flex justify-between items-center">
+              <h3 className="font-medium">Line {i + 1}</h3>
+              {draft.lines.length > 1 && (
+                <button
+                  onClick={() => setField('lines', draft.lines.filter((_, j) => j !== i))}
+                  className="text-sm text-red-600 hover:text-red-800"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+
+            <DealProductPicker
+              products={line.products}
+              onChange={(products) => updateLine(i, { products })}
+            />
+            {errorText(`lines.${i}.products`)}
+
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Quantity</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={line.quantity}
+                  onChange={(e) => updateLine(i, { quantity: e.target.value })}
+                  className={inputClass(`lines.${i}.quantity`)}
+                />
+                {errorText(`lines.${i}.quantity`)}
+              </div>
+              {draft.pricing === 'lines' && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Discount</label>
+                    <select
+                      value={line.discountType}
+                      onChange={(e) => updateLine(i, { discountType: e.target.value })}
+                      className="w-full p-2 border border-gray-300 rounded"
+                    >
+                      {LINE_DISCOUNT_TYPES.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {line.discountType !== 'none' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {line.discountType === 'percent_off' ? 'Percent' : 'Amount ($)'}
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step={line.discountType === 'percent_off' ? '1' : '0.01'}
+                        value={line.discountValue}
+                        onChange={(e) => updateLine(i, { discountValue: e.target.value })}
+                        className={inputClass(`lines.${i}.discountValue`)}
+                      />
+                      {errorText(`lines.${i}.discountValue`)}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+        {errorText('lines')}
+        {draft.lines.length < MAX_DEAL_LINES && (
+          <button
+            onClick={() => setField('lines', [...draft.lines, emptyDealLine()])}
+            className="w-full py-2 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:bg-white"
+          >
+            + Add Line
+          </button>
+        )}
+      </div>
+
+      {preview && (
+        <div className="bg-white rounded-lg p-4 shadow mb-4 text-sm">
+          <h3 className="font-medium mb-2">Preview</h3>
+          {preview.message ? (
+            <p className="text-gray-600">{preview.message}</p>
+          ) : (
+            <>
+              <p className="text-gray-600 mb-2">
+                Sample cart at store {preview.storeNumber} • Deal card: <strong>{preview.summary.discountText || 'no discount'}</strong>
+              </p>
+              {preview.pricing.lines.map(line => (
+                <div key={line.index} className="flex justify-between">
+                  <span>{line.quantity} × {line.name}</span>
+                  <span>
+                    ${fromCents(line.subtotalCents).toFixed(2)}
+                    {line.discountCents > 0 && <span className="text-green-700"> −${fromCents(line.discountCents).toFixed(2)}</span>}
+                  </span>
+                </div>
+              ))}
+              {preview.missingPrices.map(product => (
+                <p key={product.id} className="text-yellow-700">⚠️ {product.name} isn't sold at store {preview.storeNumber}</p>
+              ))}
+              <p className={`mt-2 font-medium ${preview.pricing.discountCents > 0 ? 'text-green-700' : 'text-red-600'}`}>
+                {preview.pricing.discountCents > 0
+                  ? `Customer saves $${fromCents(preview.pricing.discountCents).toFixed(2)} (total $${fromCents(preview.pricing.totalCents).toFixed(2)})`
+                  : `Deal doesn't apply: ${preview.pricing.combos[0]?.status.replace(/_/g, ' ')}`}
+              </p>
+            </>
+          )}
+        </div>
+      )}
+
+      {saveError && (
+        <div className="bg-red-50 text-red-800 p-3 rounded-lg mb-4 text-sm">Failed to save deal: {saveError}</div>
+      )}
+      {showErrors && errors.length > 0 && (
+        <div className="bg-red-50 text-red-800 p-3 rounded-lg mb-4 text-sm">Fix the {errors.length} problem(s) above before saving.</div>
+      )}
+
+      <div className="flex gap-3">
+        <button onClick={handlePreview} className="flex-1 py-3 rounded-lg font-medium bg-gray-200 text-gray-800 hover:bg-gray-300">
+          Preview
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="flex-1 py-3 rounded-lg font-medium bg-orange-600 text-white hover:bg-orange-700 disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save Deal'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Products for one deal line, found by name or PLU
+const DealProductPicker = ({ products, onChange }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [results, setResults] = useState([]);
+
+  const search = async () => {
+    // Characters that would break the PostgREST filter syntax
+    const term = searchTerm.trim().replace(/[,()%*]/g, '');
+    if (!term) return;
+
+    const filter = /^\d+$/.test(term) ? `name.ilike.%${term}%,id.eq.${term}` : `name.ilike.%${term}%`;
+    const { data, error } = await supabase
+      .from('products')
+      .select('id, name')
+      .or(filter)
+      .order('name', { ascending: true })
+      .limit(10);
+
+    if (error) {
+      console.error('Error searching products:', error);
+    } else {
+      setResults(data || []);
+    }
+  };
+
+  const addProduct = (product) => {
+    if (!products.some(p => p.id === product.id)) {
+      onChange([...products, { id: product.id, name: product.name }]);
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">Products (any of these)</label>
+      <div className="flex flex-wrap gap-2 mb-2">
+        {products.map(product => (
+          <span key={product.id} className="bg-orange-100 text-orange-800 text-sm px-2 py-1 rounded flex items-center gap-1">
+            {product.name} <span className="text-xs opacity-70">#{product.id}</span>
+            <button onClick={() => onChange(products.filter(p => p.id !== product.id))} className="ml-1 font-bold">×</button>
+          </span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          placeholder="Search by name or PLU..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') search(); }}
+          className="flex-1 p-2 border border-gray-300 rounded"
+        />
+        <button onClick={search} className="px-3 py-2 rounded bg-gray-200 hover:bg-gray-300 text-sm">
+          <Search size={16} />
+        </button>
+      </div>
+      {results.length > 0 && (
+        <div className="border rounded mt-2 divide-y max-h-48 overflow-y-auto">
+          {results.map(product => (
+            <button
+              key={product.id}
+              onClick={() => addProduct(product)}
+              className="w-full text-left px-3 py-2 text-sm hover:bg-orange-50 flex justify-between"
+            >
+              <span>{product.name}</span>
+              <span className="text-gray-500">#{product.id}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 const EmployeeRefundScreen = ({ order, calculatePartialRefund, processRefund, onRefundComplete, onCancel }) => {
   const [selectedItems, setSelectedItems] = useState([]);
   const [refundReason, setRefundReason] = useState('');
@@ -7328,10 +8141,8 @@ console.log('🔄 COMPONENT RENDER - showSuccessModal:', showSuccessModal);
     };
   }, []);
 
-  // Parse items if needed
-  const orderItems = Array.isArray(order.items) 
-    ? order.items 
-    : JSON.parse(order.items || '[]');
+  // Parse items if needed; selections are by line ID
+  const orderItems = parseOrderItems(order.items);
 
   // Refund reasons
   const REFUND_REASONS = [
@@ -7384,17 +8195,17 @@ console.log('🔄 COMPONENT RENDER - showSuccessModal:', showSuccessModal);
                        (selectedReason && !selectedReason.requiresItemSelection);
 
   // Toggle item selection
-  const toggleItem = (itemName) => {
+  const toggleItem = (lineId) => {
     setSelectedItems(prev => 
-      prev.includes(itemName)
-        ? prev.filter(n => n !== itemName)
-        : [...prev, itemName]
+      prev.includes(lineId)
+        ? prev.filter(id => id !== lineId)
+        : [...prev, lineId]
     );
   };
 
   // Select all items
   const selectAllItems = () => {
-    setSelectedItems(orderItems.map(item => item.name));
+    setSelectedItems(orderItems.map(item => item.lineId));
   };
 
   // Calculate refund preview
@@ -7408,7 +8219,7 @@ console.log('🔄 COMPONENT RENDER - showSuccessModal:', showSuccessModal);
     // If no item selection required (full refund), select all
     const itemsToRefund = selectedReason?.requiresItemSelection 
       ? selectedItems 
-      : orderItems.map(item => item.name);
+      : orderItems.map(item => item.lineId);
 
     if (itemsToRefund.length === orderItems.length) {
       // Full refund - simple calculation
@@ -7471,7 +8282,7 @@ const handleConfirmRefund = async () => {
   try {
     const itemsToRefund = selectedReason?.requiresItemSelection 
       ? selectedItems 
-      : orderItems.map(item => item.name);
+      : orderItems.map(item => item.lineId);
 
     const reasonText = refundReason === 'other' 
       ? `Other: ${customReason}`
@@ -7647,19 +8458,19 @@ const handleCloseSuccess = () => {
                 </div>
 
                 <div className="space-y-2">
-                  {orderItems.map((item, idx) => (
+                  {orderItems.map(item => (
                     <label 
-                      key={idx}
+                      key={item.lineId}
                       className={`flex items-center p-3 border rounded-lg cursor-pointer transition-all ${
-                        selectedItems.includes(item.name)
+                        selectedItems.includes(item.lineId)
                           ? 'border-orange-600 bg-orange-50'
                           : 'border-gray-200 hover:bg-gray-50'
                       }`}
                     >
                       <input
                         type="checkbox"
-                        checked={selectedItems.includes(item.name)}
-                        onChange={() => toggleItem(item.name)}
+                        checked={selectedItems.includes(item.lineId)}
+                        onChange={() => toggleItem(item.lineId)}
                         className="mr-3"
                       />
                       <ProductImageDisplay 
@@ -7671,6 +8482,7 @@ const handleCloseSuccess = () => {
                         <p className="text-sm text-gray-600">
                           Qty: {item.quantity} × ${item.price.toFixed(2)}
                         </p>
+                        <AppliedDealNote item={item} />
                       </div>
                       <span className="font-bold text-gray-900">
                         ${(item.price * item.quantity).toFixed(2)}
@@ -0,0 +1,273 @@
+// Deals authored in the admin Deals tab. A draft is the editable form of one combo
+// across the stores that run it. dealDraftToRows turns it into the same combo_master /
+// combo_detail / mix_master / mix_detail rows the POS import writes, so calculateDeals
+// prices authored deals exactly like imported ones.
+
+import { priceCart, summarizeCombo, getComboLineDiscountType, getComboLineType } from '../pricing/dealEngine';
+import { toCents } from '../pricing/money';
+
+// Combos created in the app are numbered from here up, clear of the POS's numbers.
+// Mixes the app writes (a line with several products, or an edited line of a POS deal)
+// are AUTHORED_MIX_START + combo_number * 10 + sequence, clear of the POS's mixes.
+export const AUTHORED_COMBO_START = 9000;
+export const AUTHORED_MIX_START = 100000;
+export const MAX_DEAL_LINES = 9;
+
+export const LINE_DISCOUNT_TYPES = [
+  { value: 'amount_off', label: '$ off the line' },
+  { value: 'percent_off', label: '% off each' },
+  { value: 'price', label: 'Special price each' },
+  { value: 'none', label: 'No discount (must buy)' }
+];
+
+export const emptyDealLine = () => ({
+  products: [],          // [{ id, name }]
+  quantity: 1,
+  discountType: 'amount_off',
+  discountValue: '',
+  modifier: 0,
+  mixNumber: null,       // the line's existing mix, when loaded from the tables
+  loadedProductIds: null // its products as loaded, to tell whether the mix changed
+});
+
+export const emptyDealDraft = () => ({
+  comboNumber: null,
+  description: '',
+  startDate: '',
+  startTime: '00:00',
+  endDate: '',
+  endTime: '23:59',
+  storeNumbers: [],
+  ageRestricted: false,
+  transactionLimit: 5,
+  pricing: 'lines',      // 'lines': each line's own discount, 'bundle': all lines for bundlePrice
+  bundlePrice: '',
+  lines: [emptyDealLine()]
+});
+
+// combo_master times are HHMM integers (1330 = 1:30 PM); time inputs use "13:30"
+export const hhmmToTime = (hhmm) => {
+  const value = Number(hhmm) || 0;
+  return `${String(Math.floor(value / 100)).padStart(2, '0')}:${String(value % 100).padStart(2, '0')}`;
+};
+
+export const timeToHhmm = (time) => {
+  const [hours, minutes] = String(time || '').split(':').map(n => parseInt(n, 10));
+  return hours * 100 + minutes;
+};
+
+export const nextComboNumber = (existingComboNumbers) =>
+  Math.max(AUTHORED_COMBO_START, ...existingComboNumbers.map(Number)) + 1;
+
+const sameIds = (a, b) => {
+  const sortedB = [...b].sort();
+  return a.length === b.length && [...a].sort().every((id, i) => id === sortedB[i]);
+};
+
+// A line keeps its existing mix while its products are unchanged, so editing the rest
+// of a POS deal doesn't rewrite a mix other combos may share
+const mixIsUnchanged = (line) => Boolean(line.mixNumber && line.loadedProductIds &&
+  sameIds(line.products.map(p => p.id), line.loadedProductIds));
+
+// The draft as table rows for every store. allMixes: include mix rows for unchanged
+// mixes too (the preview needs them; saving leaves them alone).
+const buildDealRows = (draft, { allMixes = false } = {}) => {
+  const rows = { combo_master: [], combo_detail: [], mix_master: [], mix_detail: [] };
+  const isBundle = draft.pricing === 'bundle';
+
+  draft.storeNumbers.forEach(storeNumber => {
+    rows.combo_master.push({
+      store_number: storeNumber,
+      combo_number: draft.comboNumber,
+      description: draft.description.trim(),
+      start_date: draft.startDate,
+      start_time: timeToHhmm(draft.startTime),
+      end_date: draft.endDate,
+      end_time: timeToHhmm(draft.endTime),
+      combo_price: isBundle ? Number(draft.bundlePrice) : 0,
+      age_restricted: Boolean(draft.ageRestricted)
+    });
+
+    draft.lines.forEach((line, i) => {
+      const sequence = i + 1;
+      const discountType = isBundle ? 'none' : line.discountType;
+      const value = Number(line.discountValue) || 0;
+      const isSingleProduct = line.products.length === 1 && !line.mixNumber;
+      const mixNumber = isSingleProduct ? null : (mixIsUnchanged(line) ? line.mixNumber : AUTHORED_MIX_START + draft.comboNumber * 10 + sequence);
+
+      rows.combo_detail.push({
+        store_number: storeNumber,
+        combo_number: draft.comboNumber,
+        sequence,
+        type: isSingleProduct ? 'P' : 'M',
+        plu_number: isSingleProduct ? line.products[0].id : null,
+        modifier: Number(line.modifier) || 0,
+        price: discountType === 'price' ? value : 0,
+        mix_number: mixNumber,
+        quantity: Number(line.quantity),
+        percentage: discountType === 'percent_off' ? value / 100 : 0,
+        discount_amount: discountType === 'amount_off' ? value : 0,
+        transaction_limit: Number(draft.transactionLimit)
+      });
+
+      if (mixNumber && (allMixes || !mixIsUnchanged(line))) {
+        rows.mix_master.push({
+          store_number: storeNumber,
+          mix_number: mixNumber,
+          description: `${draft.description.trim()} (line ${sequence})`.slice(0, 255)
+        });
+        line.products.forEach(product => {
+          rows.mix_detail.push({ store_number: storeNumber, mix_number: mixNumber, plu: product.id });
+        });
+      }
+    });
+  });
+
+  return rows;
+};
+
+export const dealDraftToRows = (draft) => buildDealRows(draft);
+
+// Everything wrong with the draft as [{ field, message }]; empty when it can be saved
+export const validateDealDraft = (draft) => {
+  const errors = [];
+  const error = (field, message) => errors.push({ field, message });
+  const isWholeNumber = (value, min) => /^\d+$/.test(String(value)) && Number(value) >= min;
+
+  const description = draft.description.trim();
+  if (!description) error('description', 'Give the deal a description');
+  if (description.length > 255) error('description', 'The description can be at most 255 characters');
+
+  if (!draft.startDate) error('startDate', 'Pick a start date');
+  if (!draft.endDate) error('endDate', 'Pick an end date');
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!timePattern.test(draft.startTime)) error('startTime', 'Pick a start time');
+  if (!timePattern.test(draft.endTime)) error('endTime', 'Pick an end time');
+  if (draft.startDate && draft.endDate && `${draft.endDate} ${draft.endTime}` < `${draft.startDate} ${draft.startTime}`) {
+    error('endDate', 'The deal ends before it starts');
+  }
+
+  if (!draft.storeNumbers.length) error('storeNumbers', 'Pick at least one store');
+  if (!isWholeNumber(draft.transactionLimit, 1)) error('transactionLimit', 'The limit per transaction must be 1 or more');
+
+  if (!draft.lines.length) error('lines', 'Add at least one line');
+  if (draft.lines.length > MAX_DEAL_LINES) error('lines', `A deal can have at most ${MAX_DEAL_LINES} lines`);
+
+  draft.lines.forEach((line, i) => {
+    const label = `Line ${i + 1}`;
+    if (!line.products.length) error(`lines.${i}.products`, `${label}: add at least one product`);
+    if (!isWholeNumber(line.quantity, 1)) error(`lines.${i}.quantity`, `${label}: the quantity must be 1 or more`);
+    if (draft.pricing === 'bundle' || line.discountType === 'none') return;
+
+    const value = Number(line.discountValue);
+    if (!(value > 0)) {
+      error(`lines.${i}.discountValue`, `${label}: enter the discount`);
+    } else if (line.discountType === 'percent_off' && value > 100) {
+      error(`lines.${i}.discountValue`, `${label}: a percentage can't be over 100`);
+    } else if (toCents(value) / 100 !== value && line.discountType !== 'percent_off') {
+      error(`lines.${i}.discountValue`, `${label}: amounts are in dollars and cents`);
+    }
+  });
+
+  if (draft.pricing === 'bundle') {
+    if (!(Number(draft.bundlePrice) > 0)) error('bundlePrice', 'Enter the bundle price');
+  } else if (draft.lines.length && draft.lines.every(line => line.discountType === 'none')) {
+    error('lines', 'At least one line needs a discount, or use a bundle price');
+  }
+
+  return errors;
+};
+
+// The editable draft for one combo_number. comboRows: its combo_master rows (one per
+// store); comboDetails / mixDetails: the rows for those stores; productNames: id → name.
+// The first store's version is the one shown; warnings say where other stores differ.
+export const dealDraftFromRows = ({ comboRows, comboDetails, mixDetails, productNames = {} }) => {
+  const stores = [...comboRows].sort((a, b) => a.store_number - b.store_number);
+  const combo = stores[0];
+  const linesOf = (storeNumber) => comboDetails
+    .filter(line => line.store_number === storeNumber && line.combo_number === combo.combo_number)
+    .sort((a, b) => a.sequence - b.sequence);
+  const productsOf = (storeNumber, line) => (getComboLineType(line) === 'P'
+    ? [Number(line.plu_number)]
+    : mixDetails.filter(md => md.store_number === storeNumber && md.mix_number === line.mix_number).map(md => Number(md.plu)));
+
+  const lines = linesOf(combo.store_number);
+  const isBundle = Number(combo.combo_price) > 0;
+  const limits = lines.map(line => Number(line.transaction_limit)).filter(limit => limit > 0);
+
+  const draft = {
+    comboNumber: combo.combo_number,
+    description: combo.description || '',
+    startDate: combo.start_date,
+    startTime: hhmmToTime(combo.start_time),
+    endDate: combo.end_date,
+    endTime: hhmmToTime(combo.end_time),
+    storeNumbers: stores.map(row => row.store_number),
+    ageRestricted: Boolean(combo.age_restricted),
+    transactionLimit: limits.length ? Math.min(...limits) : 5,
+    pricing: isBundle ? 'bundle' : 'lines',
+    bundlePrice: isBundle ? String(Number(combo.combo_price)) : '',
+    lines: lines.map(line => {
+      const productIds = productsOf(combo.store_number, line);
+      const discountType = { price_override: 'price', percentage: 'percent_off', flat: 'amount_off' }[getComboLineDiscountType(line)] || 'none';
+      const discountValue = { price: line.price, percent_off: Math.round(Number(line.percentage) * 10000) / 100, amount_off: line.discount_amount }[discountType];
+      return {
+        products: productIds.map(id => ({ id, name: productNames[id] || `PLU ${id}` })),
+        quantity: Number(line.quantity) || 1,
+        discountType,
+        discountValue: discountValue === undefined ? '' : String(Number(discountValue)),
+        modifier: Number(line.modifier) || 0,
+        mixNumber: getComboLineType(line) === 'M' ? line.mix_number : null,
+        loadedProductIds: productIds
+      };
+    })
+  };
+
+  // Other stores running a different version of the same combo_number
+  const signature = (row, storeNumber) => JSON.stringify([
+    row.description, row.start_date, Number(row.start_time), row.end_date, Number(row.end_time), Number(row.combo_price),
+    linesOf(storeNumber).map(line => [line.type, line.quantity, Number(line.price), Number(line.percentage),
+      Number(line.discount_amount), productsOf(storeNumber, line).sort()])
+  ]);
+  const shown = signature(combo, combo.store_number);
+  const warnings = stores.slice(1)
+    .filter(row => signature(row, row.store_number) !== shown)
+    .map(row => `Store ${row.store_number} runs a different version of this deal; saving gives every selected store the version shown here.`);
+
+  return { draft, warnings };
+};
+
+// What the draft does to a sample cart: each line's quantity of its first product, at
+// one store's prices (prices: product id → dollars), ignoring the date/time window.
+// Returns { cart, pricing (priceCart's result), summary (deal card text), missingPrices }.
+export const previewDealDraft = (draft, prices) => {
+  const comboNumber = draft.comboNumber || AUTHORED_COMBO_START;
+  const rows = buildDealRows({ ...draft, comboNumber, storeNumbers: [0] }, { allMixes: true });
+  const combo = { ...rows.combo_master[0], start_date: '2000-01-01', start_time: 0, end_date: '2999-12-31', end_time: 2359 };
+  const snapshot = { combos: [combo], comboDetails: rows.combo_detail, mixDetails: rows.mix_detail, redemptions: {} };
+
+  const cart = [];
+  const missingPrices = [];
+  draft.lines.forEach(line => {
+    const product = line.products[0];
+    if (!product) return;
+    if (prices[product.id] === undefined) {
+      missingPrices.push(product);
+      return;
+    }
+    const modifier = Number(line.modifier) || 0;
+    const existing = cart.find(item => item.id === product.id && item.modifier === modifier);
+    if (existing) {
+      existing.quantity += Number(line.quantity) || 0;
+    } else {
+      cart.push({ id: product.id, name: product.name, price: Number(prices[product.id]), quantity: Number(line.quantity) || 0, modifier });
+    }
+  });
+
+  return {
+    cart,
+    pricing: priceCart(cart, snapshot, { taxRate: 0 }),
+    summary: summarizeCombo(snapshot, combo),
+    missingPrices
+  };
+};
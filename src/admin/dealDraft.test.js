@@ -0,0 +1,158 @@
+import {
+  emptyDealDraft,
+  emptyDealLine,
+  validateDealDraft,
+  dealDraftToRows,
+  dealDraftFromRows,
+  previewDealDraft,
+  nextComboNumber,
+  hhmmToTime,
+  timeToHhmm
+} from './dealDraft';
+
+const WINTERGREEN = { id: 2001, name: 'Copenhagen Wintergreen' };
+const LONG_CUT = { id: 2002, name: 'Copenhagen Long Cut' };
+const FOUNTAIN = { id: 3001, name: 'Fountain Drink' };
+
+const draftWith = (overrides) => ({
+  ...emptyDealDraft(),
+  comboNumber: 9001,
+  description: 'Dip + drink',
+  startDate: '2026-11-01',
+  endDate: '2026-11-30',
+  storeNumbers: [301, 401],
+  ...overrides
+});
+
+describe('times', () => {
+  test('converts between combo_master HHMM and time inputs', () => {
+    expect(hhmmToTime(0)).toBe('00:00');
+    expect(hhmmToTime(1330)).toBe('13:30');
+    expect(timeToHhmm('23:59')).toBe(2359);
+  });
+});
+
+describe('validateDealDraft', () => {
+  test('lists every problem with its field', () => {
+    const errors = validateDealDraft({
+      ...emptyDealDraft(),
+      startDate: '2026-11-30',
+      endDate: '2026-11-01',
+      transactionLimit: '0',
+      lines: [{ ...emptyDealLine(), quantity: 0, discountType: 'percent_off', discountValue: '150' }]
+    });
+
+    expect(errors.map(e => e.field)).toEqual([
+      'description', 'endDate', 'storeNumbers', 'transactionLimit', 'lines.0.products', 'lines.0.quantity', 'lines.0.discountValue'
+    ]);
+  });
+
+  test('needs a discount somewhere, or a bundle price', () => {
+    const lines = [{ ...emptyDealLine(), products: [WINTERGREEN], discountType: 'none' }];
+
+    expect(validateDealDraft(draftWith({ lines }))).toEqual([
+      { field: 'lines', message: 'At least one line needs a discount, or use a bundle price' }
+    ]);
+    expect(validateDealDraft(draftWith({ lines, pricing: 'bundle', bundlePrice: '12' }))).toEqual([]);
+    expect(validateDealDraft(draftWith({ lines: [{ ...lines[0], discountType: 'amount_off', discountValue: '1.005' }] })))
+      .toEqual([{ field: 'lines.0.discountValue', message: 'Line 1: amounts are in dollars and cents' }]);
+  });
+});
+
+describe('dealDraftToRows', () => {
+  test('writes one combo per store, PLU lines for single products and a mix for several', () => {
+    const rows = dealDraftToRows(draftWith({
+      ageRestricted: true,
+      transactionLimit: 2,
+      lines: [
+        { ...emptyDealLine(), products: [WINTERGREEN, LONG_CUT], quantity: 2, discountType: 'none' },
+        { ...emptyDealLine(), products: [FOUNTAIN], discountType: 'percent_off', discountValue: '50' }
+      ]
+    }));
+
+    expect(rows.combo_master).toEqual([301, 401].map(store_number => ({
+      store_number, combo_number: 9001, description: 'Dip + drink', start_date: '2026-11-01', start_time: 0,
+      end_date: '2026-11-30', end_time: 2359, combo_price: 0, age_restricted: true
+    })));
+    expect(rows.combo_detail.filter(line => line.store_number === 301)).toEqual([
+      expect.objectContaining({ sequence: 1, type: 'M', plu_number: null, mix_number: 190011, quantity: 2, percentage: 0, transaction_limit: 2 }),
+      expect.objectContaining({ sequence: 2, type: 'P', plu_number: 3001, mix_number: null, quantity: 1, percentage: 0.5, transaction_limit: 2 })
+    ]);
+    expect(rows.mix_master.map(m => [m.store_number, m.mix_number])).toEqual([[301, 190011], [401, 190011]]);
+    expect(rows.mix_detail.filter(md => md.store_number === 301).map(md => md.plu)).toEqual([2001, 2002]);
+  });
+});
+
+describe('dealDraftFromRows', () => {
+  const comboRows = [301, 401].map(store_number => ({
+    store_number, combo_number: 405, description: 'Copenhagen 2 for $1 off', start_date: '2024-01-01', start_time: 100,
+    end_date: '2025-12-20', end_time: 2359, combo_price: 0, age_restricted: true
+  }));
+  const comboDetails = [301, 401].map(store_number => ({
+    store_number, combo_number: 405, sequence: 1, type: 'M', plu_number: null, modifier: 0, price: 0, mix_number: 405,
+    quantity: 2, percentage: 0, discount_amount: 1, transaction_limit: 5
+  }));
+  const mixDetails = [
+    { store_number: 301, mix_number: 405, plu: 2001 },
+    { store_number: 301, mix_number: 405, plu: 2002 },
+    { store_number: 401, mix_number: 405, plu: 2001 }
+  ];
+
+  test('loads a POS combo and keeps its mix while the products are unchanged', () => {
+    const { draft, warnings } = dealDraftFromRows({ comboRows, comboDetails, mixDetails, productNames: { 2001: WINTERGREEN.name } });
+
+    expect(draft).toMatchObject({
+      comboNumber: 405, startTime: '01:00', endTime: '23:59', storeNumbers: [301, 401], ageRestricted: true,
+      transactionLimit: 5, pricing: 'lines'
+    });
+    expect(draft.lines).toEqual([expect.objectContaining({
+      products: [WINTERGREEN, { id: 2002, name: 'PLU 2002' }], quantity: 2, discountType: 'amount_off', discountValue: '1', mixNumber: 405
+    })]);
+    expect(warnings).toEqual([expect.stringMatching(/^Store 401 runs a different version/)]);
+
+    // Saving untouched lines leaves the POS mix alone; changing the products writes a new one
+    expect(dealDraftToRows(draft).mix_master).toEqual([]);
+    const edited = { ...draft, lines: [{ ...draft.lines[0], products: [WINTERGREEN] }] };
+    expect(dealDraftToRows(edited).combo_detail[0]).toMatchObject({ type: 'M', mix_number: 104051 });
+    expect(dealDraftToRows(edited).mix_detail).toEqual([
+      { store_number: 301, mix_number: 104051, plu: 2001 },
+      { store_number: 401, mix_number: 104051, plu: 2001 }
+    ]);
+  });
+});
+
+describe('previewDealDraft', () => {
+  test('prices a sample cart of each line regardless of the dates', () => {
+    const draft = draftWith({
+      startDate: '2020-01-01',
+      endDate: '2020-01-31',
+      lines: [
+        { ...emptyDealLine(), products: [WINTERGREEN, LONG_CUT], quantity: 2, discountType: 'none' },
+        { ...emptyDealLine(), products: [FOUNTAIN], discountType: 'price', discountValue: '0.99' }
+      ]
+    });
+
+    const { cart, pricing, summary, missingPrices } = previewDealDraft(draft, { 2001: 5.49, 3001: 1.89 });
+
+    expect(cart.map(item => [item.id, item.quantity])).toEqual([[2001, 2], [3001, 1]]);
+    expect(pricing.discountCents).toBe(90);
+    expect(pricing.combos[0].status).toBe('applied');
+    expect(summary.discountText).toBe('Special Price: $0.99');
+    expect(missingPrices).toEqual([]);
+  });
+
+  test('reports products without a price at the store', () => {
+    const draft = draftWith({ lines: [{ ...emptyDealLine(), products: [FOUNTAIN], discountValue: '1' }] });
+
+    const { cart, pricing, missingPrices } = previewDealDraft(draft, {});
+
+    expect(cart).toEqual([]);
+    expect(missingPrices).toEqual([FOUNTAIN]);
+    expect(pricing.combos[0].status).toBe('insufficient_quantity');
+  });
+});
+
+test('nextComboNumber numbers authored deals after the POS range', () => {
+  expect(nextComboNumber([405, 406])).toBe(9001);
+  expect(nextComboNumber([405, 9001, 9004])).toBe(9005);
+});
@@ -0,0 +1,95 @@
+// Deal simulator for the store manager portal: prices a made-up cart against a store's
+// deal snapshot and explains, for every combo in the snapshot, whether it applied and
+// why not, in words a manager can act on (instead of calculateDeals' console logs).
+
+import { priceCart, getComboLines, getComboLineType, getComboLineProductIds, getComboStackingPolicy } from '../pricing/dealEngine';
+import { hhmmToTime } from './dealDraft';
+
+// Order combos are listed in: what happened first, then the near things
+const STATUS_ORDER = [
+  'applied', 'not_selected', 'insufficient_quantity', 'redemption_limit_reached',
+  'outside_window', 'no_discount', 'no_lines', 'unsupported_line_type'
+];
+
+export const SIMULATOR_STATUS_LABELS = {
+  applied: 'Applied',
+  not_selected: 'Beaten by a better deal',
+  insufficient_quantity: 'Not enough in cart',
+  redemption_limit_reached: 'Customer limit reached',
+  outside_window: 'Not running now',
+  no_discount: 'No discount set',
+  no_lines: 'No lines',
+  unsupported_line_type: 'Unsupported line'
+};
+
+const dollars = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+// "Mix 405 (Copenhagen Wintergreen, Copenhagen Long Cut)" / "PLU 2001 (Copenhagen
+// Wintergreen) with modifier 2"
+export const describeComboLine = (snapshot, line, productNames = {}) => {
+  const target = getComboLineType(line) === 'P' ? `PLU ${line.plu_number}` : `Mix ${line.mix_number}`;
+  const names = getComboLineProductIds(snapshot, line).map(id => productNames[id]).filter(Boolean);
+  const modifier = line.modifier > 0 ? ` with modifier ${line.modifier}` : '';
+  return `${target}${names.length ? ` (${names.join(', ')})` : ''}${modifier}`;
+};
+
+// Why one combo did or didn't apply, as sentences
+const explainCombo = (result, combo, snapshot, productNames) => {
+  const lines = getComboLines(snapshot, combo.combo_number);
+  const limits = lines.map(line => line.transaction_limit).filter(limit => limit > 0);
+  const transactionLimit = limits.length ? Math.min(...limits) : null;
+
+  switch (result.status) {
+    case 'applied': {
+      const reasons = [`Applied ${result.timesApplied} time(s), saving ${dollars(result.savingsCents)}.`];
+      if (transactionLimit && result.timesApplied >= transactionLimit) {
+        reasons.push(`Capped at its limit of ${transactionLimit} per transaction.`);
+      }
+      return reasons;
+    }
+    case 'not_selected':
+      return [getComboStackingPolicy(combo) === 'exclusive'
+        ? 'The cart qualifies, but this deal is exclusive and the other deals together save more.'
+        : 'The cart qualifies, but the units it needs save more in other deals.'];
+    case 'insufficient_quantity':
+      return result.detail.map(({ rule, required, available }) =>
+        `Needs ${required} of ${describeComboLine(snapshot, rule, productNames)}; the cart has ${available}.`);
+    case 'redemption_limit_reached':
+      return [`The customer already redeemed it ${result.detail.redeemed} time(s); the limit is ${result.detail.limit} per ${combo.redemption_period || 'day'}.`];
+    case 'outside_window':
+      return [`Runs ${combo.start_date} ${hhmmToTime(combo.start_time)} to ${combo.end_date} ${hhmmToTime(combo.end_time)} (store time).`];
+    case 'no_discount':
+      return ['None of its lines has a discount and it has no bundle price, so it can never save anything.'];
+    case 'no_lines':
+      return ['It has no combo_detail lines at this store.'];
+    case 'unsupported_line_type':
+      return [`It has line type(s) the app can't price: ${result.detail}.`];
+    default:
+      return [];
+  }
+};
+
+// Prices cart (items as the app's cart holds them: id, name, price, quantity, modifier)
+// against snapshot at `at`. Returns priceCart's result plus one entry per combo:
+// { combo_number, description, status, label, timesApplied, savingsCents, reasons,
+//   units: [{ name, sequence, units, discountCents }] } with applied combos first.
+export const simulateDeals = (cart, snapshot, { at = new Date(), taxRate = 0, productNames = {} } = {}) => {
+  const pricing = priceCart(cart, snapshot, { at, taxRate, nearMissUnits: 0 });
+  const combosByNumber = {};
+  (snapshot.combos || []).forEach(combo => { combosByNumber[combo.combo_number] = combo; });
+
+  const combos = pricing.combos
+    .map(result => ({
+      combo_number: result.combo_number,
+      description: result.description,
+      status: result.status,
+      label: SIMULATOR_STATUS_LABELS[result.status] || result.status,
+      timesApplied: result.timesApplied,
+      savingsCents: result.savingsCents,
+      reasons: explainCombo(result, combosByNumber[result.combo_number], snapshot, productNames),
+      units: (result.units || []).map(({ name, sequence, units, discountCents }) => ({ name, sequence, units, discountCents }))
+    }))
+    .sort((a, b) => (STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)) || (a.combo_number - b.combo_number));
+
+  return { pricing, combos };
+};
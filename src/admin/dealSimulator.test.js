@@ -0,0 +1,82 @@
+import { simulateDeals, describeComboLine } from './dealSimulator';
+import {
+  loadPosSnapshot,
+  withDeals,
+  comboRow,
+  lineRow,
+  inCart,
+  COPENHAGEN_WINTERGREEN,
+  PIZZA_SLICE,
+  FOUNTAIN_DRINK
+} from '../pricing/__fixtures__/posDeals';
+
+// Noon Central on a day inside the shipped Copenhagen combo (2024-01-01 01:00 to 2025-12-20 23:59)
+const MIDDAY = new Date('2025-06-02T17:00:00Z');
+
+const store301 = loadPosSnapshot(301);
+const productNames = { [COPENHAGEN_WINTERGREEN.id]: COPENHAGEN_WINTERGREEN.name };
+
+const comboFor = (snapshot, cart, options) =>
+  simulateDeals(cart, snapshot, { at: MIDDAY, productNames, ...options }).combos;
+
+describe('simulateDeals', () => {
+  test('shows the units an applied combo used and what it saved', () => {
+    const [combo] = comboFor(store301, [inCart(COPENHAGEN_WINTERGREEN, 2)]);
+
+    expect(combo).toMatchObject({
+      combo_number: 405,
+      status: 'applied',
+      label: 'Applied',
+      timesApplied: 1,
+      savingsCents: 100,
+      reasons: ['Applied 1 time(s), saving $1.00.']
+    });
+    expect(combo.units.reduce((sum, u) => sum + u.units, 0)).toBe(2);
+    expect(combo.units[0].name).toBe(COPENHAGEN_WINTERGREEN.name);
+  });
+
+  test('says what the cart is short of', () => {
+    const [combo] = comboFor(store301, [inCart(COPENHAGEN_WINTERGREEN, 1)]);
+
+    expect(combo.status).toBe('insufficient_quantity');
+    expect(combo.reasons).toEqual([expect.stringMatching(/^Needs 2 of Mix 405 \(.*Copenhagen Wintergreen.*\); the cart has 1\.$/)]);
+  });
+
+  test('gives the window of a combo that is not running', () => {
+    const [combo] = comboFor(store301, [inCart(COPENHAGEN_WINTERGREEN, 2)], { at: new Date('2026-01-15T18:00:00Z') });
+
+    expect(combo).toMatchObject({ status: 'outside_window', label: 'Not running now' });
+    expect(combo.reasons).toEqual(['Runs 2024-01-01 01:00 to 2025-12-20 23:59 (store time).']);
+  });
+
+  test("explains the customer's redemption limit and lists applied combos first", () => {
+    const snapshot = {
+      ...withDeals(store301, {
+        combos: [
+          comboRow({ store_number: 301, combo_number: 900, redemption_limit: 1, redemption_period: 'week' }),
+          comboRow({ store_number: 301, combo_number: 901 })
+        ],
+        comboDetails: [
+          lineRow({ store_number: 301, combo_number: 900, type: 'P', plu_number: PIZZA_SLICE.id, discount_amount: 1 }),
+          lineRow({ store_number: 301, combo_number: 901, type: 'P', plu_number: FOUNTAIN_DRINK.id, percentage: 0.5, transaction_limit: 1 })
+        ]
+      }),
+      redemptions: { 900: 1 }
+    };
+
+    const combos = comboFor(snapshot, [inCart(PIZZA_SLICE, 1), inCart(FOUNTAIN_DRINK, 2)]);
+
+    expect(combos.map(c => [c.combo_number, c.status])).toEqual([
+      [901, 'applied'], [405, 'insufficient_quantity'], [900, 'redemption_limit_reached']
+    ]);
+    expect(combos[0].reasons).toEqual(['Applied 1 time(s), saving $1.00.', 'Capped at its limit of 1 per transaction.']);
+    expect(combos[2].reasons).toEqual(['The customer already redeemed it 1 time(s); the limit is 1 per week.']);
+  });
+});
+
+test('describeComboLine names PLU lines and their modifier', () => {
+  const line = lineRow({ type: 'P', plu_number: COPENHAGEN_WINTERGREEN.id, modifier: 2 });
+
+  expect(describeComboLine(store301, line, productNames))
+    .toBe(`PLU ${COPENHAGEN_WINTERGREEN.id} (Copenhagen Wintergreen) with modifier 2`);
+});
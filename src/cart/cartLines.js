@@ -0,0 +1,52 @@
+// Cart lines and order items are told apart by a lineId, and matched to the catalog by
+// product ID, never by name: two products can share a name (sizes, store-specific
+// listings) and names change, so a name can't say which line a tap or a refund means.
+
+// A new, unique line ID for a cart line
+export const newCartLineId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `line-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// The cart line holding productId (with the same POS modifier), or undefined
+export const findCartLine = (cart, productId, modifier = 0) =>
+  cart.find(item => item.id === productId && (item.modifier || 0) === modifier);
+
+// Cart lines saved before line IDs existed get one
+export const withCartLineIds = (cart) =>
+  cart.map(item => (item.lineId ? item : { ...item, lineId: newCartLineId() }));
+
+// Lines the store can still sell. Lines refreshCartItems flagged unavailable stay in
+// the cart for the customer to remove, but aren't priced, can't count toward a deal
+// and aren't in the totals.
+export const availableLines = (cart) => cart.filter(item => !item.unavailable);
+
+// The cart with each available line swapped for the same line (by lineId) from
+// pricedLines, i.e. priceCart's items for availableLines(cart). Unavailable lines
+// keep their place, without a discount.
+export const withPricedLines = (cart, pricedLines) => cart.map(item => (
+  item.unavailable
+    ? { ...item, discountAmount: 0, appliedDeal: null }
+    : pricedLines.find(line => line.lineId === item.lineId) || item
+));
+
+// An order's items (a JSON array, or the string older orders stored) with a lineId
+// and product id on every item. Items from before line IDs are numbered line-1,
+// line-2, ... in order, the same IDs the orders_item_line_ids migration gave them.
+export const parseOrderItems = (items) => {
+  let parsed = items;
+  if (typeof items === 'string') {
+    try {
+      parsed = JSON.parse(items);
+    } catch (err) {
+      parsed = [];
+    }
+  }
+
+  return (Array.isArray(parsed) ? parsed : []).map((item, idx) => ({
+    ...item,
+    id: item.id ?? item.product_id,
+    lineId: item.lineId || `line-${idx + 1}`
+  }));
+};
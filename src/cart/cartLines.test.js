@@ -0,0 +1,63 @@
+import { newCartLineId, findCartLine, withCartLineIds, availableLines, withPricedLines, parseOrderItems } from './cartLines';
+
+describe('cart lines', () => {
+  test('finds a line by product ID and modifier, not by name', () => {
+    const cart = [
+      { lineId: 'a', id: 1, name: 'Fountain Drink', quantity: 1 },
+      { lineId: 'b', id: 2, name: 'Fountain Drink', quantity: 1 },
+      { lineId: 'c', id: 2, name: 'Fountain Drink', modifier: 2, quantity: 1 }
+    ];
+
+    expect(findCartLine(cart, 2).lineId).toBe('b');
+    expect(findCartLine(cart, 2, 2).lineId).toBe('c');
+    expect(findCartLine(cart, 3)).toBeUndefined();
+  });
+
+  test('gives saved lines without one a new, unique line ID', () => {
+    const cart = withCartLineIds([{ id: 1, quantity: 1 }, { id: 2, quantity: 1 }, { lineId: 'kept', id: 3, quantity: 1 }]);
+
+    expect(cart[2].lineId).toBe('kept');
+    expect(cart[0].lineId).toEqual(expect.any(String));
+    expect(cart[0].lineId).not.toBe(cart[1].lineId);
+    expect(newCartLineId()).not.toBe(newCartLineId());
+  });
+});
+
+describe('unavailable lines', () => {
+  const cart = [
+    { lineId: 'a', id: 1, name: 'Pizza Slice', price: 3.49, quantity: 1, discountAmount: 0, appliedDeal: null },
+    { lineId: 'b', id: 2, name: 'Fountain Drink', price: 1.99, quantity: 1, discountAmount: 0.5, appliedDeal: { combo_number: 7 }, unavailable: true }
+  ];
+
+  test('are left out of the lines to price', () => {
+    expect(availableLines(cart).map(item => item.lineId)).toEqual(['a']);
+  });
+
+  test('keep their place, without a deal, when the priced lines are put back', () => {
+    const priced = [{ ...cart[0], discountAmount: 0.49, appliedDeal: { combo_number: 9 } }];
+
+    const merged = withPricedLines(cart, priced);
+
+    expect(merged[0]).toBe(priced[0]);
+    expect(merged[1]).toMatchObject({ lineId: 'b', unavailable: true, discountAmount: 0, appliedDeal: null });
+  });
+});
+
+describe('parseOrderItems', () => {
+  test('numbers items from before line IDs and fills id from product_id', () => {
+    const items = parseOrderItems(JSON.stringify([
+      { product_id: 2001, name: 'Fountain Drink', quantity: 1 },
+      { id: 1001, lineId: 'a1b2', name: 'Pizza Slice', quantity: 2 }
+    ]));
+
+    expect(items.map(({ id, lineId }) => ({ id, lineId }))).toEqual([
+      { id: 2001, lineId: 'line-1' },
+      { id: 1001, lineId: 'a1b2' }
+    ]);
+  });
+
+  test('treats unreadable items as an empty order', () => {
+    expect(parseOrderItems('not json')).toEqual([]);
+    expect(parseOrderItems(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,122 @@
+// Keeps the customer's cart across reloads and devices: a copy in localStorage for
+// this device and one row per user in the carts table for every other device. Only
+// what the customer chose is stored (products, quantities, the store); prices and
+// deals are always worked out again when the cart is loaded.
+
+export const CART_STORAGE_KEY = 'jackflash.cart';
+
+// Derived per-line fields that are never stored
+const DERIVED_FIELDS = ['appliedDeal', 'discountAmount', 'unavailable'];
+
+// The stored form of a cart: { userId, storeId, items, updatedAt }
+export const toStoredCart = (cart, { userId, storeId, updatedAt = new Date().toISOString() }) => ({
+  userId,
+  storeId: storeId || null,
+  items: cart.map(item => {
+    const stored = { ...item };
+    DERIVED_FIELDS.forEach(field => { delete stored[field]; });
+    return stored;
+  }),
+  updatedAt
+});
+
+const isStoredCart = (value) => Boolean(value) && Array.isArray(value.items) && typeof value.updatedAt === 'string';
+
+// This device's cart for userId, or null (none, unreadable, or someone else's)
+export const readLocalCart = (userId, storage = window.localStorage) => {
+  try {
+    const stored = JSON.parse(storage.getItem(CART_STORAGE_KEY));
+    return isStoredCart(stored) && stored.userId === userId ? stored : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const writeLocalCart = (stored, storage = window.localStorage) => {
+  try {
+    storage.setItem(CART_STORAGE_KEY, JSON.stringify(stored));
+  } catch (err) {
+    // Storage full or disabled (private browsing): the server copy still works
+    console.warn('⚠️ Could not save the cart on this device:', err.message);
+  }
+};
+
+export const clearLocalCart = (storage = window.localStorage) => {
+  try {
+    storage.removeItem(CART_STORAGE_KEY);
+  } catch (err) {
+    // Nothing to clear
+  }
+};
+
+// The user's server cart, or null. Throws the Supabase error.
+export const loadServerCart = async (supabase, userId) => {
+  const { data, error } = await supabase
+    .from('carts')
+    .select('store_id, items, updated_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+  return { userId, storeId: data.store_id, items: data.items || [], updatedAt: data.updated_at };
+};
+
+export const saveServerCart = async (supabase, stored) => {
+  const { error } = await supabase
+    .from('carts')
+    .upsert({
+      user_id: stored.userId,
+      store_id: stored.storeId,
+      items: stored.items,
+      updated_at: stored.updatedAt
+    }, { onConflict: 'user_id' });
+
+  if (error) throw error;
+};
+
+const lineKey = (item) => `${item.id}:${item.modifier || 0}`;
+
+// One cart from this device's and the server's, for sign-in. The newer one wins the
+// store; lines in both keep the larger quantity (the same cart seen twice mustn't
+// double), lines in only one are kept.
+export const mergeStoredCarts = (local, server) => {
+  const carts = [local, server].filter(cart => cart?.items?.length);
+  if (carts.length < 2) return carts[0] || null;
+
+  const [newer, older] = carts.sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+  const items = newer.items.map(item => ({ ...item }));
+  older.items.forEach(item => {
+    const existing = items.find(i => lineKey(i) === lineKey(item));
+    if (existing) {
+      existing.quantity = Math.max(existing.quantity, item.quantity);
+    } else {
+      items.push({ ...item });
+    }
+  });
+
+  return { ...newer, storeId: newer.storeId || older.storeId, items };
+};
+
+// Current price and availability of stored lines at a store. Lines the store doesn't
+// carry or has run out of are kept, flagged unavailable, for the customer to remove.
+// Throws the Supabase error.
+export const refreshCartItems = async (supabase, items, storeId) => {
+  if (!items.length) return [];
+
+  const { data, error } = await supabase
+    .from('store_products')
+    .select('product_id, price, available')
+    .eq('store_id', storeId)
+    .in('product_id', [...new Set(items.map(item => item.id))]);
+
+  if (error) throw error;
+
+  return items.map(item => {
+    const storeProduct = (data || []).find(sp => sp.product_id === item.id);
+    if (!storeProduct || !storeProduct.available) {
+      return { ...item, unavailable: true, discountAmount: 0, appliedDeal: null };
+    }
+    return { ...item, price: Number(storeProduct.price), unavailable: false, discountAmount: 0, appliedDeal: null };
+  });
+};
@@ -0,0 +1,103 @@
+import {
+  CART_STORAGE_KEY,
+  toStoredCart,
+  readLocalCart,
+  writeLocalCart,
+  clearLocalCart,
+  loadServerCart,
+  saveServerCart,
+  mergeStoredCarts,
+  refreshCartItems
+} from './cartStorage';
+import { createFakeSupabase } from '../checkout/__fixtures__/fakeSupabase';
+import { COPENHAGEN_WINTERGREEN, PIZZA_SLICE, FOUNTAIN_DRINK } from '../pricing/__fixtures__/posDeals';
+
+const memoryStorage = () => {
+  const values = {};
+  return {
+    getItem: (key) => (key in values ? values[key] : null),
+    setItem: (key, value) => { values[key] = String(value); },
+    removeItem: (key) => { delete values[key]; }
+  };
+};
+
+const line = (product, quantity, extra = {}) => ({ ...product, quantity, ...extra });
+
+describe('local cart', () => {
+  test('stores only what the customer chose and reads it back for the same user', () => {
+    const storage = memoryStorage();
+    const cart = [line(COPENHAGEN_WINTERGREEN, 2, { discountAmount: 1, appliedDeal: { combo_number: 405 } })];
+
+    writeLocalCart(toStoredCart(cart, { userId: 'user-1', storeId: 301, updatedAt: '2026-10-19T12:00:00Z' }), storage);
+
+    expect(readLocalCart('user-1', storage)).toEqual({
+      userId: 'user-1',
+      storeId: 301,
+      items: [line(COPENHAGEN_WINTERGREEN, 2)],
+      updatedAt: '2026-10-19T12:00:00Z'
+    });
+    expect(readLocalCart('user-2', storage)).toBeNull();
+
+    clearLocalCart(storage);
+    expect(readLocalCart('user-1', storage)).toBeNull();
+  });
+
+  test('ignores unreadable data', () => {
+    const storage = memoryStorage();
+    storage.setItem(CART_STORAGE_KEY, '{not json');
+
+    expect(readLocalCart('user-1', storage)).toBeNull();
+  });
+});
+
+describe('mergeStoredCarts', () => {
+  const local = { userId: 'user-1', storeId: 301, items: [line(COPENHAGEN_WINTERGREEN, 2), line(PIZZA_SLICE, 1)], updatedAt: '2026-10-19T12:00:00Z' };
+  const server = { userId: 'user-1', storeId: 401, items: [line(COPENHAGEN_WINTERGREEN, 3), line(FOUNTAIN_DRINK, 1)], updatedAt: '2026-10-18T09:00:00Z' };
+
+  test('keeps the newer store and every line, at the larger quantity', () => {
+    expect(mergeStoredCarts(local, server)).toEqual({
+      ...local,
+      items: [line(COPENHAGEN_WINTERGREEN, 3), line(PIZZA_SLICE, 1), line(FOUNTAIN_DRINK, 1)]
+    });
+  });
+
+  test('takes whichever cart has items', () => {
+    expect(mergeStoredCarts(null, server)).toBe(server);
+    expect(mergeStoredCarts(local, { ...server, items: [] })).toBe(local);
+    expect(mergeStoredCarts(null, null)).toBeNull();
+  });
+});
+
+describe('server cart', () => {
+  test('saves one row per user and loads it back', async () => {
+    const supabase = createFakeSupabase({ carts: [] });
+    const stored = toStoredCart([line(PIZZA_SLICE, 2)], { userId: 'user-1', storeId: 301, updatedAt: '2026-10-19T12:00:00Z' });
+
+    expect(await loadServerCart(supabase, 'user-1')).toBeNull();
+    await saveServerCart(supabase, stored);
+    await saveServerCart(supabase, { ...stored, items: [line(PIZZA_SLICE, 3)] });
+
+    expect(supabase.tables.carts).toHaveLength(1);
+    expect(await loadServerCart(supabase, 'user-1')).toEqual({ ...stored, items: [line(PIZZA_SLICE, 3)] });
+  });
+});
+
+describe('refreshCartItems', () => {
+  test("takes the store's current prices and flags what it doesn't sell", async () => {
+    const supabase = createFakeSupabase({
+      store_products: [
+        { store_id: 301, product_id: COPENHAGEN_WINTERGREEN.id, price: 5.99, available: true },
+        { store_id: 301, product_id: PIZZA_SLICE.id, price: 3.49, available: false },
+        { store_id: 401, product_id: FOUNTAIN_DRINK.id, price: 1.99, available: true }
+      ]
+    });
+
+    const items = await refreshCartItems(supabase, [line(COPENHAGEN_WINTERGREEN, 2), line(PIZZA_SLICE, 1), line(FOUNTAIN_DRINK, 1)], 301);
+
+    expect(items.map(item => [item.id, item.price, item.unavailable])).toEqual([
+      [COPENHAGEN_WINTERGREEN.id, 5.99, false],
+      [PIZZA_SLICE.id, PIZZA_SLICE.price, true],
+      [FOUNTAIN_DRINK.id, FOUNTAIN_DRINK.price, true]
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+// What moving a cart to another store does to it, so the customer can see it before
+// confirming the switch: prices and deals come from each store's store_products and
+// deal tables, so the same cart can cost more, cost less, or hold things the new store
+// doesn't carry.
+
+import { toCents, getOrderTotals } from '../pricing/money';
+
+const dealsOf = (items) => {
+  const deals = new Map();
+  items.forEach(item => {
+    if (item.appliedDeal) deals.set(item.appliedDeal.combo_number, item.appliedDeal.description);
+  });
+  return deals;
+};
+
+// before is the cart as priced at the current store; after is the same lines (matched
+// by lineId) refreshed at the new store by refreshCartItems and re-priced there.
+// Returns { priceChanges: [{ lineId, name, quantity, oldPrice, newPrice }],
+//   unavailable: [{ lineId, name, quantity }], dealsLost, dealsGained (descriptions),
+//   fromTotals, toTotals (cents, without unavailable lines), unchanged }
+export const compareStoreCarts = (before, after, { fromTaxRate = 0, toTaxRate = 0 } = {}) => {
+  const priceChanges = [];
+  const unavailable = [];
+
+  after.forEach(line => {
+    const old = before.find(item => item.lineId === line.lineId);
+    if (line.unavailable) {
+      unavailable.push({ lineId: line.lineId, name: line.name, quantity: line.quantity });
+    } else if (old && toCents(old.price) !== toCents(line.price)) {
+      priceChanges.push({
+        lineId: line.lineId,
+        name: line.name,
+        quantity: line.quantity,
+        oldPrice: Number(old.price),
+        newPrice: Number(line.price)
+      });
+    }
+  });
+
+  const dealsBefore = dealsOf(before);
+  const dealsAfter = dealsOf(after);
+  const dealsLost = [...dealsBefore].filter(([combo]) => !dealsAfter.has(combo)).map(([, description]) => description);
+  const dealsGained = [...dealsAfter].filter(([combo]) => !dealsBefore.has(combo)).map(([, description]) => description);
+
+  return {
+    priceChanges,
+    unavailable,
+    dealsLost,
+    dealsGained,
+    fromTotals: getOrderTotals(before.filter(item => !item.unavailable), fromTaxRate),
+    toTotals: getOrderTotals(after.filter(item => !item.unavailable), toTaxRate),
+    unchanged: !priceChanges.length && !unavailable.length && !dealsLost.length && !dealsGained.length
+  };
+};
@@ -0,0 +1,45 @@
+import { compareStoreCarts } from './storeSwitch';
+
+const line = (lineId, name, price, extra = {}) => ({ lineId, id: lineId, name, price, quantity: 1, discountAmount: 0, appliedDeal: null, ...extra });
+const deal = (combo_number, description) => ({ combo_number, description });
+
+describe('compareStoreCarts', () => {
+  test('lists price changes, lines the new store lacks and the new total', () => {
+    const before = [
+      line('a', 'Pizza Slice', 3.49),
+      line('b', 'Fountain Drink', 1.99),
+      line('c', 'Bottled Water', 1.5)
+    ];
+    const after = [
+      line('a', 'Pizza Slice', 3.79),
+      line('b', 'Fountain Drink', 1.99),
+      line('c', 'Bottled Water', 1.5, { unavailable: true })
+    ];
+
+    const changes = compareStoreCarts(before, after, { fromTaxRate: 0, toTaxRate: 0.1 });
+
+    expect(changes.priceChanges).toEqual([{ lineId: 'a', name: 'Pizza Slice', quantity: 1, oldPrice: 3.49, newPrice: 3.79 }]);
+    expect(changes.unavailable).toEqual([{ lineId: 'c', name: 'Bottled Water', quantity: 1 }]);
+    expect(changes.fromTotals.totalCents).toBe(698);
+    // 3.79 + 1.99 plus 10% tax, without the water
+    expect(changes.toTotals.totalCents).toBe(636);
+    expect(changes.unchanged).toBe(false);
+  });
+
+  test('reports deals that stop or start applying', () => {
+    const before = [line('a', 'Copenhagen Wintergreen', 6.49, { quantity: 2, discountAmount: 1, appliedDeal: deal(405, '2 Cans Save $1') })];
+    const after = [line('a', 'Copenhagen Wintergreen', 6.49, { quantity: 2, discountAmount: 1.5, appliedDeal: deal(501, '2 Cans Save $1.50') })];
+
+    const changes = compareStoreCarts(before, after);
+
+    expect(changes.priceChanges).toEqual([]);
+    expect(changes.dealsLost).toEqual(['2 Cans Save $1']);
+    expect(changes.dealsGained).toEqual(['2 Cans Save $1.50']);
+  });
+
+  test('is unchanged when the new store prices the cart the same', () => {
+    const cart = [line('a', 'Pizza Slice', 3.49)];
+
+    expect(compareStoreCarts(cart, cart.map(item => ({ ...item }))).unchanged).toBe(true);
+  });
+});
@@ -0,0 +1,89 @@
+// In-memory stand-in for the parts of the Supabase query builder the checkout and
+// pricing code use, so the checkout endpoint can run in tests without a database.
+// Tables are plain arrays of rows; selects return whole rows. now() stamps created_at
+// on inserted rows, like the database default would.
+
+let nextId = 1;
+
+const matchesFilters = (row, filters) => filters.every(filter => filter(row));
+
+export const createFakeSupabase = (tables = {}, { now = () => new Date() } = {}) => {
+  const db = {};
+  Object.entries(tables).forEach(([name, rows]) => { db[name] = rows.map(row => ({ ...row })); });
+  const rowsOf = (table) => { db[table] = db[table] || []; return db[table]; };
+
+  const from = (table) => {
+    const filters = [];
+    let action = { type: 'select' };
+    let singleRow = false;
+    let maybeSingleRow = false;
+
+    const builder = {
+      select: () => builder,
+      eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+      neq: (column, value) => { filters.push(row => row[column] !== value); return builder; },
+      gt: (column, value) => { filters.push(row => row[column] > value); return builder; },
+      gte: (column, value) => { filters.push(row => row[column] >= value); return builder; },
+      lte: (column, value) => { filters.push(row => row[column] <= value); return builder; },
+      in: (column, values) => { filters.push(row => values.includes(row[column])); return builder; },
+      not: (column, operator, list) => {
+        const values = list.replace(/[()]/g, '').split(',').map(v => (isNaN(v) ? v : Number(v)));
+        filters.push(row => !values.includes(row[column]));
+        return builder;
+      },
+      order: () => builder,
+      single: () => { singleRow = true; return builder; },
+      maybeSingle: () => { maybeSingleRow = true; return builder; },
+      insert: (rows) => { action = { type: 'insert', rows: [].concat(rows) }; return builder; },
+      upsert: (rows, { onConflict } = {}) => { action = { type: 'upsert', rows: [].concat(rows), onConflict }; return builder; },
+      update: (values) => { action = { type: 'update', values }; return builder; },
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+    };
+
+    const run = () => {
+      const rows = rowsOf(table);
+      let result;
+
+      switch (action.type) {
+        case 'insert':
+          result = action.rows.map(row => {
+            const saved = { id: `${table}-${nextId++}`, created_at: now().toISOString(), ...row };
+            rows.push(saved);
+            return saved;
+          });
+          break;
+        case 'upsert': {
+          const keys = (action.onConflict || 'id').split(',');
+          result = action.rows.map(row => {
+            const existing = rows.find(r => keys.every(key => r[key] === row[key]));
+            if (existing) return Object.assign(existing, row);
+            const saved = { id: `${table}-${nextId++}`, ...row };
+            rows.push(saved);
+            return saved;
+          });
+          break;
+        }
+        case 'update':
+          result = rows.filter(row => matchesFilters(row, filters));
+          result.forEach(row => Object.assign(row, action.values));
+          break;
+        default:
+          result = rows.filter(row => matchesFilters(row, filters)).map(row => ({ ...row }));
+      }
+
+      if (maybeSingleRow && result.length <= 1) {
+        return { data: result[0] || null, error: null };
+      }
+      if (singleRow || maybeSingleRow) {
+        return result.length === 1
+          ? { data: result[0], error: null }
+          : { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+      }
+      return { data: result, error: null };
+    };
+
+    return builder;
+  };
+
+  return { from, tables: db };
+};
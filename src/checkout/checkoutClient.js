@@ -0,0 +1,61 @@
+// Client side of checkout. Only the customer's choices go to the server: the store,
+// product IDs, modifiers, quantities and line IDs, the card and pickup details, plus
+// the total the cart showed so the server can refuse to charge anything different (see
+// placeOrder.js) and the attempt's idempotency key so it never charges twice.
+
+// The key for one checkout attempt (see placeOrder)
+export const newIdempotencyKey = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `checkout-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// Checkout errors after which retrying the same attempt can't succeed: nothing was
+// charged, the charge was declined, it was refunded, or the server has handed the
+// attempt to its reconcile job (err.settled, e.g. once it's too old to finish). Others
+// (a dropped connection, a charge whose outcome isn't known yet, a paid order not yet
+// placed) are retried with the same key so the server can finish the attempt instead
+// of charging again.
+const FINAL_CHECKOUT_ERRORS = [
+  'invalid_request', 'unauthorized', 'unknown_store', 'invalid_payment_method',
+  'total_mismatch', 'unavailable_product', 'payment_failed'
+];
+
+export const isFinalCheckoutError = (err) => FINAL_CHECKOUT_ERRORS.includes(err.code) || Boolean(err.refunded || err.settled);
+
+// Cart lines are a product at a POS modifier (see findCartLine), so the modifier goes
+// along for the server to price modifier-only deal lines the same way
+export const toCheckoutItems = (cart) => cart.map(item => ({
+  productId: item.id,
+  modifier: item.modifier || 0,
+  quantity: item.quantity,
+  lineId: item.lineId
+}));
+
+// Resolves with the saved order. Rejects with an Error carrying the endpoint's code
+// (e.g. 'total_mismatch', with quotedTotalCents) when checkout is refused.
+export const submitCheckout = async (supabase, request) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) {
+    throw Object.assign(new Error('Please sign in'), { code: 'unauthorized' });
+  }
+
+  const response = await fetch(`${process.env.REACT_APP_SUPABASE_URL}/functions/v1/checkout`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'apikey': process.env.REACT_APP_SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${session.access_token}`
+    },
+    body: JSON.stringify(request)
+  });
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || !result.success) {
+    const { error, code, success, ...details } = result;
+    throw Object.assign(new Error(error || 'Checkout failed'), { code: code || 'checkout_failed', ...details });
+  }
+
+  return result.order;
+};
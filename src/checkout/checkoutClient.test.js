@@ -0,0 +1,22 @@
+import { isFinalCheckoutError, toCheckoutItems } from './checkoutClient';
+
+describe('checkout client', () => {
+  test('starts a new attempt once the server has handed an unconfirmed one to reconciling', () => {
+    expect(isFinalCheckoutError({ code: 'payment_unconfirmed' })).toBe(false);
+    expect(isFinalCheckoutError({ code: 'payment_unconfirmed', settled: true })).toBe(true);
+    expect(isFinalCheckoutError({ code: 'order_not_saved', refunded: true })).toBe(true);
+    expect(isFinalCheckoutError({ code: 'checkout_failed' })).toBe(false);
+  });
+
+  test("sends each line's product, modifier, quantity and line ID", () => {
+    const cart = [
+      { lineId: 'a', id: 1, name: 'Copenhagen', price: 6.49, quantity: 2, modifier: 2, discountAmount: 1 },
+      { lineId: 'b', id: 1, name: 'Copenhagen', price: 6.49, quantity: 1 }
+    ];
+
+    expect(toCheckoutItems(cart)).toEqual([
+      { productId: 1, modifier: 2, quantity: 2, lineId: 'a' },
+      { productId: 1, modifier: 0, quantity: 1, lineId: 'b' }
+    ]);
+  });
+});
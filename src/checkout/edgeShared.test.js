@@ -0,0 +1,21 @@
+import { sharedFiles, isCurrent } from '../../sync-edge-shared';
+
+// The checkout edge function imports copies of these modules from
+// supabase/functions/_shared; a change here has to be copied there too.
+describe('edge function shared modules', () => {
+  test('copies placeOrder.js, stripePayments.js and everything they import', () => {
+    expect(sharedFiles().map(({ file }) => file)).toEqual(expect.arrayContaining([
+      'checkout/placeOrder.js',
+      'checkout/stripePayments.js',
+      'pricing/orderQuote.js',
+      'pricing/dealEngine.js',
+      'pricing/dealSnapshot.js'
+    ]));
+  });
+
+  test('the copies match src (run npm run sync-edge-shared if not)', () => {
+    const stale = sharedFiles().filter(shared => !isCurrent(shared)).map(({ file }) => file);
+
+    expect(stale).toEqual([]);
+  });
+});
@@ -0,0 +1,451 @@
+import { handleCheckoutRequest, reconcilePendingOrders } from './placeOrder';
+import { createFakeSupabase } from './__fixtures__/fakeSupabase';
+import { loadPosSnapshot, COPENHAGEN_WINTERGREEN, PIZZA_SLICE } from '../pricing/__fixtures__/posDeals';
+
+// Noon Central, inside the shipped Copenhagen 2-can combo
+const MIDDAY = new Date('2025-06-02T17:00:00Z');
+
+const CUSTOMER = { id: 'user-1', email: 'customer@example.com' };
+
+const setup = () => {
+  const deals = loadPosSnapshot(301);
+  const supabase = createFakeSupabase({
+    stores: [{ id: 301, name: 'Jack Flash #301', address: '1 Main St', tax_rate: 0.0825 }],
+    products: [
+      { id: COPENHAGEN_WINTERGREEN.id, name: COPENHAGEN_WINTERGREEN.name, price: 7.99 },
+      { id: PIZZA_SLICE.id, name: PIZZA_SLICE.name, price: 3.99 }
+    ],
+    store_products: [
+      { store_id: 301, product_id: COPENHAGEN_WINTERGREEN.id, price: 6.49, available: true },
+      { store_id: 301, product_id: PIZZA_SLICE.id, price: 3.49, available: true }
+    ],
+    payment_methods: [
+      { id: 'pm-row-1', user_id: CUSTOMER.id, stripe_payment_method_id: 'pm_card_1' },
+      { id: 'pm-row-2', user_id: 'someone-else', stripe_payment_method_id: 'pm_card_2' }
+    ],
+    combo_master: deals.combos,
+    combo_detail: deals.comboDetails,
+    mix_detail: deals.mixDetails,
+    orders: [],
+    deal_redemptions: [],
+    carts: [{ user_id: CUSTOMER.id, store_id: 301, items: [{ id: PIZZA_SLICE.id, quantity: 1 }], updated_at: '2025-06-02T16:00:00.000Z' }]
+  }, { now: () => MIDDAY });
+  const charges = [];
+  const chargePayment = jest.fn(async (charge) => {
+    charges.push(charge);
+    return { paymentIntentId: `pi_${charges.length}` };
+  });
+  const refundPayment = jest.fn(async () => {});
+
+  return { supabase, charges, chargePayment, refundPayment, deps: { supabase, chargePayment, refundPayment, at: MIDDAY } };
+};
+
+// Every orders update that would place an order fails, as if the database went away
+// between the charge and the confirm
+const failOrderConfirm = (supabase) => {
+  const from = supabase.from;
+  const failing = {
+    eq: () => failing,
+    select: () => failing,
+    single: () => failing,
+    then: (resolve) => resolve({ data: null, error: { message: 'connection lost' } })
+  };
+  supabase.from = (table) => {
+    const builder = from(table);
+    if (table === 'orders') {
+      const update = builder.update;
+      builder.update = (values) => (values.status === 'placed' ? failing : update(values));
+    }
+    return builder;
+  };
+};
+
+// 2 cans at 6.49 - 1.00 deal + 1 slice at 3.49 = 15.47, plus 8.25% tax (1.28)
+const EXPECTED_TOTAL_CENTS = 1675;
+
+const request = (overrides = {}) => ({
+  storeId: 301,
+  items: [
+    { productId: COPENHAGEN_WINTERGREEN.id, quantity: 2 },
+    { productId: PIZZA_SLICE.id, quantity: 1 }
+  ],
+  paymentMethodId: 'pm_card_1',
+  expectedTotalCents: EXPECTED_TOTAL_CENTS,
+  pickupTime: 'ASAP',
+  specialInstructions: '',
+  idempotencyKey: 'checkout-1',
+  ...overrides
+});
+
+describe('checkout endpoint', () => {
+  test('re-prices the order from the database, charges it and saves it', async () => {
+    const { supabase, charges, deps } = setup();
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    expect(response.status).toBe(200);
+    expect(charges).toHaveLength(1);
+    expect(charges[0]).toMatchObject({ amountCents: EXPECTED_TOTAL_CENTS, paymentMethodId: 'pm_card_1' });
+
+    const [order] = supabase.tables.orders;
+    expect(order).toMatchObject({
+      user_id: CUSTOMER.id,
+      store_id: 301,
+      payment_method_id: 'pm-row-1',
+      stripe_payment_intent_id: 'pi_1',
+      subtotal: 16.47,
+      discount: 1,
+      tax: 1.28,
+      total: 16.75,
+      status: 'placed',
+      idempotency_key: 'checkout-1'
+    });
+    expect(charges[0].idempotencyKey).toBe(`order-${order.id}`);
+    expect(order.items[0]).toMatchObject({ id: COPENHAGEN_WINTERGREEN.id, price: 6.49, quantity: 2, discountAmount: 1 });
+    expect(order.items[0].appliedDeal.combo_number).toBe(405);
+    expect(response.body.order.id).toBe(order.id);
+
+    expect(supabase.tables.deal_redemptions).toEqual([
+      expect.objectContaining({ order_id: order.id, user_id: CUSTOMER.id, combo_number: 405, times_applied: 1, redeemed_on: '2025-06-02' })
+    ]);
+  });
+
+  test("empties the customer's saved cart once the order is placed", async () => {
+    const { supabase, deps } = setup();
+
+    await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    expect(supabase.tables.carts[0]).toMatchObject({ items: [], updated_at: MIDDAY.toISOString() });
+  });
+
+  test('ignores prices and discounts sent by the client', async () => {
+    const { supabase, charges, deps } = setup();
+    const tampered = request({
+      items: [
+        { productId: COPENHAGEN_WINTERGREEN.id, quantity: 2, price: 0.01, discountAmount: 12 },
+        { productId: PIZZA_SLICE.id, quantity: 1, price: 0.01 }
+      ]
+    });
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, tampered);
+
+    expect(response.status).toBe(200);
+    expect(charges[0].amountCents).toBe(EXPECTED_TOTAL_CENTS);
+    expect(supabase.tables.orders[0].items.map(item => item.price)).toEqual([6.49, 3.49]);
+  });
+
+  test("saves the cart's line IDs on the order items, numbering lines that have none", async () => {
+    const { supabase, deps } = setup();
+    const withLineIds = request({
+      items: [
+        { productId: COPENHAGEN_WINTERGREEN.id, quantity: 1, lineId: 'a1b2' },
+        { productId: PIZZA_SLICE.id, quantity: 1 },
+        { productId: COPENHAGEN_WINTERGREEN.id, quantity: 1, lineId: 'c3d4' }
+      ]
+    });
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, withLineIds);
+
+    expect(response.status).toBe(200);
+    expect(supabase.tables.orders[0].items.map(({ id, lineId, quantity }) => ({ id, lineId, quantity }))).toEqual([
+      { id: COPENHAGEN_WINTERGREEN.id, lineId: 'a1b2', quantity: 2 },
+      { id: PIZZA_SLICE.id, lineId: 'line-2', quantity: 1 }
+    ]);
+  });
+
+  test("counts the customer's redemptions at other stores against a deal's limit", async () => {
+    const { supabase, chargePayment, deps } = setup();
+    supabase.tables.combo_master.forEach(combo => {
+      if (combo.combo_number === 405) Object.assign(combo, { redemption_limit: 1, redemption_period: 'day' });
+    });
+    supabase.tables.deal_redemptions.push({ order_id: 'order-at-302', user_id: CUSTOMER.id, store_number: 302, combo_number: 405, times_applied: 1, redeemed_on: '2025-06-02' });
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    // 2 cans at 6.49 + 1 slice at 3.49 = 16.47 without the deal, plus 8.25% tax (1.36)
+    expect(response.body).toMatchObject({ code: 'total_mismatch', quotedTotalCents: 1783 });
+    expect(chargePayment).not.toHaveBeenCalled();
+  });
+
+  test('refuses to charge when the total the customer saw is different', async () => {
+    const { supabase, chargePayment, deps } = setup();
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request({ expectedTotalCents: 100 }));
+
+    expect(response.status).toBe(409);
+    expect(response.body).toMatchObject({
+      success: false,
+      code: 'total_mismatch',
+      expectedTotalCents: 100,
+      quotedTotalCents: EXPECTED_TOTAL_CENTS
+    });
+    expect(chargePayment).not.toHaveBeenCalled();
+    expect(supabase.tables.orders).toEqual([]);
+  });
+
+  test('rejects products the store does not have available', async () => {
+    const { deps, chargePayment } = setup();
+    deps.supabase.tables.store_products[1].available = false;
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    expect(response.status).toBe(409);
+    expect(response.body).toMatchObject({ code: 'unavailable_product', productIds: [PIZZA_SLICE.id] });
+    expect(chargePayment).not.toHaveBeenCalled();
+  });
+
+  test('rejects bad requests', async () => {
+    const { deps } = setup();
+
+    expect((await handleCheckoutRequest(deps, null, request())).status).toBe(401);
+    expect((await handleCheckoutRequest(deps, CUSTOMER, request({ items: [] }))).body.code).toBe('invalid_request');
+    expect((await handleCheckoutRequest(deps, CUSTOMER, request({ items: [{ productId: PIZZA_SLICE.id, quantity: 0.5 }] }))).status).toBe(400);
+    expect((await handleCheckoutRequest(deps, CUSTOMER, request({ expectedTotalCents: undefined }))).status).toBe(400);
+    expect((await handleCheckoutRequest(deps, CUSTOMER, request({ idempotencyKey: undefined }))).status).toBe(400);
+    expect((await handleCheckoutRequest(deps, CUSTOMER, request({ storeId: 999 }))).body.code).toBe('unknown_store');
+  });
+
+  test("only charges the customer's own saved cards", async () => {
+    const { deps, chargePayment } = setup();
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request({ paymentMethodId: 'pm_card_2' }));
+
+    expect(response.body.code).toBe('invalid_payment_method');
+    expect(chargePayment).not.toHaveBeenCalled();
+  });
+
+  test('fails the order when the card is declined', async () => {
+    const { supabase, deps } = setup();
+    deps.chargePayment = async () => { throw Object.assign(new Error('Your card was declined.'), { declined: true }); };
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    expect(response.status).toBe(402);
+    expect(response.body).toMatchObject({ code: 'payment_failed', error: 'Your card was declined.' });
+    expect(supabase.tables.orders.map(order => order.status)).toEqual(['payment_failed']);
+    expect(supabase.tables.deal_redemptions).toEqual([]);
+    expect(supabase.tables.carts[0].items).toHaveLength(1);
+  });
+
+  test("leaves the order pending when it isn't known whether the charge went through", async () => {
+    const { supabase, refundPayment, deps } = setup();
+    deps.chargePayment = async () => { throw new Error('Stripe request timed out'); };
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    expect(response.status).toBe(502);
+    expect(response.body.code).toBe('payment_unconfirmed');
+    expect(response.body.settled).toBeUndefined();
+    expect(supabase.tables.orders.map(order => order.status)).toEqual(['pending_payment']);
+    expect(refundPayment).not.toHaveBeenCalled();
+  });
+
+  test('charges and places the order only once when the same checkout is sent twice', async () => {
+    const { supabase, chargePayment, deps } = setup();
+
+    const first = await handleCheckoutRequest(deps, CUSTOMER, request());
+    const second = await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    expect(second.status).toBe(200);
+    expect(second.body.order.id).toBe(first.body.order.id);
+    expect(chargePayment).toHaveBeenCalledTimes(1);
+    expect(supabase.tables.orders).toHaveLength(1);
+  });
+
+  test('a retry finishes a checkout left pending, charging with the same idempotency key', async () => {
+    const { supabase, charges, deps } = setup();
+    supabase.tables.orders.push({
+      id: 'order-pending',
+      user_id: CUSTOMER.id,
+      store_id: 301,
+      payment_method_id: 'pm-row-1',
+      status: 'pending_payment',
+      idempotency_key: 'checkout-1',
+      subtotal: 3.49,
+      discount: 0,
+      tax: 0.29,
+      total: 3.78,
+      items: [{ id: PIZZA_SLICE.id, lineId: 'line-1', name: PIZZA_SLICE.name, price: 3.49, quantity: 1, discountAmount: 0, appliedDeal: null }]
+    });
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    expect(response.status).toBe(200);
+    expect(charges).toEqual([expect.objectContaining({ amountCents: 378, paymentMethodId: 'pm_card_1', idempotencyKey: 'order-order-pending' })]);
+    expect(supabase.tables.orders).toEqual([expect.objectContaining({ id: 'order-pending', status: 'placed', stripe_payment_intent_id: 'pi_1' })]);
+  });
+
+  test('places the order once when a second request arrives while the first is charging', async () => {
+    const { supabase, refundPayment, deps } = setup();
+    // Like Stripe: the same idempotency key gets the same PaymentIntent back
+    const intents = new Map();
+    const started = [];
+    let releaseCharges;
+    const charging = new Promise(resolve => { releaseCharges = resolve; });
+    deps.chargePayment = jest.fn(async ({ idempotencyKey }) => {
+      started.push(idempotencyKey);
+      await charging;
+      if (!intents.has(idempotencyKey)) intents.set(idempotencyKey, `pi_${intents.size + 1}`);
+      return { paymentIntentId: intents.get(idempotencyKey) };
+    });
+    const waitForCharges = async (count) => {
+      while (started.length < count) await new Promise(resolve => setTimeout(resolve, 0));
+    };
+
+    const first = handleCheckoutRequest(deps, CUSTOMER, request());
+    await waitForCharges(1);
+    const second = handleCheckoutRequest(deps, CUSTOMER, request());
+    await waitForCharges(2);
+    releaseCharges();
+    const responses = await Promise.all([first, second]);
+
+    expect(responses.map(response => response.status)).toEqual([200, 200]);
+    expect(responses[1].body.order.id).toBe(responses[0].body.order.id);
+    expect(started).toEqual([started[0], started[0]]);
+    expect(refundPayment).not.toHaveBeenCalled();
+    expect(supabase.tables.orders).toEqual([expect.objectContaining({ status: 'placed', stripe_payment_intent_id: 'pi_1' })]);
+    expect(supabase.tables.deal_redemptions).toHaveLength(1);
+  });
+
+  test('leaves a pending order for reconciling when its card was removed after the first charge', async () => {
+    const { supabase, chargePayment, refundPayment, deps } = setup();
+    supabase.tables.orders.push({
+      id: 'order-card-removed',
+      user_id: CUSTOMER.id,
+      store_id: 301,
+      payment_method_id: 'pm-row-removed',
+      status: 'pending_payment',
+      idempotency_key: 'checkout-1',
+      total: 3.78,
+      created_at: '2025-06-02T16:55:00.000Z'
+    });
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    expect(response.body).toMatchObject({ code: 'payment_unconfirmed', settled: true });
+    expect(chargePayment).not.toHaveBeenCalled();
+    expect(supabase.tables.orders[0].status).toBe('pending_payment');
+
+    // The first attempt's charge went through: reconciling refunds it
+    const findOrderPayment = async () => ({ paymentIntentId: 'pi_first', status: 'succeeded' });
+    const later = new Date(MIDDAY.getTime() + 60 * 60 * 1000);
+    const result = await reconcilePendingOrders({ supabase, findOrderPayment, refundPayment, at: later });
+
+    expect(result.refunded).toEqual(['order-card-removed']);
+    expect(refundPayment).toHaveBeenCalledWith({ paymentIntentId: 'pi_first', amountCents: 378, orderId: 'order-card-removed' });
+    expect(supabase.tables.orders[0].status).toBe('payment_refunded');
+  });
+
+  test("doesn't fail a pending order when its card can't be looked up", async () => {
+    const { supabase, chargePayment, deps } = setup();
+    supabase.tables.orders.push({
+      id: 'order-pending',
+      user_id: CUSTOMER.id,
+      store_id: 301,
+      payment_method_id: 'pm-row-1',
+      status: 'pending_payment',
+      idempotency_key: 'checkout-1',
+      total: 3.78,
+      created_at: '2025-06-02T16:55:00.000Z'
+    });
+    const from = supabase.from;
+    supabase.from = (table) => (table === 'payment_methods'
+      ? { select: () => ({ eq: () => ({ eq: () => ({ maybeSingle: async () => ({ data: null, error: { message: 'connection lost' } }) }) }) }) }
+      : from(table));
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    expect(response.status).toBe(500);
+    expect(chargePayment).not.toHaveBeenCalled();
+    expect(supabase.tables.orders[0].status).toBe('pending_payment');
+  });
+
+  test('leaves a pending order older than the retry window for reconciling', async () => {
+    const { supabase, chargePayment, deps } = setup();
+    supabase.tables.orders.push({
+      id: 'order-stale',
+      user_id: CUSTOMER.id,
+      store_id: 301,
+      payment_method_id: 'pm-row-1',
+      status: 'pending_payment',
+      idempotency_key: 'checkout-1',
+      total: 3.78,
+      created_at: '2025-06-02T16:40:00.000Z'
+    });
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    // The client starts a new checkout instead of retrying this one
+    expect(response.body).toMatchObject({ code: 'payment_unconfirmed', settled: true });
+    expect(chargePayment).not.toHaveBeenCalled();
+  });
+
+  test('refunds the charge when the paid order cannot be placed', async () => {
+    const { supabase, refundPayment, deps } = setup();
+    failOrderConfirm(supabase);
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    expect(response.status).toBe(500);
+    expect(response.body).toMatchObject({ code: 'order_not_saved', refunded: true });
+    expect(refundPayment).toHaveBeenCalledWith(expect.objectContaining({ paymentIntentId: 'pi_1', amountCents: EXPECTED_TOTAL_CENTS }));
+    expect(supabase.tables.orders.map(order => order.status)).toEqual(['payment_refunded']);
+  });
+
+  test('leaves the order pending for a retry when the refund fails too', async () => {
+    const { supabase, deps } = setup();
+    failOrderConfirm(supabase);
+    deps.refundPayment = async () => { throw new Error('Stripe unavailable'); };
+
+    const response = await handleCheckoutRequest(deps, CUSTOMER, request());
+
+    expect(response.body).toMatchObject({ code: 'order_not_saved', paymentIntentId: 'pi_1' });
+    expect(supabase.tables.orders.map(order => order.status)).toEqual(['pending_payment']);
+  });
+});
+
+describe('reconcilePendingOrders', () => {
+  const pendingOrder = (id, createdAt, overrides = {}) => ({
+    id, user_id: CUSTOMER.id, store_id: 301, status: 'pending_payment', total: 16.75, created_at: createdAt, ...overrides
+  });
+
+  test('refunds stale pending orders that were paid and fails the ones never charged', async () => {
+    const { supabase, refundPayment } = setup();
+    supabase.tables.orders.push(
+      pendingOrder('order-paid', '2025-06-02T16:00:00.000Z'),
+      pendingOrder('order-unpaid', '2025-06-02T16:00:00.000Z'),
+      pendingOrder('order-processing', '2025-06-02T16:00:00.000Z'),
+      pendingOrder('order-recent', '2025-06-02T16:50:00.000Z'),
+      pendingOrder('order-placed', '2025-06-02T16:00:00.000Z', { status: 'placed' })
+    );
+    const payments = {
+      'order-paid': { paymentIntentId: 'pi_paid', status: 'succeeded' },
+      'order-processing': { paymentIntentId: 'pi_processing', status: 'processing' }
+    };
+    const findOrderPayment = jest.fn(async (orderId) => payments[orderId] || null);
+
+    const result = await reconcilePendingOrders({ supabase, findOrderPayment, refundPayment, at: MIDDAY });
+
+    expect(result).toEqual({ refunded: ['order-paid'], failed: ['order-unpaid'], skipped: ['order-processing'] });
+    expect(refundPayment).toHaveBeenCalledWith({ paymentIntentId: 'pi_paid', amountCents: 1675, orderId: 'order-paid' });
+    expect(Object.fromEntries(supabase.tables.orders.map(order => [order.id, order.status]))).toEqual({
+      'order-paid': 'payment_refunded',
+      'order-unpaid': 'payment_failed',
+      'order-processing': 'pending_payment',
+      'order-recent': 'pending_payment',
+      'order-placed': 'placed'
+    });
+  });
+
+  test('leaves an order pending for the next run when its refund fails', async () => {
+    const { supabase } = setup();
+    supabase.tables.orders.push(pendingOrder('order-paid', '2025-06-02T16:00:00.000Z'));
+    const findOrderPayment = async () => ({ paymentIntentId: 'pi_paid', status: 'succeeded' });
+    const refundPayment = async () => { throw new Error('Stripe unavailable'); };
+
+    const result = await reconcilePendingOrders({ supabase, findOrderPayment, refundPayment, at: MIDDAY });
+
+    expect(result.skipped).toEqual(['order-paid']);
+    expect(supabase.tables.orders[0].status).toBe('pending_payment');
+  });
+});
@@ -0,0 +1,79 @@
+import { createStripePayments } from './stripePayments';
+
+const USER = { id: 'user-1', email: 'customer@example.com' };
+
+// Stand-in for the Stripe API: responses by "METHOD /path", every request recorded
+const fakeStripe = (routes) => {
+  const requests = [];
+  const fetchImpl = jest.fn(async (url, { method, headers, body }) => {
+    const { pathname } = new URL(url);
+    const route = `${method} ${pathname.replace('/v1', '')}`;
+    requests.push({ route, headers, form: Object.fromEntries(new URLSearchParams(body || '')) });
+    const [status, json] = routes[route] || [404, { error: { type: 'invalid_request_error', message: `No route ${route}` } }];
+    return { ok: status < 400, status, json: async () => json };
+  });
+  return { requests, payments: createStripePayments({ secretKey: 'sk_test', fetchImpl }) };
+};
+
+const charge = (payments) => payments.chargePayment({
+  amountCents: 1675,
+  paymentMethodId: 'pm_card_1',
+  user: USER,
+  orderId: 'order-1',
+  idempotencyKey: 'order-order-1'
+});
+
+describe('stripe payments', () => {
+  test("charges the card with the order's idempotency key, attaching it to a customer first", async () => {
+    const { requests, payments } = fakeStripe({
+      'GET /payment_methods/pm_card_1': [200, { id: 'pm_card_1', customer: null }],
+      'GET /customers': [200, { data: [] }],
+      'POST /customers': [200, { id: 'cus_1' }],
+      'POST /payment_methods/pm_card_1/attach': [200, { id: 'pm_card_1', customer: 'cus_1' }],
+      'POST /payment_intents': [200, { id: 'pi_1', status: 'succeeded' }]
+    });
+
+    await expect(charge(payments)).resolves.toEqual({ paymentIntentId: 'pi_1' });
+
+    const intent = requests.find(r => r.route === 'POST /payment_intents');
+    expect(intent.headers['Idempotency-Key']).toBe('order-order-1');
+    expect(intent.form).toMatchObject({
+      amount: '1675',
+      customer: 'cus_1',
+      payment_method: 'pm_card_1',
+      confirm: 'true',
+      'metadata[order_id]': 'order-1'
+    });
+    expect(requests.find(r => r.route === 'POST /payment_methods/pm_card_1/attach').form).toEqual({ customer: 'cus_1' });
+  });
+
+  test('tells a declined card apart from a charge whose outcome is unknown', async () => {
+    const routes = { 'GET /payment_methods/pm_card_1': [200, { id: 'pm_card_1', customer: 'cus_1' }] };
+
+    const declined = fakeStripe({ ...routes, 'POST /payment_intents': [402, { error: { type: 'card_error', message: 'Your card was declined.' } }] });
+    await expect(charge(declined.payments)).rejects.toMatchObject({ declined: true, message: 'Your card was declined.' });
+
+    const unknown = fakeStripe({ ...routes, 'POST /payment_intents': [500, { error: { type: 'api_error', message: 'Something went wrong' } }] });
+    await expect(charge(unknown.payments)).rejects.toMatchObject({ declined: false, inProgress: false });
+
+    const running = fakeStripe({ ...routes, 'POST /payment_intents': [409, { error: { type: 'idempotency_error', message: 'In progress' } }] });
+    await expect(charge(running.payments)).rejects.toMatchObject({ declined: false, inProgress: true });
+  });
+
+  test('refunds once per order', async () => {
+    const { requests, payments } = fakeStripe({ 'POST /refunds': [200, { id: 're_1' }] });
+
+    await payments.refundPayment({ paymentIntentId: 'pi_1', amountCents: 1675, orderId: 'order-1' });
+
+    expect(requests[0].headers['Idempotency-Key']).toBe('refund-order-order-1');
+    expect(requests[0].form).toMatchObject({ payment_intent: 'pi_1', amount: '1675' });
+  });
+
+  test("finds an order's payment by its order ID", async () => {
+    const { payments } = fakeStripe({
+      'GET /payment_intents/search': [200, { data: [{ id: 'pi_0', status: 'requires_payment_method' }, { id: 'pi_1', status: 'succeeded' }] }]
+    });
+
+    await expect(payments.findOrderPayment('order-1')).resolves.toEqual({ paymentIntentId: 'pi_1', status: 'succeeded' });
+  });
+});
@@ -0,0 +1,93 @@
+import { diffDeals, formatDealDiff } from '../../deal-import/dealDiff';
+
+const combo = (overrides = {}) => ({
+  store_number: 301,
+  combo_number: 405,
+  description: 'COPENHAGEN 2CAN',
+  start_date: '2025-01-01',
+  start_time: 0,
+  end_date: '2025-12-31',
+  end_time: 2359,
+  combo_price: 0,
+  ...overrides
+});
+
+const line = (overrides = {}) => ({
+  store_number: 301,
+  combo_number: 405,
+  sequence: 1,
+  type: 'M',
+  mix_number: 405,
+  quantity: 2,
+  price: 0,
+  discount_amount: 1,
+  percentage: 0,
+  ...overrides
+});
+
+const plu = (value, overrides = {}) => ({ store_number: 301, mix_number: 405, plu: value, ...overrides });
+
+const tables = (overrides = {}) => ({
+  combo_master: [combo()],
+  combo_detail: [line()],
+  mix_master: [{ store_number: 301, mix_number: 405, description: 'COPENHAGEN CANS' }],
+  mix_detail: [plu(1001), plu(1002)],
+  ...overrides
+});
+
+describe('diffDeals', () => {
+  test('finds nothing when the export matches the tables', () => {
+    const current = tables();
+    // Numerics come back from the database as strings
+    current.combo_detail = [line({ discount_amount: '1.00', percentage: '0' })];
+
+    const diff = diffDeals(current, tables());
+
+    expect(formatDealDiff(diff)).toBe('No changes.');
+    expect(diff.destructive.total).toBe(0);
+  });
+
+  test('reports new and ended combos, price changes and mix PLUs per store', () => {
+    const current = tables();
+    const incoming = tables({
+      combo_master: [
+        combo({ end_date: '2025-06-30', combo_price: 5 }),
+        combo({ store_number: 302, combo_number: 410, description: 'MONSTER 2/$5' })
+      ],
+      combo_detail: [line({ discount_amount: 1.5 })],
+      mix_detail: [plu(1001), plu(1003)]
+    });
+
+    const diff = diffDeals(current, incoming);
+
+    expect(formatDealDiff(diff)).toBe([
+      'Store 301',
+      '  - Combo 405 COPENHAGEN 2CAN ends 2025-06-30 2359 (was 2025-12-31 2359)',
+      '  $ Combo 405 COPENHAGEN 2CAN: combo price $0.00 → $5.00',
+      '  $ Combo 405 COPENHAGEN 2CAN line 1: discount $1.00 → $1.50',
+      '  ~ Mix 405 COPENHAGEN CANS: +1003, -1002',
+      'Store 302',
+      '  + Combo 410 MONSTER 2/$5 (2025-01-01 → 2025-12-31)'
+    ].join('\n'));
+    expect(diff.destructive).toEqual({ endedCombos: 1, removedComboLines: 0, removedPlus: 1, total: 2 });
+  });
+
+  test('only counts removals the import would actually make', () => {
+    const current = tables({
+      combo_master: [combo(), combo({ combo_number: 406, description: 'SKOAL' })],
+      combo_detail: [line(), line({ sequence: 2, type: 'P', mix_number: null }), line({ combo_number: 406 })],
+      mix_detail: [plu(1001), plu(1002), plu(2001, { mix_number: 406 })]
+    });
+    // Combo 406 and mix 406 aren't in the export, so their lines and PLUs are left alone
+    const incoming = tables();
+
+    const diff = diffDeals(current, incoming);
+
+    expect(diff.destructive).toEqual({ endedCombos: 0, removedComboLines: 1, removedPlus: 0, total: 1 });
+    expect(formatDealDiff(diff)).toBe([
+      'Store 301',
+      '  x Combo 405 COPENHAGEN 2CAN line 2 (P) removed',
+      '  · Combo 406 SKOAL is not in the export (left as is)'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,75 @@
+import { checkDealIntegrity, formatIntegrityReport } from '../../deal-import/integrity';
+
+const deals = (overrides = {}) => ({
+  combo_master: [
+    { store_number: 301, combo_number: 405, description: 'COPENHAGEN 2CAN' },
+    { store_number: 301, combo_number: 406, description: 'PIZZA + DRINK' }
+  ],
+  combo_detail: [
+    { store_number: 301, combo_number: 405, sequence: 1, type: 'M', mix_number: 12, plu_number: null },
+    { store_number: 301, combo_number: 406, sequence: 1, type: 'P', mix_number: null, plu_number: 2001 }
+  ],
+  mix_master: [{ store_number: 301, mix_number: 12, description: 'COPENHAGEN CANS' }],
+  mix_detail: [{ store_number: 301, mix_number: 12, plu: 1001 }, { store_number: 301, mix_number: 12, plu: 1002 }],
+  ...overrides
+});
+
+const catalog = {
+  productIds: [1001, 1002, 2001],
+  storeProducts: [1001, 1002, 2001].map(productId => ({ store_id: 301, product_id: productId }))
+};
+
+describe('checkDealIntegrity', () => {
+  test('passes deals whose combos, mixes and PLUs all line up', () => {
+    const result = checkDealIntegrity(deals(), catalog);
+
+    expect(result).toEqual({ stores: [], total: 0 });
+    expect(formatIntegrityReport(result)).toBe('No integrity problems.');
+  });
+
+  test('reports orphaned combos, missing and empty mixes and unknown PLUs per store', () => {
+    const result = checkDealIntegrity(deals({
+      combo_master: [
+        ...deals().combo_master,
+        { store_number: 301, combo_number: 407, description: 'NO LINES' }
+      ],
+      combo_detail: [
+        ...deals().combo_detail,
+        { store_number: 301, combo_number: 408, sequence: 1, type: 'M', mix_number: 99, plu_number: null }
+      ],
+      mix_master: [
+        ...deals().mix_master,
+        { store_number: 301, mix_number: 13, description: 'EMPTY MIX' }
+      ],
+      mix_detail: [
+        { store_number: 301, mix_number: 12, plu: 1001 },
+        { store_number: 301, mix_number: 12, plu: 5555 },
+        { store_number: 401, mix_number: 12, plu: 1001 }
+      ]
+    }), catalog);
+
+    expect(result.total).toBe(6);
+    expect(formatIntegrityReport(result)).toBe([
+      'Store 301',
+      '  Combo 407 NO LINES has no detail lines',
+      "  1 detail line(s) for combo 408, which isn't in combo_master",
+      "  Mix 99 isn't in mix_master (used by combo 408)",
+      '  Mix 13 EMPTY MIX has no PLUs',
+      "  PLU 5555 isn't a product (in mix 12)",
+      'Store 401',
+      "  PLU 1001 isn't sold at this store (in mix 12)"
+    ].join('\n'));
+  });
+
+  test('checks PLUs on single-product lines and compares IDs as numbers', () => {
+    const result = checkDealIntegrity(deals(), {
+      productIds: ['1001', '1002', '2001'],
+      storeProducts: [{ store_id: '301', product_id: '1001' }, { store_id: '301', product_id: '1002' }]
+    });
+
+    expect(result.stores).toEqual([expect.objectContaining({
+      storeNumber: 301,
+      unstockedPlus: [{ plu: 2001, usedBy: ['combo 406'] }]
+    })]);
+  });
+});
@@ -0,0 +1,73 @@
+import { parseImportArgs, parseExportArgs, createLogger, TABLES } from '../../deal-import/cli';
+
+describe('parseImportArgs', () => {
+  test('defaults to every table in the current directory', () => {
+    expect(parseImportArgs([])).toMatchObject({
+      dir: '.',
+      stores: null,
+      tables: TABLES,
+      dryRun: false,
+      maxRemovals: 10,
+      rollback: false
+    });
+  });
+
+  test('reads the directory, store and table filters', () => {
+    const options = parseImportArgs(['--dir', '/exports/pos', '--store', '301, 401', '-t', 'combo_master,combo_detail', '--dry-run', '--max-removals', '0']);
+
+    expect(options).toMatchObject({
+      dir: '/exports/pos',
+      stores: [301, 401],
+      tables: ['combo_master', 'combo_detail'],
+      dryRun: true,
+      maxRemovals: 0
+    });
+  });
+
+  test('rejects bad options with a usage error', () => {
+    const usageMessage = (argv) => {
+      try {
+        parseImportArgs(argv);
+      } catch (err) {
+        return err.code === 'usage' && err.message;
+      }
+      return null;
+    };
+
+    expect(usageMessage(['--store', '301,abc'])).toBe('--store: "abc" is not valid');
+    expect(usageMessage(['--tables', 'orders'])).toBe('--tables: "orders" is not valid');
+    expect(usageMessage(['--max-removals', '-1'])).toMatch(/--max-removals/);
+    expect(usageMessage(['--verbose', '--quiet'])).toMatch(/cannot be used together/);
+    expect(usageMessage(['--rollback', '--store', '301'])).toMatch(/cannot be combined/);
+    expect(usageMessage(['--bogus'])).toMatch(/--bogus/);
+  });
+});
+
+describe('parseExportArgs', () => {
+  test('writes to ./pos-export by default and takes the same filters', () => {
+    expect(parseExportArgs([])).toMatchObject({ dir: './pos-export', stores: null, tables: TABLES });
+    expect(parseExportArgs(['-d', 'out', '-s', '301', '-t', 'mix_detail'])).toMatchObject({ dir: 'out', stores: [301], tables: ['mix_detail'] });
+    expect(() => parseExportArgs(['--dry-run'])).toThrow(/--dry-run/);
+  });
+});
+
+describe('createLogger', () => {
+  const capture = (options) => {
+    const out = [];
+    const err = [];
+    const log = createLogger(options, { out: (...args) => out.push(args.join(' ')), err: (...args) => err.push(args.join(' ')) });
+    log.info('info');
+    log.detail('detail');
+    log.warn('warn');
+    return { out, err };
+  };
+
+  test('keeps stdout for the JSON summary', () => {
+    expect(capture({ json: true })).toEqual({ out: [], err: ['info', 'warn'] });
+  });
+
+  test('quiet only prints warnings and errors; verbose adds details', () => {
+    expect(capture({ quiet: true })).toEqual({ out: [], err: ['warn'] });
+    expect(capture({ verbose: true })).toEqual({ out: ['info', 'detail'], err: ['warn'] });
+  });
+});
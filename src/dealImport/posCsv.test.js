@@ -0,0 +1,122 @@
+import fs from 'fs';
+import path from 'path';
+import { COMBO_MASTER, COMBO_DETAIL, MIX_DETAIL, POS_SCHEMAS, parsePosCsv, readPosFile, formatPosCsv } from '../../deal-import/posCsv';
+
+const ROOT = path.resolve(__dirname, '../..');
+
+const COMBO_MASTER_HEADER = 'Store #,Combo #,Description,Start Date,Start Time,End Date,End Time,Combo Price';
+const COMBO_DETAIL_HEADER = 'Store#,Combo #,Sequence,Type,PLU #,Modifier,Price,Mix #,Qty,Percentage,Discount Amount,Transaction Limit';
+
+describe('parsePosCsv', () => {
+  test('converts valid rows to table records', () => {
+    const csv = `${COMBO_MASTER_HEADER}\n301,405,"Copenhagen, 2 for $12",20250601,0,20250630,2359,1200\n`;
+
+    const { records, rejected } = parsePosCsv(csv, COMBO_MASTER);
+
+    expect(rejected).toEqual([]);
+    expect(records).toEqual([{
+      line: 2,
+      record: {
+        store_number: 301,
+        combo_number: 405,
+        description: 'Copenhagen, 2 for $12',
+        start_date: '2025-06-01',
+        start_time: 0,
+        end_date: '2025-06-30',
+        end_time: 2359,
+        combo_price: 12
+      }
+    }]);
+  });
+
+  test('rejects bad rows with their file line and reasons', () => {
+    const csv = [
+      COMBO_MASTER_HEADER,
+      '301,401,Good,20250601,0,20250630,2359,0',
+      '301,402,"Spans',
+      'two lines",20250631,0,20250630,2460,0',
+      '',
+      '301,403,Reversed,20250630,0,20250601,2359,0',
+      '301,401,Duplicate,20250601,0,20250630,2359,0',
+      '301,404,Short row'
+    ].join('\n');
+
+    const { records, rejected } = parsePosCsv(csv, COMBO_MASTER);
+
+    expect(records.map(r => r.record.combo_number)).toEqual([401]);
+    expect(rejected.map(r => [r.line, r.reasons])).toEqual([
+      [3, ['Start Date "20250631" is not a calendar date', 'End Time 2460 is above 2359']],
+      [6, ['End Date 2025-06-01 is before Start Date 2025-06-30']],
+      [7, ['duplicates line 2 (store_number, combo_number)']],
+      [8, ['has 3 fields, expected 8', 'Start Date "" is not a YYYYMMDD date', 'Start Time is required',
+        'End Date "" is not a YYYYMMDD date', 'End Time is required']]
+    ]);
+  });
+
+  test("rejects every line of a combo when one of its lines is bad", () => {
+    const csv = [
+      COMBO_DETAIL_HEADER,
+      '301,405,1,M,0,0,0,12,2,0,100,0',
+      '301,405,2,M,0,0,0,0,1,0,0,0',
+      '301,406,1,P,2001,0,0,0,1,20,0,0'
+    ].join('\n');
+
+    const { records, rejected } = parsePosCsv(csv, COMBO_DETAIL);
+
+    expect(records.map(r => r.record)).toEqual([expect.objectContaining({
+      combo_number: 406, plu_number: 2001, mix_number: null, percentage: 0.2, transaction_limit: 5
+    })]);
+    expect(rejected.map(r => [r.line, r.reasons])).toEqual([
+      [2, ['line 3 of the same store_number/combo_number was rejected']],
+      [3, ['Type M line has no Mix #']]
+    ]);
+  });
+
+  test('refuses a file that is missing columns', () => {
+    expect(() => parsePosCsv('Store #,Mix #\n301,12\n', MIX_DETAIL)).toThrow('MixDetail.csv is missing column(s): PLU');
+  });
+});
+
+describe('formatPosCsv', () => {
+  test.each(POS_SCHEMAS.map(schema => [schema.file, schema]))('writes the shipped %s back byte for byte', (file, schema) => {
+    const rows = readPosFile(ROOT, schema).records.map(({ record }) => record);
+
+    expect(formatPosCsv(rows, schema)).toBe(fs.readFileSync(path.join(ROOT, file), 'utf-8'));
+  });
+
+  test('writes database rows in the POS format, and reading them back gives the same data', () => {
+    // As the rows come back from Supabase: numerics as strings, extra columns
+    const rows = [
+      { id: 7, store_number: 301, combo_number: 405, sequence: 1, type: 'M', plu_number: null, modifier: 0, price: '0.00',
+        mix_number: 405, quantity: 2, percentage: '0.125', discount_amount: '1.05', transaction_limit: 5, import_batch_id: 3 },
+      { id: 8, store_number: 301, combo_number: 406, sequence: 1, type: 'P', plu_number: 2001, modifier: 2, price: 4.99,
+        mix_number: null, quantity: 1, percentage: 0, discount_amount: 0, transaction_limit: 1, import_batch_id: null }
+    ];
+
+    const csv = formatPosCsv(rows, COMBO_DETAIL);
+
+    expect(csv.split('\n')).toEqual([
+      'Store#,Combo #,Sequence,Type,PLU #,Modifier,Price,Mix #,Qty,Percentage,Discount Amount,Transaction Limit',
+      '301,405,1,M,0,0,0,405,2,12.5,105,5',
+      '301,406,1,P,2001,2,499,0,1,0,0,1',
+      ''
+    ]);
+    expect(parsePosCsv(csv, COMBO_DETAIL).records.map(r => r.record)).toEqual([
+      expect.objectContaining({ combo_number: 405, plu_number: null, mix_number: 405, percentage: 0.125, discount_amount: 1.05 }),
+      expect.objectContaining({ combo_number: 406, plu_number: 2001, modifier: 2, price: 4.99, mix_number: null, transaction_limit: 1 })
+    ]);
+  });
+
+  test('formats dates and times the way the POS writes them and quotes only when needed', () => {
+    const csv = formatPosCsv([{
+      store_number: 301, combo_number: 405, description: 'Copenhagen, "2 for $12"',
+      start_date: '2025-06-01', start_time: 100, end_date: '2025-06-30', end_time: 2359, combo_price: '12.00'
+    }], COMBO_MASTER);
+
+    expect(csv).toBe(
+      'Store #,Combo #,Description,Start Date,Start Time,End Date,End Time,Combo Price\n' +
+      '301,405,"Copenhagen, ""2 for $12""",20250601,100,20250630,2359,1200\n'
+    );
+    expect(parsePosCsv(csv, COMBO_MASTER).records[0].record.description).toBe('Copenhagen, "2 for $12"');
+  });
+});
@@ -0,0 +1,64 @@
+// Deal snapshots for the pricing tests, built from the POS CSVs shipped at the repo
+// root with the same schemas import-deals.js validates and converts them with.
+
+import { COMBO_MASTER, COMBO_DETAIL, MIX_DETAIL, readPosFile } from '../../../deal-import/posCsv';
+import path from 'path';
+
+const ROOT = path.resolve(__dirname, '../../..');
+
+const readRecords = (schema) => readPosFile(ROOT, schema).records.map(({ record }) => record);
+
+const comboMaster = readRecords(COMBO_MASTER);
+const comboDetail = readRecords(COMBO_DETAIL);
+const mixDetail = readRecords(MIX_DETAIL);
+
+// Snapshot for one store exactly as shipped in the CSVs
+export const loadPosSnapshot = (storeNumber) => ({
+  storeNumber,
+  timeZone: 'America/Chicago',
+  combos: comboMaster.filter(c => c.store_number === storeNumber),
+  comboDetails: comboDetail.filter(cd => cd.store_number === storeNumber),
+  mixDetails: mixDetail.filter(md => md.store_number === storeNumber)
+});
+
+// Shipped snapshot plus extra combos/lines/mixes, for deal shapes the CSVs don't cover yet
+export const withDeals = (snapshot, { combos = [], comboDetails = [], mixDetails = [] }) => ({
+  ...snapshot,
+  combos: [...snapshot.combos, ...combos],
+  comboDetails: [...snapshot.comboDetails, ...comboDetails],
+  mixDetails: [...snapshot.mixDetails, ...mixDetails]
+});
+
+// combo_master / combo_detail rows with the defaults the importer would produce
+export const comboRow = (fields) => ({
+  description: `COMBO ${fields.combo_number}`,
+  start_date: '2024-01-01',
+  start_time: 0,
+  end_date: '2099-12-31',
+  end_time: 2359,
+  combo_price: 0,
+  ...fields
+});
+
+export const lineRow = (fields) => ({
+  sequence: 1,
+  type: 'M',
+  plu_number: null,
+  modifier: 0,
+  price: 0,
+  mix_number: null,
+  quantity: 1,
+  percentage: 0,
+  discount_amount: 0,
+  transaction_limit: 5,
+  ...fields
+});
+
+// Copenhagen cans from mix 405 and some unrelated products
+export const COPENHAGEN_WINTERGREEN = { id: 7310000008, name: 'Copenhagen Wintergreen', price: 6.49 };
+export const COPENHAGEN_LONG_CUT = { id: 7310000021, name: 'Copenhagen Long Cut', price: 6.79 };
+export const PIZZA_SLICE = { id: 1001, name: 'Pepperoni Slice', price: 3.49 };
+export const FOUNTAIN_DRINK = { id: 2001, name: 'Fountain Drink 32oz', price: 1.99 };
+export const BOTTLED_WATER = { id: 2002, name: 'Bottled Water', price: 1.49 };
+
+export const inCart = (product, quantity) => ({ ...product, quantity, discountAmount: 0, appliedDeal: null });
@@ -0,0 +1,450 @@
+import { priceCart, summarizeCombo, getComboProductIds, getRedeemedCombos } from './dealEngine';
+import { getRedemptionPeriodStart } from './dealSchedule';
+import { EMPTY_DEAL_SNAPSHOT } from './dealSnapshot';
+import {
+  loadPosSnapshot,
+  withDeals,
+  comboRow,
+  lineRow,
+  inCart,
+  COPENHAGEN_WINTERGREEN,
+  COPENHAGEN_LONG_CUT,
+  PIZZA_SLICE,
+  FOUNTAIN_DRINK,
+  BOTTLED_WATER
+} from './__fixtures__/posDeals';
+
+// Noon Central on a day inside the shipped Copenhagen combo (2024-01-01 01:00 to 2025-12-20 23:59)
+const MIDDAY = new Date('2025-06-02T17:00:00Z');
+
+const store301 = loadPosSnapshot(301);
+
+describe('shipped Copenhagen 2-can combo', () => {
+  test('takes $1.00 off every 2 cans from mix 405', () => {
+    const result = priceCart([inCart(COPENHAGEN_WINTERGREEN, 2)], store301, { at: MIDDAY });
+
+    expect(result.discountCents).toBe(100);
+    expect(result.items[0].appliedDeal).toMatchObject({ combo_number: 405, timesApplied: 1 });
+    expect(result.appliedDeals).toHaveLength(1);
+  });
+
+  test('mixes different PLUs from the same mix', () => {
+    const result = priceCart(
+      [inCart(COPENHAGEN_WINTERGREEN, 1), inCart(COPENHAGEN_LONG_CUT, 1)],
+      store301,
+      { at: MIDDAY }
+    );
+
+    expect(result.discountCents).toBe(100);
+    expect(result.items[0].discountAmount + result.items[1].discountAmount).toBe(1);
+  });
+
+  test('only whole pairs count', () => {
+    expect(priceCart([inCart(COPENHAGEN_WINTERGREEN, 3)], store301, { at: MIDDAY }).discountCents).toBe(100);
+    expect(priceCart([inCart(COPENHAGEN_WINTERGREEN, 4)], store301, { at: MIDDAY }).discountCents).toBe(200);
+  });
+
+  test('a single can reports the shortage', () => {
+    const result = priceCart([inCart(COPENHAGEN_WINTERGREEN, 1)], store301, { at: MIDDAY });
+
+    expect(result.discountCents).toBe(0);
+    expect(result.combos[0]).toMatchObject({ combo_number: 405, status: 'insufficient_quantity' });
+    expect(result.combos[0].detail[0]).toMatchObject({ required: 2, available: 1 });
+  });
+
+  test('leaves items outside the mix alone', () => {
+    const result = priceCart([inCart(COPENHAGEN_WINTERGREEN, 2), inCart(PIZZA_SLICE, 1)], store301, { at: MIDDAY });
+
+    expect(result.items[1].appliedDeal).toBeNull();
+    expect(result.items[1].discountAmount).toBe(0);
+  });
+
+  test('stops applying after transaction_limit (5)', () => {
+    const result = priceCart([inCart(COPENHAGEN_WINTERGREEN, 14)], store301, { at: MIDDAY });
+
+    expect(result.discountCents).toBe(500);
+    expect(result.appliedDeals[0].timesApplied).toBe(5);
+  });
+
+  test('other stores price the same combo independently', () => {
+    const result = priceCart([inCart(COPENHAGEN_WINTERGREEN, 2)], loadPosSnapshot(705), { at: MIDDAY });
+
+    expect(result.discountCents).toBe(100);
+  });
+});
+
+describe('combo time windows (store local time)', () => {
+  test('starts at start_time on start_date, not at midnight', () => {
+    // 00:30 and 01:00 CST on 2024-01-01
+    const before = priceCart([inCart(COPENHAGEN_WINTERGREEN, 2)], store301, { at: new Date('2024-01-01T06:30:00Z') });
+    const atStart = priceCart([inCart(COPENHAGEN_WINTERGREEN, 2)], store301, { at: new Date('2024-01-01T07:00:00Z') });
+
+    expect(before.discountCents).toBe(0);
+    expect(before.combos[0].status).toBe('outside_window');
+    expect(atStart.discountCents).toBe(100);
+  });
+
+  test('runs through end_time on end_date in the store time zone', () => {
+    // 23:59 CST on 2025-12-20 is already 2025-12-21 in UTC
+    const lastMinute = priceCart([inCart(COPENHAGEN_WINTERGREEN, 2)], store301, { at: new Date('2025-12-21T05:59:00Z') });
+    const after = priceCart([inCart(COPENHAGEN_WINTERGREEN, 2)], store301, { at: new Date('2025-12-21T06:00:00Z') });
+
+    expect(lastMinute.discountCents).toBe(100);
+    expect(after.discountCents).toBe(0);
+  });
+
+  test('same-day windows that end before they start cross midnight', () => {
+    const snapshot = withDeals(EMPTY_DEAL_SNAPSHOT, {
+      combos: [comboRow({ combo_number: 900, start_date: '2025-06-02', start_time: 2200, end_date: '2025-06-02', end_time: 200 })],
+      comboDetails: [lineRow({ combo_number: 900, mix_number: 900, discount_amount: 0.5 })],
+      mixDetails: [{ mix_number: 900, plu: FOUNTAIN_DRINK.id }]
+    });
+    const cart = [inCart(FOUNTAIN_DRINK, 1)];
+    const at = (iso) => priceCart(cart, { ...snapshot, timeZone: 'America/Chicago' }, { at: new Date(iso) }).discountCents;
+
+    expect(at('2025-06-03T02:59:00Z')).toBe(0); // 21:59 CDT
+    expect(at('2025-06-03T03:00:00Z')).toBe(50); // 22:00
+    expect(at('2025-06-03T06:30:00Z')).toBe(50); // 01:30 next day
+    expect(at('2025-06-03T07:01:00Z')).toBe(0); // 02:01
+  });
+});
+
+describe('multi-line combos', () => {
+  // Buy a pizza slice, get up to 2 drinks half off
+  const pizzaAndDrinks = withDeals(store301, {
+    combos: [comboRow({ combo_number: 910, description: 'SLICE + 2 DRINKS' })],
+    comboDetails: [
+      lineRow({ combo_number: 910, sequence: 1, mix_number: 910 }),
+      lineRow({ combo_number: 910, sequence: 2, mix_number: 911, quantity: 2, percentage: 0.5 })
+    ],
+    mixDetails: [
+      { mix_number: 910, plu: PIZZA_SLICE.id },
+      { mix_number: 911, plu: FOUNTAIN_DRINK.id },
+      { mix_number: 911, plu: BOTTLED_WATER.id }
+    ]
+  });
+
+  test('discounts only the units matched by the discounted line', () => {
+    const result = priceCart(
+      [inCart(PIZZA_SLICE, 1), inCart(FOUNTAIN_DRINK, 2)],
+      pizzaAndDrinks,
+      { at: MIDDAY }
+    );
+
+    expect(result.items[0].discountAmount).toBe(0);
+    expect(result.items[1].discountAmount).toBe(1.99);
+    expect(result.items[1].appliedDeal.discount_percentage).toBe(0.5);
+  });
+
+  test('needs the qualifier line', () => {
+    const result = priceCart([inCart(FOUNTAIN_DRINK, 2)], pizzaAndDrinks, { at: MIDDAY });
+
+    expect(result.discountCents).toBe(0);
+  });
+
+  test('lines sharing a mix need their combined quantity', () => {
+    // Buy one drink, get one drink $1 off
+    const bogo = withDeals(EMPTY_DEAL_SNAPSHOT, {
+      combos: [comboRow({ combo_number: 920 })],
+      comboDetails: [
+        lineRow({ combo_number: 920, sequence: 1, mix_number: 911 }),
+        lineRow({ combo_number: 920, sequence: 2, mix_number: 911, discount_amount: 1 })
+      ],
+      mixDetails: [{ mix_number: 911, plu: FOUNTAIN_DRINK.id }]
+    });
+
+    expect(priceCart([inCart(FOUNTAIN_DRINK, 1)], bogo, { at: MIDDAY }).discountCents).toBe(0);
+    expect(priceCart([inCart(FOUNTAIN_DRINK, 2)], bogo, { at: MIDDAY }).discountCents).toBe(100);
+  });
+
+  test('a flat amount split across two products adds up to the cent', () => {
+    const snapshot = withDeals(EMPTY_DEAL_SNAPSHOT, {
+      combos: [comboRow({ combo_number: 921 })],
+      comboDetails: [lineRow({ combo_number: 921, mix_number: 911, quantity: 2, discount_amount: 1.01 })],
+      mixDetails: [{ mix_number: 911, plu: FOUNTAIN_DRINK.id }, { mix_number: 911, plu: BOTTLED_WATER.id }]
+    });
+    const result = priceCart([inCart(FOUNTAIN_DRINK, 1), inCart(BOTTLED_WATER, 1)], snapshot, { at: MIDDAY });
+
+    expect(result.lines.map(l => l.discountCents).sort()).toEqual([50, 51]);
+    expect(result.discountCents).toBe(101);
+  });
+
+  test('a flat amount never takes more than the units it applies to cost', () => {
+    const snapshot = withDeals(EMPTY_DEAL_SNAPSHOT, {
+      combos: [comboRow({ combo_number: 923 })],
+      comboDetails: [lineRow({ combo_number: 923, mix_number: 911, quantity: 2, discount_amount: 5 })],
+      mixDetails: [{ mix_number: 911, plu: BOTTLED_WATER.id }]
+    });
+    const result = priceCart([inCart({ ...BOTTLED_WATER, price: 1 }, 2)], snapshot, { at: MIDDAY, taxRate: 0.0825 });
+
+    expect(result.discountCents).toBe(200);
+    expect(result.lines[0].subtotalCents - result.lines[0].discountCents).toBe(0);
+    expect(result.totalCents).toBe(0);
+  });
+
+  test('percentage discounts are rounded to the cent per line', () => {
+    const snapshot = withDeals(EMPTY_DEAL_SNAPSHOT, {
+      combos: [comboRow({ combo_number: 922 })],
+      comboDetails: [lineRow({ combo_number: 922, mix_number: 911, quantity: 3, percentage: 0.15 })],
+      mixDetails: [{ mix_number: 911, plu: FOUNTAIN_DRINK.id }]
+    });
+    const result = priceCart([inCart(FOUNTAIN_DRINK, 3)], snapshot, { at: MIDDAY, taxRate: 0.0825 });
+
+    // 15% of 5.97 = 0.8955
+    expect(result.discountCents).toBe(90);
+    expect(result.items[0].discountAmount).toBe(0.9);
+    expect(result.totalCents).toBe(result.subtotalCents - result.discountCents + result.taxCents);
+  });
+});
+
+describe('bundle pricing (combo_price)', () => {
+  const bundle = withDeals(EMPTY_DEAL_SNAPSHOT, {
+    combos: [comboRow({ combo_number: 930, description: 'SLICE + DRINK', combo_price: 4.5 })],
+    comboDetails: [
+      lineRow({ combo_number: 930, sequence: 1, mix_number: 910 }),
+      lineRow({ combo_number: 930, sequence: 2, mix_number: 911 })
+    ],
+    mixDetails: [
+      { mix_number: 910, plu: PIZZA_SLICE.id },
+      { mix_number: 911, plu: FOUNTAIN_DRINK.id }
+    ]
+  });
+
+  test('spreads the savings over the matched lines and they add up exactly', () => {
+    const result = priceCart([inCart(PIZZA_SLICE, 1), inCart(FOUNTAIN_DRINK, 1)], bundle, { at: MIDDAY });
+
+    // 3.49 + 1.99 = 5.48 regular, 4.50 bundle
+    expect(result.discountCents).toBe(98);
+    expect(result.lines[0].discountCents + result.lines[1].discountCents).toBe(98);
+    expect(result.lines[0].discountCents).toBeGreaterThan(result.lines[1].discountCents);
+    expect(result.items[0].appliedDeal.bundle_price).toBe(4.5);
+    expect(summarizeCombo(bundle, bundle.combos[0]).discountText).toBe('2 for $4.50');
+  });
+
+  test('gives no discount when the bundle costs more than the items', () => {
+    const result = priceCart([inCart(BOTTLED_WATER, 1)], withDeals(EMPTY_DEAL_SNAPSHOT, {
+      combos: [comboRow({ combo_number: 931, combo_price: 2 })],
+      comboDetails: [lineRow({ combo_number: 931, type: 'P', plu_number: BOTTLED_WATER.id })]
+    }), { at: MIDDAY });
+
+    expect(result.discountCents).toBe(0);
+  });
+});
+
+describe('overlapping combos', () => {
+  // Two combos competing for the same Copenhagen cans
+  const overlapping = withDeals(store301, {
+    combos: [comboRow({ combo_number: 940, description: 'COPENHAGEN 3 FOR $15', combo_price: 15 })],
+    comboDetails: [lineRow({ combo_number: 940, mix_number: 405, quantity: 3 })]
+  });
+
+  test('gives each unit to one combo and picks the bigger saving', () => {
+    // 3 cans: 2-can combo saves $1.00, 3-for-$15 saves $4.47
+    const result = priceCart([inCart(COPENHAGEN_WINTERGREEN, 3)], overlapping, { at: MIDDAY });
+
+    expect(result.discountCents).toBe(447);
+    expect(result.appliedDeals.map(d => d.combo_number)).toEqual([940]);
+    expect(result.combos.find(c => c.combo_number === 405).status).toBe('not_selected');
+  });
+
+  test('combines combos when there are enough units for both', () => {
+    const result = priceCart([inCart(COPENHAGEN_WINTERGREEN, 5)], overlapping, { at: MIDDAY });
+
+    expect(result.discountCents).toBe(547);
+    const claimed = result.appliedDeals.reduce((sum, d) => sum + d.units.reduce((s, u) => s + u.units, 0), 0);
+    expect(claimed).toBe(5);
+  });
+
+  test('gives a unit two combos want to the combo that saves more on it', () => {
+    const sandwich = { id: 5001, name: 'Sandwich', price: 5 };
+    const salad = { id: 5002, name: 'Salad', price: 4 };
+    const deals = withDeals(store301, {
+      combos: [
+        comboRow({ combo_number: 950, description: '$1 OFF SANDWICH OR SALAD' }),
+        comboRow({ combo_number: 951, description: '$2 OFF SANDWICH' })
+      ],
+      comboDetails: [
+        lineRow({ combo_number: 950, mix_number: 950, discount_amount: 1 }),
+        lineRow({ combo_number: 951, type: 'P', plu_number: sandwich.id, discount_amount: 2 })
+      ],
+      mixDetails: [{ mix_number: 950, plu: sandwich.id }, { mix_number: 950, plu: salad.id }]
+    });
+
+    const result = priceCart([inCart(sandwich, 1), inCart(salad, 1)], deals, { at: MIDDAY });
+
+    // $1 off the salad and $2 off the sandwich, not $1 off each
+    expect(result.discountCents).toBe(300);
+    expect(result.items.map(item => item.appliedDeal.combo_number)).toEqual([951, 950]);
+  });
+
+  test('exclusive combos never share the cart', () => {
+    const exclusive = {
+      ...overlapping,
+      combos: overlapping.combos.map(c => c.combo_number === 940 ? { ...c, stacking_policy: 'exclusive' } : c)
+    };
+    const result = priceCart([inCart(COPENHAGEN_WINTERGREEN, 5)], exclusive, { at: MIDDAY });
+
+    // 940 alone (4.47) beats two 2-can pairs (2.00)
+    expect(result.discountCents).toBe(447);
+    expect(result.appliedDeals.map(d => d.combo_number)).toEqual([940]);
+  });
+});
+
+describe('per-customer redemption limits', () => {
+  // One free fountain drink per customer per day
+  const freeDrink = withDeals(EMPTY_DEAL_SNAPSHOT, {
+    combos: [comboRow({ combo_number: 960, redemption_limit: 1, redemption_period: 'day' })],
+    comboDetails: [lineRow({ combo_number: 960, type: 'P', plu_number: FOUNTAIN_DRINK.id, percentage: 1, transaction_limit: 0 })]
+  });
+
+  test('caps applications in one cart at the limit', () => {
+    const result = priceCart([inCart(FOUNTAIN_DRINK, 3)], freeDrink, { at: MIDDAY });
+
+    expect(result.discountCents).toBe(199);
+    expect(result.appliedDeals[0].timesApplied).toBe(1);
+  });
+
+  test('counts earlier redemptions in the period', () => {
+    const result = priceCart([inCart(FOUNTAIN_DRINK, 1)], { ...freeDrink, redemptions: { 960: 1 } }, { at: MIDDAY });
+
+    expect(result.discountCents).toBe(0);
+    expect(result.combos[0]).toMatchObject({ status: 'redemption_limit_reached', detail: { limit: 1, redeemed: 1 } });
+  });
+
+  test('reads redeemed combos back from priced items', () => {
+    const snapshot = withDeals(store301, { combos: freeDrink.combos, comboDetails: freeDrink.comboDetails });
+    const { items } = priceCart([inCart(COPENHAGEN_WINTERGREEN, 4), inCart(FOUNTAIN_DRINK, 1)], snapshot, { at: MIDDAY });
+
+    expect(getRedeemedCombos(items)).toEqual({ 405: 2, 960: 1 });
+    expect(getRedeemedCombos([inCart(PIZZA_SLICE, 1)])).toEqual({});
+  });
+
+  test('periods start on the store day, the Monday of the week, or the promotion start', () => {
+    // Monday 2025-06-02 at 19:00 CDT is already Tuesday in UTC
+    const mondayEvening = new Date('2025-06-03T00:00:00Z');
+    const combo = comboRow({ combo_number: 961, start_date: '2025-05-01' });
+
+    expect(getRedemptionPeriodStart({ ...combo, redemption_period: 'day' }, 'America/Chicago', mondayEvening)).toBe('2025-06-02');
+    expect(getRedemptionPeriodStart({ ...combo, redemption_period: 'week' }, 'America/Chicago', new Date('2025-06-08T17:00:00Z'))).toBe('2025-06-02');
+    expect(getRedemptionPeriodStart({ ...combo, redemption_period: 'promotion' }, 'America/Chicago', mondayEvening)).toBe('2025-05-01');
+  });
+});
+
+describe('near misses', () => {
+  test('one can short of the Copenhagen combo suggests the can already in the cart', () => {
+    const result = priceCart([inCart(COPENHAGEN_WINTERGREEN, 1)], store301, { at: MIDDAY });
+
+    expect(result.nearMisses).toHaveLength(1);
+    expect(result.nearMisses[0]).toMatchObject({ combo_number: 405, again: false, missingUnits: 1, savingsCents: 100 });
+    expect(result.nearMisses[0].lines[0]).toMatchObject({ mix_number: 405, units: 1 });
+    expect(result.nearMisses[0].lines[0].productIds[0]).toBe(COPENHAGEN_WINTERGREEN.id);
+    expect(result.nearMisses[0].lines[0].productIds).toContain(COPENHAGEN_LONG_CUT.id);
+  });
+
+  test('one unit short of applying again', () => {
+    const result = priceCart([inCart(COPENHAGEN_WINTERGREEN, 3)], store301, { at: MIDDAY });
+
+    expect(result.nearMisses[0]).toMatchObject({ combo_number: 405, again: true, savingsCents: 100 });
+  });
+
+  test('nothing to suggest once the transaction limit is used up', () => {
+    expect(priceCart([inCart(COPENHAGEN_WINTERGREEN, 11)], store301, { at: MIDDAY }).nearMisses).toEqual([]);
+  });
+
+  test('more than nearMissUnits short is not a near miss', () => {
+    const snapshot = withDeals(EMPTY_DEAL_SNAPSHOT, {
+      combos: [comboRow({ combo_number: 970 })],
+      comboDetails: [
+        lineRow({ combo_number: 970, sequence: 1, mix_number: 910 }),
+        lineRow({ combo_number: 970, sequence: 2, mix_number: 911, quantity: 2, percentage: 0.5 })
+      ],
+      mixDetails: [{ mix_number: 910, plu: PIZZA_SLICE.id }, { mix_number: 911, plu: FOUNTAIN_DRINK.id }]
+    });
+    const cart = [inCart(PIZZA_SLICE, 1)];
+
+    expect(priceCart(cart, snapshot, { at: MIDDAY }).nearMisses).toEqual([]);
+
+    // Nothing in the cart matches the drinks line, so a percentage saving can't be priced
+    const [nearMiss] = priceCart(cart, snapshot, { at: MIDDAY, nearMissUnits: 2 }).nearMisses;
+    expect(nearMiss).toMatchObject({ combo_number: 970, missingUnits: 2, savingsCents: null });
+    expect(nearMiss.lines).toEqual([
+      { sequence: 2, mix_number: 911, plu_number: null, units: 2, productIds: [FOUNTAIN_DRINK.id] }
+    ]);
+  });
+
+  test('flat discounts are known without a matching item in the cart', () => {
+    const snapshot = withDeals(EMPTY_DEAL_SNAPSHOT, {
+      combos: [comboRow({ combo_number: 971 })],
+      comboDetails: [
+        lineRow({ combo_number: 971, sequence: 1, type: 'P', plu_number: PIZZA_SLICE.id }),
+        lineRow({ combo_number: 971, sequence: 2, type: 'P', plu_number: BOTTLED_WATER.id, discount_amount: 0.75 })
+      ]
+    });
+    const [nearMiss] = priceCart([inCart(PIZZA_SLICE, 1)], snapshot, { at: MIDDAY }).nearMisses;
+
+    expect(nearMiss).toMatchObject({ combo_number: 971, savingsCents: 75 });
+    expect(nearMiss.lines[0].productIds).toEqual([BOTTLED_WATER.id]);
+  });
+});
+
+describe('line types', () => {
+  test('matches P lines by PLU', () => {
+    const snapshot = withDeals(EMPTY_DEAL_SNAPSHOT, {
+      combos: [comboRow({ combo_number: 950 })],
+      comboDetails: [lineRow({ combo_number: 950, type: 'P', plu_number: PIZZA_SLICE.id, price: 2.99 })]
+    });
+    const result = priceCart([inCart(PIZZA_SLICE, 2)], snapshot, { at: MIDDAY });
+
+    expect(result.discountCents).toBe(100);
+    expect(result.items[0].appliedDeal.override_price).toBe(2.99);
+    expect(getComboProductIds(snapshot, 950)).toEqual([PIZZA_SLICE.id]);
+  });
+
+  test('a modifier restricts the line to units sold with that modifier', () => {
+    const snapshot = withDeals(EMPTY_DEAL_SNAPSHOT, {
+      combos: [comboRow({ combo_number: 951 })],
+      comboDetails: [lineRow({ combo_number: 951, type: 'P', plu_number: COPENHAGEN_WINTERGREEN.id, modifier: 2, discount_amount: 3 })]
+    });
+
+    expect(priceCart([inCart(COPENHAGEN_WINTERGREEN, 1)], snapshot, { at: MIDDAY }).discountCents).toBe(0);
+    expect(priceCart([inCart({ ...COPENHAGEN_WINTERGREEN, modifier: 2 }, 1)], snapshot, { at: MIDDAY }).discountCents).toBe(300);
+  });
+
+  test('reports unrecognized line types instead of applying them', () => {
+    const snapshot = withDeals(store301, {
+      combos: [comboRow({ combo_number: 952 })],
+      comboDetails: [lineRow({ combo_number: 952, type: 'D', mix_number: 405, discount_amount: 1 })]
+    });
+    const result = priceCart([inCart(COPENHAGEN_WINTERGREEN, 2)], snapshot, { at: MIDDAY });
+
+    expect(result.warnings).toEqual(['Combo 952 has unsupported line type(s): D']);
+    expect(result.combos.find(c => c.combo_number === 952).status).toBe('unsupported_line_type');
+    expect(result.discountCents).toBe(100);
+  });
+});
+
+describe('price breakdown', () => {
+  test('itemizes lines and totals', () => {
+    const result = priceCart(
+      [inCart(COPENHAGEN_WINTERGREEN, 2), inCart(PIZZA_SLICE, 1)],
+      store301,
+      { at: MIDDAY, taxRate: 0.1 }
+    );
+
+    expect(result.lines.map(l => [l.id, l.quantity, l.subtotalCents, l.discountCents, l.totalCents])).toEqual([
+      [COPENHAGEN_WINTERGREEN.id, 2, 1298, 100, 1198],
+      [PIZZA_SLICE.id, 1, 349, 0, 349]
+    ]);
+    expect(result.subtotalCents).toBe(1647);
+    // 10% of 15.47 = 1.547, rounded half up once for the order
+    expect(result.taxCents).toBe(155);
+    expect(result.totalCents).toBe(1702);
+  });
+
+  test('prices an empty snapshot at full price', () => {
+    const result = priceCart([inCart(PIZZA_SLICE, 2)], EMPTY_DEAL_SNAPSHOT);
+
+    expect(result.discountCents).toBe(0);
+    expect(result.totalCents).toBe(698);
+  });
+});
@@ -0,0 +1,59 @@
+// Records which combos an order redeemed (deal_redemptions), so per-customer
+// redemption limits can count them. See loadDealSnapshot for the read side.
+// Customers can only read the table: syncDealRedemptions runs in the checkout
+// function, and the app gives redemptions back after a refund through
+// releaseDealRedemptions.
+
+import { getStoreLocalParts } from './dealSchedule.js';
+import { getRedeemedCombos } from './dealEngine.js';
+
+// Make the order's deal_redemptions rows match its priced items, when the order is
+// placed. Needs a client that can write the table (the service role). Throws Supabase
+// errors.
+export const syncDealRedemptions = async (supabase, order, items, timeZone) => {
+  const redeemed = getRedeemedCombos(items);
+  const comboNumbers = Object.keys(redeemed).map(n => parseInt(n));
+  const redeemedOn = getStoreLocalParts(order.created_at || new Date(), timeZone).date;
+  const now = new Date().toISOString();
+
+  if (comboNumbers.length) {
+    const { error } = await supabase
+      .from('deal_redemptions')
+      .upsert(comboNumbers.map(comboNumber => ({
+        order_id: order.id,
+        user_id: order.user_id,
+        store_number: order.store_id,
+        combo_number: comboNumber,
+        times_applied: redeemed[comboNumber],
+        redeemed_on: redeemedOn,
+        updated_at: now
+      })), { onConflict: 'order_id,combo_number' });
+
+    if (error) throw error;
+  }
+
+  // Combos no longer on the order
+  let reversed = supabase
+    .from('deal_redemptions')
+    .update({ times_applied: 0, updated_at: now })
+    .eq('order_id', order.id);
+  if (comboNumbers.length) {
+    reversed = reversed.not('combo_number', 'in', `(${comboNumbers.join(',')})`);
+  }
+
+  const { error } = await reversed;
+  if (error) throw error;
+};
+
+// After a refund, lower the order's redemptions to what the items left on it (none
+// for a full refund) still use, so reversed redemptions are given back. Runs as the
+// store manager; the release_deal_redemptions function checks they manage the
+// order's store and never raises a count. Throws the Supabase error.
+export const releaseDealRedemptions = async (supabase, order, items) => {
+  const { error } = await supabase.rpc('release_deal_redemptions', {
+    p_order_id: order.id,
+    p_redeemed: getRedeemedCombos(items)
+  });
+
+  if (error) throw error;
+};
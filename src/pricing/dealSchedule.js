@@ -0,0 +1,179 @@
+// Deal schedule helpers: when a combo_master row is in effect, evaluated on the
+// store's wall clock rather than the device's.
+
+// Stores without a timezone column set are assumed to be on Central time
+export const DEFAULT_STORE_TIME_ZONE = 'America/Chicago';
+
+export const getStoreTimeZone = (store) => store?.timezone || DEFAULT_STORE_TIME_ZONE;
+
+// Wall-clock date (YYYY-MM-DD) and minute of day for an instant, as seen at the store
+export const getStoreLocalParts = (at, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(at)).forEach(p => { parts[p.type] = p.value; });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+};
+
+export const shiftDateString = (dateStr, days) => {
+  const [year, month, day] = dateStr.split('-').map(n => parseInt(n));
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+// combo_master stores times as POS HHMM integers (100 = 1:00 AM, 2359 = 11:59 PM)
+export const hhmmToMinutes = (hhmm) => {
+  const value = parseInt(hhmm) || 0;
+  return Math.floor(value / 100) * 60 + (value % 100);
+};
+
+// Sortable YYYYMMDD * 1440 + minute key so date/time pairs compare as plain numbers
+const toDealMinuteKey = (dateStr, minutes) => {
+  const [year, month, day] = dateStr.split('-').map(n => parseInt(n));
+  return (Date.UTC(year, month - 1, day) / 60000) + minutes;
+};
+
+// A combo's window as minute keys, both inclusive
+const getComboWindowKeys = (combo) => {
+  const startMinutes = combo.start_time == null ? 0 : hhmmToMinutes(combo.start_time);
+  const endMinutes = combo.end_time == null ? 23 * 60 + 59 : hhmmToMinutes(combo.end_time);
+
+  const startKey = toDealMinuteKey(combo.start_date, startMinutes);
+  let endKey = toDealMinuteKey(combo.end_date, endMinutes);
+  if (endKey < startKey) {
+    endKey = toDealMinuteKey(shiftDateString(combo.end_date, 1), endMinutes);
+  }
+  return { startKey, endKey };
+};
+
+// The instant a store wall-clock minute key falls on. The second pass settles the
+// offset when the first guess lands on the other side of a DST change.
+const dealMinuteKeyToInstant = (key, timeZone) => {
+  let instant = key * 60000;
+  for (let pass = 0; pass < 2; pass++) {
+    const local = getStoreLocalParts(instant, timeZone);
+    instant -= (toDealMinuteKey(local.date, local.minutes) - key) * 60000;
+  }
+  return new Date(instant);
+};
+
+// A combo runs from start_date@start_time through end_date@end_time (inclusive, store local time).
+// When the end falls before the start on the same date, the window crosses midnight into the next day.
+export const isComboActiveAt = (combo, timeZone, at = new Date()) => {
+  if (!combo?.start_date || !combo?.end_date) return false;
+
+  const now = getStoreLocalParts(at, timeZone);
+  const nowKey = toDealMinuteKey(now.date, now.minutes);
+  const { startKey, endKey } = getComboWindowKeys(combo);
+
+  return nowKey >= startKey && nowKey <= endKey;
+};
+
+// The instants a combo starts and stops applying (end is the minute after end_time)
+export const getComboWindow = (combo, timeZone) => {
+  const { startKey, endKey } = getComboWindowKeys(combo);
+  return {
+    startsAt: dealMinuteKeyToInstant(startKey, timeZone),
+    endsAt: dealMinuteKeyToInstant(endKey + 1, timeZone)
+  };
+};
+
+// The next instant after `at` when a combo starts or stops, or the store's day rolls
+// over (when the combos dated for "today" change), whichever comes first
+export const getNextDealChange = (combos, timeZone, at = new Date()) => {
+  const { date } = getStoreLocalParts(at, timeZone);
+  const changes = [dealMinuteKeyToInstant(toDealMinuteKey(shiftDateString(date, 1), 0), timeZone)];
+  (combos || []).filter(combo => combo?.start_date && combo?.end_date).forEach(combo => {
+    const { startsAt, endsAt } = getComboWindow(combo, timeZone);
+    changes.push(startsAt, endsAt);
+  });
+  return new Date(Math.min(...changes.filter(change => change > at).map(change => change.getTime())));
+};
+
+// A YYYY-MM-DD calendar date for display. Parsing it with new Date() would read it as
+// UTC midnight, which is the previous day anywhere west of Greenwich.
+export const formatDealDate = (dateStr, options = { month: 'short', day: 'numeric' }) => {
+  const [year, month, day] = dateStr.split('-').map(n => parseInt(n));
+  return new Date(Date.UTC(year, month - 1, day, 12)).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+};
+
+const formatDealTime = (minutes) => {
+  const hours = Math.floor(minutes / 60) % 24;
+  return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+};
+
+// Deals ending within this long show a countdown instead of the end date
+export const DEAL_COUNTDOWN_MS = 24 * 60 * 60 * 1000;
+
+// When a combo runs, relative to `at`, for deal cards:
+//   { state: 'active', text: 'Ends Oct 24' | 'Ends in 3h 12m', endingSoon }
+//   { state: 'upcoming', text: 'Starts today at 4:00 PM' | 'Starts tomorrow' | 'Starts Friday' | 'Starts Oct 30' }
+//   { state: 'ended', text: 'Ended' }
+export const describeComboTiming = (combo, timeZone, at = new Date()) => {
+  const { startsAt, endsAt } = getComboWindow(combo, timeZone);
+  const now = new Date(at);
+
+  if (now >= endsAt) return { state: 'ended', text: 'Ended', endingSoon: false };
+
+  if (now >= startsAt) {
+    const msLeft = endsAt - now;
+    if (msLeft > DEAL_COUNTDOWN_MS) {
+      const { date } = getStoreLocalParts(new Date(endsAt - 60000), timeZone);
+      return { state: 'active', text: `Ends ${formatDealDate(date)}`, endingSoon: false };
+    }
+    const minutesLeft = Math.ceil(msLeft / 60000);
+    const hours = Math.floor(minutesLeft / 60);
+    const text = hours > 0 ? `Ends in ${hours}h ${minutesLeft % 60}m` : `Ends in ${minutesLeft}m`;
+    return { state: 'active', text, endingSoon: true };
+  }
+
+  const today = getStoreLocalParts(now, timeZone).date;
+  const start = getStoreLocalParts(startsAt, timeZone);
+  const time = start.minutes > 0 ? ` at ${formatDealTime(start.minutes)}` : '';
+  let text;
+  if (start.date === today) {
+    text = `Starts today${time}`;
+  } else if (start.date === shiftDateString(today, 1)) {
+    text = `Starts tomorrow${time}`;
+  } else if (start.date <= shiftDateString(today, 6)) {
+    text = `Starts ${formatDealDate(start.date, { weekday: 'long' })}`;
+  } else {
+    text = `Starts ${formatDealDate(start.date)}`;
+  }
+  return { state: 'upcoming', text, endingSoon: false };
+};
+
+// Date bounds for the combo_master query. end_date reaches back a day so overnight
+// windows that started yesterday are still fetched; isComboActiveAt does the exact check.
+// upcomingDays also takes in combos starting within that many days after today.
+export const getComboQueryDates = (timeZone, at = new Date(), upcomingDays = 0) => {
+  const { date } = getStoreLocalParts(at, timeZone);
+  return { today: date, latestStartDate: shiftDateString(date, upcomingDays), earliestEndDate: shiftDateString(date, -1) };
+};
+
+// First store-local date (YYYY-MM-DD) of the combo's current redemption period
+// (combo_master.redemption_period): the day, the week starting Monday, or the whole promotion
+export const getRedemptionPeriodStart = (combo, timeZone, at = new Date()) => {
+  const { date } = getStoreLocalParts(at, timeZone);
+
+  switch (combo.redemption_period) {
+    case 'week': {
+      const [year, month, day] = date.split('-').map(n => parseInt(n));
+      const daysSinceMonday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+      return shiftDateString(date, -daysSinceMonday);
+    }
+    case 'promotion':
+      return combo.start_date;
+    default:
+      return date;
+  }
+};
@@ -0,0 +1,83 @@
+import {
+  isComboActiveAt,
+  getComboWindow,
+  getNextDealChange,
+  getComboQueryDates,
+  formatDealDate,
+  describeComboTiming
+} from './dealSchedule';
+
+const CHICAGO = 'America/Chicago';
+
+const combo = (fields) => ({ start_date: '2026-10-19', start_time: 0, end_date: '2026-10-25', end_time: 2359, ...fields });
+
+// 2026-10-19 is a Monday; Chicago is on CDT (UTC-5) until 2026-11-01
+const mondayAt = (time) => new Date(`2026-10-19T${time}-05:00`);
+
+describe('formatDealDate', () => {
+  test('shows the calendar date itself, not the UTC midnight before it', () => {
+    expect(formatDealDate('2026-10-24')).toBe('Oct 24');
+    expect(formatDealDate('2026-10-23', { weekday: 'long' })).toBe('Friday');
+  });
+});
+
+describe('getComboWindow', () => {
+  test('converts the store-local window to instants, ending the minute after end_time', () => {
+    expect(getComboWindow(combo(), CHICAGO)).toEqual({
+      startsAt: new Date('2026-10-19T05:00:00Z'),
+      endsAt: new Date('2026-10-26T05:00:00Z')
+    });
+  });
+
+  test('handles windows that cross midnight and DST changes', () => {
+    const overnight = combo({ end_date: '2026-10-19', start_time: 2200, end_time: 200 });
+    expect(getComboWindow(overnight, CHICAGO).endsAt).toEqual(new Date('2026-10-20T07:01:00Z'));
+
+    // Chicago falls back to CST (UTC-6) at 2 AM on 2026-11-01
+    const acrossDst = combo({ end_date: '2026-11-01' });
+    expect(getComboWindow(acrossDst, CHICAGO).endsAt).toEqual(new Date('2026-11-02T06:00:00Z'));
+    expect(isComboActiveAt(acrossDst, CHICAGO, new Date('2026-11-02T05:59:00Z'))).toBe(true);
+  });
+});
+
+describe('describeComboTiming', () => {
+  test('gives the end date, or a countdown in the last 24 hours', () => {
+    expect(describeComboTiming(combo(), CHICAGO, mondayAt('12:00:00'))).toEqual({ state: 'active', text: 'Ends Oct 25', endingSoon: false });
+    expect(describeComboTiming(combo({ end_date: '2026-10-19', end_time: 1504 }), CHICAGO, mondayAt('12:00:00')))
+      .toEqual({ state: 'active', text: 'Ends in 3h 5m', endingSoon: true });
+    expect(describeComboTiming(combo({ end_date: '2026-10-19', end_time: 1229 }), CHICAGO, mondayAt('12:00:30')).text).toBe('Ends in 30m');
+    expect(describeComboTiming(combo({ end_date: '2026-10-19', end_time: 1100 }), CHICAGO, mondayAt('12:00:00')).state).toBe('ended');
+  });
+
+  test('says when an upcoming deal starts, in store-local days', () => {
+    const startsOn = (start_date, start_time = 0) => describeComboTiming(combo({ start_date, start_time, end_date: '2026-12-31' }), CHICAGO, mondayAt('12:00:00')).text;
+
+    expect(startsOn('2026-10-19', 1600)).toBe('Starts today at 4:00 PM');
+    expect(startsOn('2026-10-20')).toBe('Starts tomorrow');
+    expect(startsOn('2026-10-20', 930)).toBe('Starts tomorrow at 9:30 AM');
+    expect(startsOn('2026-10-23')).toBe('Starts Friday');
+    expect(startsOn('2026-10-30')).toBe('Starts Oct 30');
+
+    // 11 PM Monday in Chicago is already Tuesday in UTC
+    expect(describeComboTiming(combo({ start_date: '2026-10-20', end_date: '2026-12-31' }), CHICAGO, mondayAt('23:00:00')).text)
+      .toBe('Starts tomorrow');
+  });
+});
+
+describe('getNextDealChange', () => {
+  test('is the next start or end, or the store midnight when nothing changes sooner', () => {
+    const combos = [combo(), combo({ start_date: '2026-10-19', start_time: 1600, end_date: '2026-10-19', end_time: 1759 })];
+
+    expect(getNextDealChange(combos, CHICAGO, mondayAt('12:00:00'))).toEqual(mondayAt('16:00:00'));
+    expect(getNextDealChange(combos, CHICAGO, mondayAt('16:30:00'))).toEqual(mondayAt('18:00:00'));
+    expect(getNextDealChange(combos, CHICAGO, mondayAt('19:00:00'))).toEqual(new Date('2026-10-20T05:00:00Z'));
+  });
+});
+
+test('getComboQueryDates reaches ahead for upcoming deals', () => {
+  expect(getComboQueryDates(CHICAGO, mondayAt('12:00:00'), 7)).toEqual({
+    today: '2026-10-19',
+    latestStartDate: '2026-10-26',
+    earliestEndDate: '2026-10-18'
+  });
+});
@@ -0,0 +1,61 @@
+// Money is worked out in integer cents. Dollars only appear at the edges: prices as
+// they come from Supabase, the amounts written to orders/refund rows, and display.
+//
+// Rounding rules:
+//   - Per line: a line's subtotal is unit price × quantity, exact in cents. Each
+//     discount is rounded to the cent on the line it applies to, so the item
+//     discounts always add up to the order discount.
+//   - Per order: tax is charged once on (subtotal - discounts) and rounded half up.
+//     total = subtotal - discounts + tax, exactly.
+
+// Round half up (away from zero), ignoring float noise from the multiplication
+// that got us here (1.005 * 100 is 100.49999999999999)
+export const roundHalfUp = (value) => {
+  const cleaned = Number(value.toFixed(6));
+  return Math.sign(cleaned) * Math.round(Math.abs(cleaned));
+};
+
+export const toCents = (dollars) => roundHalfUp(Number(dollars || 0) * 100);
+
+export const fromCents = (cents) => cents / 100;
+
+// A rate (tax rate, deal percentage) applied to an amount, rounded to the cent
+export const applyRate = (cents, rate) => roundHalfUp(cents * (rate || 0));
+
+// Split totalCents in proportion to weights. Shares are rounded to the cent and the
+// rounding remainder goes on the last share, so they always add up to totalCents.
+export const splitCents = (totalCents, weights) => {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  let allocated = 0;
+  return weights.map((weight, i) => {
+    const share = i === weights.length - 1
+      ? totalCents - allocated
+      : (totalWeight > 0 ? roundHalfUp(totalCents * weight / totalWeight) : 0);
+    allocated += share;
+    return share;
+  });
+};
+
+export const lineSubtotalCents = (item) => toCents(item.price) * item.quantity;
+
+// Cart/order totals in cents for items carrying price, quantity and discountAmount
+export const getOrderTotals = (items, taxRate = 0) => {
+  const subtotalCents = (items || []).reduce((sum, item) => sum + lineSubtotalCents(item), 0);
+  const discountCents = (items || []).reduce((sum, item) => sum + toCents(item.discountAmount), 0);
+  const taxCents = applyRate(subtotalCents - discountCents, taxRate);
+
+  return {
+    subtotalCents,
+    discountCents,
+    taxCents,
+    totalCents: subtotalCents - discountCents + taxCents
+  };
+};
+
+// The subtotal/discount/tax/total columns of an orders row
+export const toOrderAmounts = ({ subtotalCents, discountCents, taxCents, totalCents }) => ({
+  subtotal: fromCents(subtotalCents),
+  discount: fromCents(discountCents),
+  tax: fromCents(taxCents),
+  total: fromCents(totalCents)
+});
@@ -0,0 +1,54 @@
+import { toCents, fromCents, applyRate, splitCents, getOrderTotals, toOrderAmounts } from './money';
+
+describe('toCents', () => {
+  test('rounds dollars to the nearest cent, ignoring float noise', () => {
+    expect(toCents(6.49)).toBe(649);
+    expect(toCents(1.005)).toBe(101);
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(toCents('3.49')).toBe(349);
+    expect(toCents(null)).toBe(0);
+  });
+});
+
+describe('applyRate', () => {
+  test('rounds half up to the cent', () => {
+    expect(applyRate(1050, 0.0825)).toBe(87); // 86.625
+    expect(applyRate(1000, 0.0825)).toBe(83); // 82.5
+    expect(applyRate(999, 0)).toBe(0);
+  });
+});
+
+describe('splitCents', () => {
+  test('shares always add up to the total', () => {
+    const shares = splitCents(100, [1, 1, 1]);
+    expect(shares).toEqual([33, 33, 34]);
+    expect(splitCents(98, [349, 199]).reduce((a, b) => a + b, 0)).toBe(98);
+  });
+});
+
+describe('getOrderTotals', () => {
+  const cart = [
+    { price: 0.1, quantity: 3, discountAmount: 0 },
+    { price: 6.49, quantity: 2, discountAmount: 1 },
+    { price: 1.99, quantity: 1 }
+  ];
+
+  test('adds up lines in cents and taxes the discounted subtotal once', () => {
+    const totals = getOrderTotals(cart, 0.0825);
+
+    expect(totals).toEqual({
+      subtotalCents: 30 + 1298 + 199,
+      discountCents: 100,
+      taxCents: 118, // 8.25% of 14.27 = 1.177275
+      totalCents: 1427 + 118
+    });
+  });
+
+  test('stored amounts add up exactly', () => {
+    const amounts = toOrderAmounts(getOrderTotals(cart, 0.0825));
+
+    expect(toCents(amounts.subtotal) - toCents(amounts.discount) + toCents(amounts.tax)).toBe(toCents(amounts.total));
+    expect(amounts.total).toBe(15.45);
+    expect(fromCents(toCents(amounts.total))).toBe(amounts.total);
+  });
+});
@@ -0,0 +1,54 @@
+import { quoteOrder } from './orderQuote';
+import { priceCart } from './dealEngine';
+import { createFakeSupabase } from '../checkout/__fixtures__/fakeSupabase';
+import { EMPTY_DEAL_SNAPSHOT } from './dealSnapshot';
+import { withDeals, comboRow, lineRow, inCart, COPENHAGEN_WINTERGREEN } from './__fixtures__/posDeals';
+
+const MIDDAY = new Date('2025-06-02T17:00:00Z');
+
+// Only $3 off a Copenhagen carton (modifier 2), not a single can
+const cartonDeal = withDeals(EMPTY_DEAL_SNAPSHOT, {
+  combos: [comboRow({ store_number: 301, combo_number: 980, description: '$3 OFF A CARTON' })],
+  comboDetails: [lineRow({ store_number: 301, combo_number: 980, type: 'P', plu_number: COPENHAGEN_WINTERGREEN.id, modifier: 2, discount_amount: 3 })]
+});
+
+const setup = () => createFakeSupabase({
+  stores: [{ id: 301, name: 'Jack Flash #301', tax_rate: 0 }],
+  products: [{ id: COPENHAGEN_WINTERGREEN.id, name: COPENHAGEN_WINTERGREEN.name, price: 7.99 }],
+  store_products: [{ store_id: 301, product_id: COPENHAGEN_WINTERGREEN.id, price: 6.49, available: true }],
+  combo_master: cartonDeal.combos,
+  combo_detail: cartonDeal.comboDetails,
+  mix_detail: cartonDeal.mixDetails,
+  deal_redemptions: []
+}, { now: () => MIDDAY });
+
+describe('quoteOrder', () => {
+  test('prices a product at each modifier as its own line, like the cart', async () => {
+    const items = [
+      { productId: COPENHAGEN_WINTERGREEN.id, modifier: 2, quantity: 1, lineId: 'carton' },
+      { productId: COPENHAGEN_WINTERGREEN.id, quantity: 1, lineId: 'can' },
+      { productId: COPENHAGEN_WINTERGREEN.id, modifier: 2, quantity: 1, lineId: 'carton-again' }
+    ];
+
+    const quote = await quoteOrder(setup(), { storeId: 301, items, at: MIDDAY });
+
+    expect(quote.items.map(({ lineId, modifier, quantity }) => ({ lineId, modifier, quantity }))).toEqual([
+      { lineId: 'carton', modifier: 2, quantity: 2 },
+      { lineId: 'can', modifier: 0, quantity: 1 }
+    ]);
+    expect(quote.items[0].appliedDeal.combo_number).toBe(980);
+
+    // The same total the app's cart shows for these lines
+    const cart = [
+      { ...inCart({ ...COPENHAGEN_WINTERGREEN, modifier: 2 }, 2), lineId: 'carton' },
+      { ...inCart(COPENHAGEN_WINTERGREEN, 1), lineId: 'can' }
+    ];
+    expect(quote.totals.totalCents).toBe(priceCart(cart, cartonDeal, { at: MIDDAY }).totalCents);
+  });
+
+  test('rejects a modifier that is not a whole number', async () => {
+    const items = [{ productId: COPENHAGEN_WINTERGREEN.id, modifier: -1, quantity: 1 }];
+
+    await expect(quoteOrder(setup(), { storeId: 301, items, at: MIDDAY })).rejects.toMatchObject({ code: 'invalid_request' });
+  });
+});
@@ -0,0 +1,397 @@
+// Copied from src/checkout/placeOrder.js by sync-edge-shared.js; edit that file and run
+// `npm run sync-edge-shared` instead of changing this one.
+
+// Checkout endpoint logic, the only way orders are placed. The client sends the store,
+// product IDs and modifiers, quantities and line IDs, the saved card to charge, and the
+// total it showed the customer. The order is re-priced here from the database (see
+// quoteOrder) and is only charged when that total still matches what the customer saw.
+// The order is saved as pending before the charge and placed after it, so a payment
+// never goes through without an order to show for it (see chargeAndPlace).
+//
+// Runs inside the checkout edge function (supabase/functions/checkout) against the
+// real database and Stripe (see stripePayments.js), and in the tests against stand-ins.
+// Orders left pending are settled by reconcilePendingOrders.
+
+import { quoteOrder, orderError } from '../pricing/orderQuote.js';
+import { toCents, fromCents, lineSubtotalCents } from '../pricing/money.js';
+import { syncDealRedemptions } from '../pricing/dealRedemptions.js';
+import { getStoreTimeZone } from '../pricing/dealSchedule.js';
+
+// Orders that never reached the store. A pending_payment order is saved before the card
+// is charged and becomes 'placed' once the charge is confirmed on it; payment_failed
+// when the card was declined, payment_refunded when the charge had to be given back.
+// The store queue and order history leave these out.
+export const UNPLACED_ORDER_STATUSES = ['pending_payment', 'payment_failed', 'payment_refunded'];
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 64;
+const CONFIRM_ATTEMPTS = 2;
+
+// A retry can finish a pending order for this long after it was saved. After that
+// the order is reconcilePendingOrders' to settle (it waits a while longer, so the two
+// never work on the same order), and a late retry gets payment_unconfirmed.
+const RESUME_WINDOW_MS = 15 * 60 * 1000;
+const RECONCILE_AFTER_MS = 30 * 60 * 1000;
+
+// Order details for the receipt email
+const toReceipt = (order, store) => ({
+  items: order.items.map(item => ({
+    name: item.name,
+    quantity: item.quantity,
+    price: item.price,
+    total: fromCents(lineSubtotalCents(item)),
+    discount: item.discountAmount || 0,
+    deal: item.appliedDeal?.description || null
+  })),
+  storeName: store.name,
+  storeAddress: store.address,
+  pickupTime: order.pickup_time,
+  specialInstructions: order.special_instructions,
+  subtotal: order.subtotal,
+  discounts: order.discount,
+  tax: order.tax,
+  total: order.total
+});
+
+// pending_payment -> placed, with the payment that paid for it. Tried twice; null when
+// the order still couldn't be updated.
+const confirmOrder = async (supabase, orderId, paymentIntentId) => {
+  for (let attempt = 1; attempt <= CONFIRM_ATTEMPTS; attempt++) {
+    const { data, error } = await supabase
+      .from('orders')
+      .update({ status: 'placed', stripe_payment_intent_id: paymentIntentId })
+      .eq('id', orderId)
+      .eq('status', 'pending_payment')
+      .select()
+      .single();
+
+    if (!error && data) return data;
+    console.error(`Order confirm error (attempt ${attempt}):`, error);
+  }
+  return null;
+};
+
+const setOrderStatus = async (supabase, orderId, status) => {
+  const { error } = await supabase
+    .from('orders')
+    .update({ status })
+    .eq('id', orderId)
+    .eq('status', 'pending_payment');
+
+  if (error) console.error(`Order status (${status}) update error:`, error);
+};
+
+// The order as it is now, if another request already placed it with this payment (a
+// double tap charging the same pending order gets the same PaymentIntent back, so
+// only the first confirm matches); null otherwise
+const findPlacedOrder = async (supabase, orderId, paymentIntentId) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) console.error('Order re-read error:', error);
+  return data?.status === 'placed' && data.stripe_payment_intent_id === paymentIntentId ? data : null;
+};
+
+// details.settled: this checkout can't be finished any more and reconcilePendingOrders
+// will settle its order, so the client should start a new attempt (a new key) instead
+// of retrying this one
+const paymentUnconfirmed = (message = "We couldn't confirm your payment. Please try again; you won't be charged twice.", details) =>
+  orderError('payment_unconfirmed', message, details);
+
+// Charges a pending order and places it. The charge's idempotency key is tied to the
+// order, so charging the same pending order again (a retry after a dropped connection,
+// a double tap) returns the first charge instead of making a second one. Only a
+// declined card fails the order; when the outcome isn't known the order stays pending
+// for a retry or reconcilePendingOrders. When the paid order can't be placed the
+// payment is refunded.
+const chargeAndPlace = async ({ supabase, chargePayment, refundPayment, sendReceipt, at }, user, order, { store, timeZone, paymentMethodId }) => {
+  const amountCents = toCents(order.total);
+
+  let charge;
+  try {
+    charge = await chargePayment({
+      amountCents,
+      paymentMethodId,
+      user,
+      orderId: order.id,
+      idempotencyKey: `order-${order.id}`
+    });
+  } catch (err) {
+    if (err.declined) {
+      await setOrderStatus(supabase, order.id, 'payment_failed');
+      throw orderError('payment_failed', err.message || 'Payment failed');
+    }
+    if (err.inProgress) {
+      throw orderError('checkout_in_progress', 'This order is already being placed');
+    }
+    console.error('Charge outcome unknown:', err);
+    throw paymentUnconfirmed();
+  }
+
+  const placed = await confirmOrder(supabase, order.id, charge.paymentIntentId);
+  if (!placed) {
+    const placedByOther = await findPlacedOrder(supabase, order.id, charge.paymentIntentId);
+    if (placedByOther) return placedByOther;
+
+    try {
+      await refundPayment({ paymentIntentId: charge.paymentIntentId, amountCents, orderId: order.id });
+    } catch (refundError) {
+      // Still pending and paid: retrying with the same key places it
+      console.error('Refund after failed order error:', refundError);
+      throw orderError('order_not_saved', 'Payment successful but failed to save order', {
+        paymentIntentId: charge.paymentIntentId
+      });
+    }
+    await setOrderStatus(supabase, order.id, 'payment_refunded');
+    throw orderError('order_not_saved', "Your order couldn't be placed, so your payment was refunded", { refunded: true });
+  }
+
+  // Count the order's deals against the customer's redemption limits. The payment
+  // already went through, so a failure here is logged rather than failing the order.
+  try {
+    await syncDealRedemptions(supabase, placed, placed.items, timeZone);
+  } catch (redemptionError) {
+    console.error('Deal redemption insert error:', redemptionError);
+  }
+
+  // Empty the customer's saved cart (see src/cart/cartStorage.js) now that it's an
+  // order, so another device doesn't offer it again. Logged, like redemptions.
+  const { error: cartError } = await supabase
+    .from('carts')
+    .update({ items: [], updated_at: at.toISOString() })
+    .eq('user_id', user.id);
+
+  if (cartError) {
+    console.error('Saved cart clear error:', cartError);
+  }
+
+  if (sendReceipt) {
+    try {
+      await sendReceipt({ user, order: placed, receipt: toReceipt(placed, store) });
+    } catch (receiptError) {
+      console.error('Receipt email error:', receiptError);
+    }
+  }
+
+  return placed;
+};
+
+// The same checkout sent again (same idempotency key): a placed order is returned as
+// it is, and a pending one is charged (idempotently) and placed, so a retry after an
+// error finishes the first attempt instead of starting a second.
+const resumeCheckout = async (deps, user, order) => {
+  if (order.status === 'payment_failed') {
+    throw orderError('payment_failed', 'The payment for this order was declined');
+  }
+  if (order.status === 'payment_refunded') {
+    throw orderError('order_not_saved', "Your order couldn't be placed, so your payment was refunded", { refunded: true });
+  }
+  if (order.status !== 'pending_payment') {
+    return order;
+  }
+  if (order.created_at && deps.at - new Date(order.created_at) > RESUME_WINDOW_MS) {
+    throw paymentUnconfirmed(
+      "We're still confirming the payment for your last checkout. If it went through, it will be refunded.",
+      { settled: true }
+    );
+  }
+
+  const { supabase } = deps;
+  const { data: store, error: storeError } = await supabase
+    .from('stores')
+    .select('*')
+    .eq('id', order.store_id)
+    .single();
+
+  if (storeError || !store) throw storeError || orderError('unknown_store', 'Store not found');
+
+  const { data: paymentMethod, error: paymentMethodError } = await supabase
+    .from('payment_methods')
+    .select('*')
+    .eq('id', order.payment_method_id)
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (paymentMethodError) throw paymentMethodError;
+  if (!paymentMethod) {
+    // The card was removed after the first attempt, which may already have charged
+    // it. The order stays pending for reconcilePendingOrders to refund or fail.
+    throw paymentUnconfirmed('The card for this order was removed. If it was charged, the payment will be refunded.', { settled: true });
+  }
+
+  return chargeAndPlace(deps, user, order, {
+    store,
+    timeZone: getStoreTimeZone(store),
+    paymentMethodId: paymentMethod.stripe_payment_method_id
+  });
+};
+
+// deps:
+//   supabase      - client with access to the store, deal, payment_methods, orders and carts tables
+//   chargePayment - async ({ amountCents, paymentMethodId, user, orderId, idempotencyKey })
+//                   => ({ paymentIntentId }). Charging again with the same idempotencyKey
+//                   must return the first charge. Throws when the charge fails, with
+//                   err.declined when the card was refused and err.inProgress when the
+//                   same charge is still running (see stripePayments.js).
+//   refundPayment - async ({ paymentIntentId, amountCents, orderId }), throws when the refund fails
+//   sendReceipt   - optional async ({ user, order, receipt }) once the order is placed
+//   at            - when the order is priced (defaults to now)
+//
+// request.idempotencyKey identifies one checkout attempt; the client sends the same key
+// when it retries or the customer taps twice.
+export const placeOrder = async ({ supabase, chargePayment, refundPayment, sendReceipt, at = new Date() }, user, request) => {
+  const deps = { supabase, chargePayment, refundPayment, sendReceipt, at };
+  if (!user) {
+    throw orderError('unauthorized', 'Please sign in to checkout');
+  }
+
+  const { storeId, items, paymentMethodId, expectedTotalCents, pickupTime, specialInstructions, idempotencyKey } = request || {};
+  if (!Number.isInteger(expectedTotalCents)) {
+    throw orderError('invalid_request', 'expectedTotalCents is required');
+  }
+  if (typeof idempotencyKey !== 'string' || !idempotencyKey || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    throw orderError('invalid_request', 'idempotencyKey is required');
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('user_id', user.id)
+    .eq('idempotency_key', idempotencyKey)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+  if (existing) {
+    return { order: await resumeCheckout(deps, user, existing), quote: null };
+  }
+
+  const quote = await quoteOrder(supabase, { storeId, items, userId: user.id, at });
+
+  if (quote.totals.totalCents !== expectedTotalCents) {
+    throw orderError('total_mismatch', 'Prices or deals changed since your cart was priced', {
+      expectedTotalCents,
+      quotedTotalCents: quote.totals.totalCents
+    });
+  }
+
+  // Only one of the customer's own saved cards can be charged
+  const { data: paymentMethod } = await supabase
+    .from('payment_methods')
+    .select('*')
+    .eq('user_id', user.id)
+    .eq('stripe_payment_method_id', paymentMethodId)
+    .single();
+
+  if (!paymentMethod) {
+    throw orderError('invalid_payment_method', 'Please add a payment method in Account');
+  }
+
+  // The order exists before any money moves, so a charge always has an order to land on
+  const { data: pending, error: insertError } = await supabase
+    .from('orders')
+    .insert({
+      user_id: user.id,
+      store_id: storeId,
+      payment_method_id: paymentMethod.id,
+      ...quote.amounts,
+      status: 'pending_payment',
+      idempotency_key: idempotencyKey,
+      items: quote.items,
+      pickup_time: pickupTime,
+      special_instructions: specialInstructions
+    })
+    .select()
+    .single();
+
+  if (insertError?.code === '23505') {
+    // Unique (user_id, idempotency_key): the same checkout arrived twice at once
+    throw orderError('checkout_in_progress', 'This order is already being placed');
+  }
+  if (insertError || !pending) throw insertError || new Error('Pending order was not saved');
+
+  const order = await chargeAndPlace(deps, user, pending, {
+    store: quote.store,
+    timeZone: quote.timeZone,
+    paymentMethodId
+  });
+
+  return { order, quote };
+};
+
+const STATUS_BY_CODE = {
+  invalid_request: 400,
+  unauthorized: 401,
+  payment_failed: 402,
+  unknown_store: 404,
+  invalid_payment_method: 404,
+  total_mismatch: 409,
+  checkout_in_progress: 409,
+  unavailable_product: 409,
+  order_not_saved: 500,
+  payment_unconfirmed: 502
+};
+
+// placeOrder as an HTTP exchange: { status, body }. The edge function wraps this
+// in a Response; tests call it directly as a local stand-in for the endpoint.
+export const handleCheckoutRequest = async (deps, user, body) => {
+  try {
+    const { order } = await placeOrder(deps, user, body);
+    return { status: 200, body: { success: true, order } };
+  } catch (err) {
+    const status = STATUS_BY_CODE[err.code];
+    if (!status) {
+      // Database or other unexpected errors
+      console.error('Checkout error:', err);
+      return { status: 500, body: { success: false, code: 'checkout_failed', error: 'Checkout failed, please try again' } };
+    }
+    return {
+      status,
+      body: { success: false, code: err.code, error: err.message, ...(err.details || {}) }
+    };
+  }
+};
+
+// Settles orders left pending_payment: a charge whose outcome was never known, or a
+// paid order that couldn't be placed or refunded. Run on a schedule by the
+// reconcile-orders edge function. For each order pending longer than
+// RECONCILE_AFTER_MS, Stripe is asked for its PaymentIntent: a payment that went
+// through is refunded (the pickup it was for is long gone) and the order marked
+// payment_refunded; an order that was never charged is marked payment_failed. Orders
+// whose payment is still processing, or that hit an error, are left for the next run.
+//
+// deps: supabase (service role), findOrderPayment (async orderId => { paymentIntentId,
+// status } or null), refundPayment (as for placeOrder), at (defaults to now).
+// Resolves with the order IDs by outcome: { refunded, failed, skipped }.
+export const reconcilePendingOrders = async ({ supabase, findOrderPayment, refundPayment, at = new Date() }) => {
+  const { data: orders, error } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('status', 'pending_payment')
+    .lte('created_at', new Date(at - RECONCILE_AFTER_MS).toISOString());
+
+  if (error) throw error;
+
+  const result = { refunded: [], failed: [], skipped: [] };
+  for (const order of orders) {
+    try {
+      const payment = await findOrderPayment(order.id);
+      if (payment?.status === 'succeeded') {
+        await refundPayment({ paymentIntentId: payment.paymentIntentId, amountCents: toCents(order.total), orderId: order.id });
+        await setOrderStatus(supabase, order.id, 'payment_refunded');
+        result.refunded.push(order.id);
+      } else if (payment?.status === 'processing') {
+        result.skipped.push(order.id);
+      } else {
+        await setOrderStatus(supabase, order.id, 'payment_failed');
+        result.failed.push(order.id);
+      }
+    } catch (err) {
+      console.error(`Reconcile error for order ${order.id}:`, err);
+      result.skipped.push(order.id);
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,116 @@
+// Copied from src/checkout/stripePayments.js by sync-edge-shared.js; edit that file and run
+// `npm run sync-edge-shared` instead of changing this one.
+
+// Charges and refunds through the Stripe API, for the checkout and reconcile-orders
+// edge functions. The checkout needs what the old payment function didn't promise:
+// Stripe's own Idempotency-Key on every charge, the order ID on the PaymentIntent so
+// reconcile-orders can find it, and errors that tell a declined card apart from a
+// charge whose outcome isn't known (a timeout, a Stripe 5xx).
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+
+// err.declined: the card was refused, nothing was charged. err.inProgress: another
+// request with the same idempotency key is still running. Anything else means the
+// charge may or may not have gone through.
+export const paymentError = (message, { declined = false, inProgress = false, status = null } = {}) =>
+  Object.assign(new Error(message), { declined, inProgress, status });
+
+// Stripe takes form-encoded bodies, with nested keys as metadata[order_id]
+const toForm = (params, prefix = '', form = new URLSearchParams()) => {
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      toForm(value, name, form);
+    } else {
+      form.append(name, String(value));
+    }
+  });
+  return form;
+};
+
+// secretKey is STRIPE_SECRET_KEY; fetchImpl is there for the tests
+export const createStripePayments = ({ secretKey, fetchImpl = fetch }) => {
+  const request = async (method, path, params = null, idempotencyKey = null) => {
+    const headers = { 'Authorization': `Bearer ${secretKey}` };
+    if (params) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+    const query = method === 'GET' && params ? `?${toForm(params)}` : '';
+    const response = await fetchImpl(`${STRIPE_API}${path}${query}`, {
+      method,
+      headers,
+      body: method === 'GET' || !params ? undefined : toForm(params).toString()
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = result.error || {};
+      throw paymentError(error.message || `Stripe request failed (${response.status})`, {
+        declined: error.type === 'card_error',
+        inProgress: response.status === 409,
+        status: response.status
+      });
+    }
+    return result;
+  };
+
+  // The customer a saved card belongs to. Cards are saved in the app without one; a
+  // card has to be attached to a customer to be charged more than once.
+  const customerFor = async (paymentMethodId, user) => {
+    const paymentMethod = await request('GET', `/payment_methods/${paymentMethodId}`);
+    if (paymentMethod.customer) return paymentMethod.customer;
+
+    const { data: [existing] = [] } = await request('GET', '/customers', { email: user.email, limit: 1 });
+    const customer = existing || await request('POST', '/customers', {
+      email: user.email,
+      metadata: { user_id: user.id }
+    }, `customer-${user.id}`);
+
+    await request('POST', `/payment_methods/${paymentMethodId}/attach`, { customer: customer.id });
+    return customer.id;
+  };
+
+  // => { paymentIntentId }. The same idempotencyKey always returns the first charge.
+  const chargePayment = async ({ amountCents, paymentMethodId, user, orderId, idempotencyKey }) => {
+    const customer = await customerFor(paymentMethodId, user);
+    const intent = await request('POST', '/payment_intents', {
+      amount: amountCents,
+      currency: 'usd',
+      customer,
+      payment_method: paymentMethodId,
+      confirm: true,
+      off_session: true,
+      receipt_email: user.email,
+      metadata: { order_id: orderId, user_id: user.id }
+    }, idempotencyKey);
+
+    if (intent.status === 'succeeded') return { paymentIntentId: intent.id };
+    if (intent.status === 'processing') {
+      throw paymentError('The payment is still processing');
+    }
+    throw paymentError('Your card needs to be confirmed with your bank. Please use another card.', { declined: true });
+  };
+
+  // One refund per order: sending it again returns the first refund
+  const refundPayment = async ({ paymentIntentId, amountCents, orderId }) => {
+    await request('POST', '/refunds', {
+      payment_intent: paymentIntentId,
+      amount: amountCents,
+      reason: 'requested_by_customer',
+      metadata: { order_id: orderId, refund_type: 'full', refund_reason: 'Order could not be placed' }
+    }, `refund-order-${orderId}`);
+  };
+
+  // The order's PaymentIntent, as { paymentIntentId, status }, or null when it was
+  // never charged. Stripe's search lags new payments by up to a minute.
+  const findOrderPayment = async (orderId) => {
+    const { data } = await request('GET', '/payment_intents/search', {
+      query: `metadata['order_id']:'${orderId}'`
+    });
+    const intent = data.find(i => i.status === 'succeeded') || data[0];
+    return intent ? { paymentIntentId: intent.id, status: intent.status } : null;
+  };
+
+  return { chargePayment, refundPayment, findOrderPayment };
+};
@@ -0,0 +1,650 @@
+// Copied from src/pricing/dealEngine.js by sync-edge-shared.js; edit that file and run
+// `npm run sync-edge-shared` instead of changing this one.
+
+// Deal engine: prices a cart against an in-memory snapshot of the POS deal tables
+// (combo_master, combo_detail, mix_detail). Nothing in here talks to Supabase, so the
+// cart, the home screen, refunds and the tests all get the same answer for the same
+// snapshot. See dealSnapshot.js for the loader that builds the snapshot.
+//
+// Imports in src/pricing spell out the .js extension: the checkout edge function
+// (supabase/functions/checkout) runs these same files under Deno.
+
+import { DEFAULT_STORE_TIME_ZONE, isComboActiveAt } from './dealSchedule.js';
+import { toCents, fromCents, applyRate, splitCents, lineSubtotalCents, getOrderTotals } from './money.js';
+
+// Which discount a combo_detail line carries. A line with none of these set is a
+// qualifier: its units must be in the cart but are sold at full price.
+export const getComboLineDiscountType = (line) => {
+  if (line.price && line.price > 0) return 'price_override';
+  if (line.percentage && line.percentage > 0) return 'percentage';
+  if (line.discount_amount && line.discount_amount > 0) return 'flat';
+  return null;
+};
+
+// combo_detail line types from the POS export:
+//   M - any PLU in mix_number (via mix_detail)
+//   P - the single PLU in plu_number
+// Older rows without a type but with a mix_number are mix lines.
+export const COMBO_LINE_TYPES = ['M', 'P'];
+
+export const getComboLineType = (line) => {
+  const type = (line.type || '').trim().toUpperCase();
+  if (!type) return line.mix_number ? 'M' : null;
+  return COMBO_LINE_TYPES.includes(type) ? type : null;
+};
+
+// A line with a non-zero modifier only matches cart units sold with that modifier
+// (e.g. a carton instead of a pack); modifier 0 matches the PLU at any modifier
+export const comboLineMatchesItem = (line, item, pluToMixesMap) => {
+  if (line.modifier > 0 && (item.modifier || 0) !== line.modifier) return false;
+
+  switch (getComboLineType(line)) {
+    case 'M':
+      return (pluToMixesMap[item.id] || []).includes(line.mix_number);
+    case 'P':
+      return item.id === line.plu_number;
+    default:
+      return false;
+  }
+};
+
+// Lines with the same key compete for the same cart units
+const getComboLineKey = (line) => {
+  const type = getComboLineType(line);
+  const target = type === 'P' ? `PLU ${line.plu_number}` : `Mix ${line.mix_number}`;
+  return line.modifier > 0 ? `${target} mod ${line.modifier}` : target;
+};
+
+// combo_master.stacking_policy: 'combinable' combos can share a cart with other
+// combos, 'exclusive' ones only apply when they are the only combo in the cart
+export const getComboStackingPolicy = (combo) => combo.stacking_policy === 'exclusive' ? 'exclusive' : 'combinable';
+
+// Above this many search states the deal solver stops comparing alternatives and
+// takes the first profitable application it finds
+const MAX_DEAL_SEARCH_STATES = 5000;
+
+// Most ways of filling one combo application the solver compares (see allocationChoices)
+const MAX_ALLOCATION_CHOICES = 16;
+
+// Claim units for one application of a combo from the units still unclaimed.
+// Discounted lines (and every line of a bundle) take the priciest eligible units,
+// qualifier lines the cheapest. preferred (rule → cart index) makes a line take that
+// item's units first. Returns null if some line can't be filled.
+const allocateComboApplication = (rules, isBundle, remaining, cartItems, pluToMixesMap, preferred = new Map()) => {
+  const left = [...remaining];
+  const allocations = [];
+  const takesPriciest = (rule) => isBundle || !!getComboLineDiscountType(rule);
+  const orderedRules = [...rules].sort((a, b) => takesPriciest(b) - takesPriciest(a));
+
+  for (const rule of orderedRules) {
+    let needed = rule.quantity || 1;
+    const eligible = cartItems
+      .map((item, idx) => idx)
+      .filter(idx => left[idx] > 0 && comboLineMatchesItem(rule, cartItems[idx], pluToMixesMap))
+      .sort((a, b) => takesPriciest(rule)
+        ? cartItems[b].price - cartItems[a].price
+        : cartItems[a].price - cartItems[b].price)
+      .sort((a, b) => (b === preferred.get(rule)) - (a === preferred.get(rule)));
+
+    for (const idx of eligible) {
+      if (needed <= 0) break;
+      const units = Math.min(left[idx], needed);
+      left[idx] -= units;
+      needed -= units;
+      allocations.push({ idx, rule, units });
+    }
+
+    if (needed > 0) return null;
+  }
+
+  return { allocations, remaining: left };
+};
+
+// The ways of filling one application of a candidate worth comparing: the default
+// (priciest/cheapest units first) and, for each line that could take a cart item
+// another combo also wants, starting from each item the line matches. Taking the
+// priciest unit isn't always best: a mix line that takes the one item a PLU-only
+// combo needs can cost that combo its whole discount.
+const allocationChoices = (candidate, remaining, cartItems, pluToMixesMap, contested) => {
+  const isBundle = candidate.combo.combo_price > 0;
+  let preferences = [new Map()];
+  candidate.rules.forEach(rule => {
+    const eligible = cartItems
+      .map((item, idx) => idx)
+      .filter(idx => remaining[idx] > 0 && comboLineMatchesItem(rule, cartItems[idx], pluToMixesMap));
+    const starts = eligible.some(idx => contested.has(idx)) ? eligible : [];
+    preferences = preferences
+      .flatMap(preferred => [preferred, ...starts.map(idx => new Map(preferred).set(rule, idx))])
+      .slice(0, MAX_ALLOCATION_CHOICES);
+  });
+
+  const choices = new Map();
+  preferences.forEach(preferred => {
+    const claimed = allocateComboApplication(candidate.rules, isBundle, remaining, cartItems, pluToMixesMap, preferred);
+    if (!claimed) return;
+    const key = claimed.allocations.map(a => `${candidate.rules.indexOf(a.rule)}:${a.idx}:${a.units}`).join(',');
+    if (!choices.has(key)) choices.set(key, claimed);
+  });
+  return [...choices.values()];
+};
+
+const rulesOf = (allocations) => [...new Set(allocations.map(a => a.rule))];
+
+// Discount in cents for each allocation of a single combo application. Every
+// discount is rounded to the cent on the allocation it belongs to.
+const priceComboApplication = (combo, allocations, cartItems) => {
+  if (combo.combo_price > 0) {
+    // Bundle: the matched units cost combo_price together. The savings are spread
+    // over the matched lines by their regular value.
+    const regularCents = allocations.map(a => toCents(cartItems[a.idx].price) * a.units);
+    const regularTotalCents = regularCents.reduce((sum, c) => sum + c, 0);
+    const savingsCents = Math.max(0, regularTotalCents - toCents(combo.combo_price));
+    const shares = splitCents(savingsCents, regularCents);
+
+    return allocations.map((a, i) => ({ ...a, discountCents: shares[i] }));
+  }
+
+  // A flat amount is per application of the line. When the line's units come from
+  // several cart items it is split between them by units, adding up exactly. Like
+  // the other discounts, a share never takes more than its units cost.
+  const flatShares = new Map();
+  rulesOf(allocations)
+    .filter(rule => getComboLineDiscountType(rule) === 'flat')
+    .forEach(rule => {
+      const ruleAllocations = allocations.filter(a => a.rule === rule);
+      const shares = splitCents(toCents(rule.discount_amount), ruleAllocations.map(a => a.units));
+      ruleAllocations.forEach((a, i) => flatShares.set(a, shares[i]));
+    });
+
+  return allocations.map(a => {
+    const { rule, units } = a;
+    const priceCents = toCents(cartItems[a.idx].price);
+    let discountCents = 0;
+
+    switch (getComboLineDiscountType(rule)) {
+      case 'flat':
+        discountCents = Math.min(flatShares.get(a), priceCents * units);
+        break;
+      case 'percentage':
+        discountCents = applyRate(priceCents * units, rule.percentage);
+        break;
+      case 'price_override':
+        discountCents = Math.max(0, (priceCents - toCents(rule.price)) * units);
+        break;
+      default:
+        break; // Qualifier line
+    }
+
+    return { ...a, discountCents };
+  });
+};
+
+// Choose the combo applications with the largest total savings (in cents). Applications are
+// explored combo by combo (so the same set isn't tried in every order), each with the
+// ways of filling it from allocationChoices, and each state of unclaimed units is
+// memoized. Exclusive combos are tried on their own.
+const selectBestDeals = (candidates, cartItems, pluToMixesMap) => {
+  // Cart items each candidate shares with another candidate
+  const matches = (candidate, idx) => candidate.rules.some(rule => comboLineMatchesItem(rule, cartItems[idx], pluToMixesMap));
+  const contestedBy = new Map(candidates.map(candidate => [
+    candidate,
+    new Set(cartItems
+      .map((item, idx) => idx)
+      .filter(idx => matches(candidate, idx) && candidates.some(other => other !== candidate && matches(other, idx))))
+  ]));
+
+  const search = (pool) => {
+    const memo = new Map();
+
+    const best = (i, usedOfCurrent, remaining) => {
+      if (i >= pool.length) return { savings: 0, applications: [] };
+
+      const key = `${i}|${usedOfCurrent}|${remaining.join(',')}`;
+      if (memo.has(key)) return memo.get(key);
+
+      let result = null;
+      const candidate = pool[i];
+
+      // Option 1: apply combo i (once more), filled each way worth comparing
+      if (usedOfCurrent < candidate.limit) {
+        const choices = allocationChoices(candidate, remaining, cartItems, pluToMixesMap, contestedBy.get(candidate));
+        for (const claimed of choices) {
+          if (result && memo.size >= MAX_DEAL_SEARCH_STATES) break;
+          const allocations = priceComboApplication(candidate.combo, claimed.allocations, cartItems);
+          const savings = allocations.reduce((sum, a) => sum + a.discountCents, 0);
+          if (savings <= 0) continue;
+          const rest = best(i, usedOfCurrent + 1, claimed.remaining);
+          if (!result || savings + rest.savings > result.savings) {
+            result = {
+              savings: savings + rest.savings,
+              applications: [{ candidate, allocations }, ...rest.applications]
+            };
+          }
+        }
+      }
+
+      // Option 2: stop applying combo i and move on to the next one
+      if (!result || memo.size < MAX_DEAL_SEARCH_STATES) {
+        const skip = best(i + 1, 0, remaining);
+        if (!result || skip.savings > result.savings) {
+          result = skip;
+        }
+      }
+
+      memo.set(key, result);
+      return result;
+    };
+
+    return best(0, 0, cartItems.map(item => item.quantity));
+  };
+
+  let bestResult = search(candidates.filter(c => c.policy !== 'exclusive'));
+  candidates
+    .filter(c => c.policy === 'exclusive')
+    .forEach(candidate => {
+      const alone = search([candidate]);
+      if (alone.savings > bestResult.savings) {
+        bestResult = alone;
+      }
+    });
+
+  return bestResult.applications;
+};
+
+// How many units short of a combo still counts as a near miss ("one item away")
+const NEAR_MISS_UNITS = 1;
+
+// Flat-discount combos save the same whatever product fills the line, so their
+// savings are known even when nothing in the cart matches the missing line yet
+const estimateFlatSavingsCents = (combo, rules) => {
+  if (combo.combo_price > 0) return null;
+  const discountLines = rules.filter(rule => getComboLineDiscountType(rule));
+  if (discountLines.some(rule => getComboLineDiscountType(rule) !== 'flat')) return null;
+  return discountLines.reduce((sum, rule) => sum + toCents(rule.discount_amount), 0);
+};
+
+// Near-miss combos with the units to add per line and their savings. When every
+// missing line matches something already in the cart, adding more of that item is
+// priced for real (so overlapping combos are accounted for) and suggestions that
+// wouldn't save anything are dropped.
+const describeNearMisses = (nearMissCombos, cartItems, snapshot, { at, currentDiscountCents }) => {
+  const pluToMixesMap = buildPluToMixesMap(snapshot?.mixDetails);
+
+  return nearMissCombos
+    .map(({ combo, rules, missing, missingUnits, again }) => {
+      const lines = missing.map(({ rule, units }) => {
+        const inCartIndex = cartItems.findIndex(item => comboLineMatchesItem(rule, item, pluToMixesMap));
+        const productIds = getComboLineProductIds(snapshot, rule);
+        const suggestedId = inCartIndex >= 0 ? cartItems[inCartIndex].id : null;
+        return {
+          sequence: rule.sequence,
+          mix_number: rule.mix_number,
+          plu_number: rule.plu_number || null,
+          units,
+          inCartIndex,
+          // The product already in the cart goes first
+          productIds: suggestedId == null ? productIds : [suggestedId, ...productIds.filter(id => id !== suggestedId)]
+        };
+      });
+
+      let savingsCents = estimateFlatSavingsCents(combo, rules);
+      if (lines.every(line => line.inCartIndex >= 0)) {
+        const withAdded = cartItems.map(item => ({ ...item }));
+        lines.forEach(line => { withAdded[line.inCartIndex].quantity += line.units; });
+        const priced = priceCart(withAdded, snapshot, { at, nearMissUnits: 0 });
+        savingsCents = priced.discountCents - currentDiscountCents;
+      }
+
+      return {
+        combo_number: combo.combo_number,
+        description: combo.description,
+        again,
+        missingUnits,
+        savingsCents,
+        lines: lines.map(({ inCartIndex, ...line }) => line)
+      };
+    })
+    .filter(nearMiss => nearMiss.savingsCents == null || nearMiss.savingsCents > 0)
+    .sort((a, b) => (b.savingsCents || 0) - (a.savingsCents || 0));
+};
+
+// PLU → [mix_numbers it belongs to]
+export const buildPluToMixesMap = (mixDetails) => {
+  const pluToMixesMap = {};
+  (mixDetails || []).forEach(md => {
+    if (!pluToMixesMap[md.plu]) {
+      pluToMixesMap[md.plu] = [];
+    }
+    pluToMixesMap[md.plu].push(md.mix_number);
+  });
+  return pluToMixesMap;
+};
+
+export const getComboLines = (snapshot, comboNumber) => (snapshot.comboDetails || [])
+  .filter(cd => cd.combo_number === comboNumber)
+  .sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+
+// Product IDs that can fill one combo line: PLU lines name their product directly,
+// mix lines go through mix_detail
+export const getComboLineProductIds = (snapshot, line) => {
+  switch (getComboLineType(line)) {
+    case 'P':
+      return [line.plu_number];
+    case 'M':
+      return (snapshot.mixDetails || [])
+        .filter(md => md.mix_number === line.mix_number)
+        .map(md => md.plu);
+    default:
+      return [];
+  }
+};
+
+// Every product ID that can fill a line of the combo
+export const getComboProductIds = (snapshot, comboNumber) => {
+  const ids = [];
+  getComboLines(snapshot, comboNumber).forEach(line => {
+    ids.push(...getComboLineProductIds(snapshot, line));
+  });
+  return [...new Set(ids)];
+};
+
+// Display fields for a deal card: discount text, units required and the headline amount
+export const summarizeCombo = (snapshot, combo) => {
+  const lines = getComboLines(snapshot, combo.combo_number);
+  const quantityRequired = lines.reduce((sum, line) => sum + (line.quantity || 1), 0);
+
+  // A bundle price replaces the per-line discounts
+  if (combo.combo_price > 0) {
+    return {
+      discountText: `${quantityRequired} for $${Number(combo.combo_price).toFixed(2)}`,
+      quantityRequired,
+      discountAmount: 0
+    };
+  }
+
+  // The first line that carries a discount (earlier lines may be qualifiers)
+  const detail = lines.find(line => getComboLineDiscountType(line));
+  let discountText = '';
+  switch (detail && getComboLineDiscountType(detail)) {
+    case 'price_override':
+      discountText = `Special Price: $${detail.price.toFixed(2)}`;
+      break;
+    case 'percentage':
+      discountText = `${(detail.percentage * 100).toFixed(0)}% off`;
+      break;
+    case 'flat':
+      discountText = `$${detail.discount_amount.toFixed(2)} off`;
+      break;
+    default:
+      break;
+  }
+
+  return {
+    discountText,
+    quantityRequired,
+    discountAmount: detail?.discount_amount || 0
+  };
+};
+
+// Price a cart against a deal snapshot.
+//
+// Returns the cart items with appliedDeal/discountAmount set (the shape the cart and
+// orders.items store), an itemized line list, order totals, the combos that were
+// applied, and for every combo in the snapshot whether it applied and why not.
+// Line and order amounts are integer cents (see money.js for the rounding rules).
+//
+// Combo statuses: applied, outside_window, no_lines, unsupported_line_type,
+// no_discount, redemption_limit_reached, insufficient_quantity, not_selected (a
+// better combination won).
+//
+// nearMisses lists combos the cart is at most nearMissUnits units short of applying
+// (or of applying once more), with the units to add per line and what they'd save.
+export const priceCart = (cartItems, snapshot, { at = new Date(), taxRate = 0, nearMissUnits = NEAR_MISS_UNITS } = {}) => {
+  const timeZone = snapshot?.timeZone || DEFAULT_STORE_TIME_ZONE;
+  const combos = snapshot?.combos || [];
+  const pluToMixesMap = buildPluToMixesMap(snapshot?.mixDetails);
+  const comboResults = {};
+  const warnings = [];
+
+  const reject = (combo, status, detail) => {
+    comboResults[combo.combo_number] = {
+      combo_number: combo.combo_number,
+      description: combo.description,
+      status,
+      detail: detail || null,
+      timesApplied: 0,
+      savingsCents: 0
+    };
+  };
+
+  const candidates = [];
+  const nearMissCombos = [];
+
+  combos.forEach(combo => {
+    if (!isComboActiveAt(combo, timeZone, at)) {
+      reject(combo, 'outside_window');
+      return;
+    }
+
+    const rules = getComboLines(snapshot, combo.combo_number);
+    if (!rules.length) {
+      reject(combo, 'no_lines');
+      return;
+    }
+
+    const unsupported = rules.filter(rule => !getComboLineType(rule));
+    if (unsupported.length) {
+      const types = [...new Set(unsupported.map(rule => rule.type || '(blank)'))].join(', ');
+      warnings.push(`Combo ${combo.combo_number} has unsupported line type(s): ${types}`);
+      reject(combo, 'unsupported_line_type', types);
+      return;
+    }
+
+    if (!(combo.combo_price > 0) && !rules.some(rule => getComboLineDiscountType(rule))) {
+      reject(combo, 'no_discount');
+      return;
+    }
+
+    // Per-customer limit for the period (combo_master.redemption_limit), less what the
+    // customer already redeemed on earlier orders (snapshot.redemptions)
+    let redemptionsLeft = Infinity;
+    if (combo.redemption_limit > 0) {
+      const redeemed = snapshot.redemptions?.[combo.combo_number] || 0;
+      redemptionsLeft = combo.redemption_limit - redeemed;
+      if (redemptionsLeft < 1) {
+        reject(combo, 'redemption_limit_reached', { limit: combo.redemption_limit, redeemed });
+        return;
+      }
+    }
+
+    // Lines can match the same units (e.g. "1 drink at full price + 1 drink half off"),
+    // so add up what every line needs from the same mix/PLU before comparing
+    const requiredByLine = {};
+    rules.forEach(rule => {
+      const key = getComboLineKey(rule);
+      if (!requiredByLine[key]) {
+        requiredByLine[key] = { rule, requiredQty: 0 };
+      }
+      requiredByLine[key].requiredQty += rule.quantity || 1;
+    });
+
+    let maxApplications = Infinity;
+    const shortages = [];
+    const lineCounts = Object.entries(requiredByLine).map(([key, { rule, requiredQty }]) => {
+      const availableQty = cartItems
+        .filter(item => comboLineMatchesItem(rule, item, pluToMixesMap))
+        .reduce((sum, item) => sum + item.quantity, 0);
+      if (availableQty < requiredQty) {
+        shortages.push({ line: key, rule, required: requiredQty, available: availableQty });
+      }
+      maxApplications = Math.min(maxApplications, Math.floor(availableQty / requiredQty));
+      return { rule, requiredQty, availableQty };
+    });
+
+    // Respect transaction limit (strictest limit set on any line)
+    const lineLimits = rules.map(r => r.transaction_limit).filter(limit => limit > 0);
+    const transactionLimit = lineLimits.length ? Math.min(...lineLimits) : Infinity;
+
+    // Units short of the next application, if the limits would allow one
+    if (maxApplications < Math.min(transactionLimit, redemptionsLeft)) {
+      const missing = lineCounts
+        .map(({ rule, requiredQty, availableQty }) => ({ rule, units: requiredQty * (maxApplications + 1) - availableQty }))
+        .filter(m => m.units > 0);
+      const missingUnits = missing.reduce((sum, m) => sum + m.units, 0);
+      // Modifier lines need a unit sold with the modifier, which the app can't add
+      if (missingUnits <= nearMissUnits && !missing.some(m => m.rule.modifier > 0)) {
+        nearMissCombos.push({ combo, rules, missing, missingUnits, again: maxApplications > 0 });
+      }
+    }
+
+    if (maxApplications < 1) {
+      reject(combo, 'insufficient_quantity', shortages);
+      return;
+    }
+
+    candidates.push({
+      combo,
+      rules,
+      limit: Math.min(maxApplications, transactionLimit, redemptionsLeft),
+      policy: getComboStackingPolicy(combo)
+    });
+  });
+
+  // Pick the set of combo applications that saves the customer the most.
+  // Each cart unit goes to at most one application.
+  const applications = candidates.length ? selectBestDeals(candidates, cartItems, pluToMixesMap) : [];
+
+  const timesAppliedByCombo = {};
+  applications.forEach(({ candidate }) => {
+    const comboNumber = candidate.combo.combo_number;
+    timesAppliedByCombo[comboNumber] = (timesAppliedByCombo[comboNumber] || 0) + 1;
+  });
+
+  candidates.forEach(({ combo }) => {
+    if (!timesAppliedByCombo[combo.combo_number]) {
+      reject(combo, 'not_selected');
+    }
+  });
+
+  const itemDiscounts = {};
+
+  applications.forEach(({ candidate, allocations }) => {
+    const { combo, rules } = candidate;
+    const timesApplied = timesAppliedByCombo[combo.combo_number];
+    const dealInfo = {
+      combo_number: combo.combo_number,
+      description: combo.description,
+      timesApplied,
+      unitsInDeal: rules.reduce((sum, r) => sum + (r.quantity || 1), 0) * timesApplied
+    };
+    if (combo.combo_price > 0) {
+      dealInfo.bundle_price = combo.combo_price;
+    }
+
+    if (!comboResults[combo.combo_number]) {
+      comboResults[combo.combo_number] = {
+        combo_number: combo.combo_number,
+        description: combo.description,
+        status: 'applied',
+        detail: null,
+        timesApplied,
+        savingsCents: 0,
+        units: []
+      };
+    }
+    const result = comboResults[combo.combo_number];
+
+    allocations.forEach(({ idx, rule, units, discountCents }) => {
+      result.savingsCents += discountCents;
+      result.units.push({ index: idx, id: cartItems[idx].id, name: cartItems[idx].name, sequence: rule.sequence, units, discountCents });
+
+      if (discountCents <= 0) return; // Qualifier units
+
+      const lineDealInfo = { ...dealInfo };
+      const discountType = !dealInfo.bundle_price && getComboLineDiscountType(rule);
+      if (discountType === 'percentage') lineDealInfo.discount_percentage = rule.percentage;
+      if (discountType === 'price_override') lineDealInfo.override_price = rule.price;
+
+      if (!itemDiscounts[idx]) {
+        itemDiscounts[idx] = {
+          discountCents: 0,
+          appliedDeal: { ...lineDealInfo, lines: [] }
+        };
+      }
+      itemDiscounts[idx].discountCents += discountCents;
+
+      // Repeated applications of the same line add up on one entry
+      const lines = itemDiscounts[idx].appliedDeal.lines;
+      const existingLine = lines.find(l => l.combo_number === combo.combo_number && l.sequence === rule.sequence);
+      if (existingLine) {
+        existingLine.units += units;
+        existingLine.discountCents += discountCents;
+      } else {
+        lines.push({
+          combo_number: combo.combo_number,
+          sequence: rule.sequence,
+          mix_number: rule.mix_number,
+          plu_number: rule.plu_number || null,
+          timesApplied,
+          units,
+          discountCents
+        });
+      }
+    });
+  });
+
+  // discountAmount stays in dollars on the items: it's what the cart screens and
+  // orders.items have always stored. It is always a whole number of cents.
+  const items = cartItems.map((item, idx) => ({
+    ...item,
+    appliedDeal: itemDiscounts[idx]?.appliedDeal || null,
+    discountAmount: fromCents(itemDiscounts[idx]?.discountCents || 0)
+  }));
+
+  const lines = items.map((item, idx) => {
+    const subtotalCents = lineSubtotalCents(item);
+    const discountCents = itemDiscounts[idx]?.discountCents || 0;
+    return {
+      index: idx,
+      id: item.id,
+      name: item.name,
+      quantity: item.quantity,
+      unitPriceCents: toCents(item.price),
+      subtotalCents,
+      discountCents,
+      totalCents: subtotalCents - discountCents,
+      appliedDeal: item.appliedDeal
+    };
+  });
+
+  const totals = getOrderTotals(items, taxRate);
+
+  return {
+    items,
+    lines,
+    ...totals,
+    nearMisses: describeNearMisses(nearMissCombos, cartItems, snapshot, { at, currentDiscountCents: totals.discountCents }),
+    appliedDeals: Object.values(comboResults).filter(r => r.status === 'applied'),
+    combos: Object.values(comboResults),
+    warnings
+  };
+};
+
+// combo_number → times applied, read back from priced items (e.g. orders.items).
+// Items priced before appliedDeal.lines existed only name their own combo.
+export const getRedeemedCombos = (items) => {
+  const redeemed = {};
+  (items || []).forEach(item => {
+    const deal = item.appliedDeal;
+    if (!deal) return;
+
+    const lines = deal.lines?.length ? deal.lines : [deal];
+    lines.forEach(line => {
+      redeemed[line.combo_number] = Math.max(
+        redeemed[line.combo_number] || 0,
+        line.timesApplied || (line.combo_number === deal.combo_number ? deal.timesApplied : 1) || 1
+      );
+    });
+  });
+  return redeemed;
+};
@@ -0,0 +1,100 @@
+// Copied from src/pricing/dealSnapshot.js by sync-edge-shared.js; edit that file and run
+// `npm run sync-edge-shared` instead of changing this one.
+
+// Loads the deal tables for one store into the snapshot shape priceCart expects:
+// { storeNumber, timeZone, combos, comboDetails, mixDetails, redemptions }
+
+import { DEFAULT_STORE_TIME_ZONE, getComboQueryDates, getRedemptionPeriodStart } from './dealSchedule.js';
+import { getComboLineType } from './dealEngine.js';
+
+export const EMPTY_DEAL_SNAPSHOT = { combos: [], comboDetails: [], mixDetails: [], redemptions: {} };
+
+// combo_number → times the customer already redeemed each limited combo in its
+// current period, at any store: combo numbers are chain-wide, so a limit of one a day
+// is one a day wherever it's redeemed. excludeOrderId leaves out one order's own
+// redemptions, so re-pricing an order (e.g. for a refund) doesn't count it against
+// itself.
+const loadRedemptionCounts = async (supabase, combos, { userId, excludeOrderId, at, timeZone }) => {
+  const limited = combos.filter(c => c.redemption_limit > 0);
+  if (!userId || !limited.length) return {};
+
+  const periodStarts = {};
+  limited.forEach(c => { periodStarts[c.combo_number] = getRedemptionPeriodStart(c, timeZone, at); });
+
+  let query = supabase
+    .from('deal_redemptions')
+    .select('order_id, combo_number, times_applied, redeemed_on')
+    .eq('user_id', userId)
+    .in('combo_number', limited.map(c => c.combo_number))
+    .gte('redeemed_on', Object.values(periodStarts).sort()[0])
+    .gt('times_applied', 0);
+  if (excludeOrderId) {
+    query = query.neq('order_id', excludeOrderId);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const counts = {};
+  (data || [])
+    .filter(r => r.redeemed_on >= periodStarts[r.combo_number])
+    .forEach(r => { counts[r.combo_number] = (counts[r.combo_number] || 0) + r.times_applied; });
+  return counts;
+};
+
+// Only combos dated for the store's current day are fetched (plus yesterday's, for
+// windows that cross midnight). priceCart checks the exact start/end time itself.
+// upcomingDays also fetches combos starting in the next that many days, for showing
+// upcoming deals (priceCart leaves them out as outside_window).
+// Pass userId to count the customer's earlier redemptions against per-customer
+// limits. Throws the Supabase error if any query fails.
+export const loadDealSnapshot = async (supabase, storeNumber, { at = new Date(), timeZone = DEFAULT_STORE_TIME_ZONE, userId = null, excludeOrderId = null, upcomingDays = 0 } = {}) => {
+  const { latestStartDate, earliestEndDate } = getComboQueryDates(timeZone, at, upcomingDays);
+
+  const { data: combos, error: comboError } = await supabase
+    .from('combo_master')
+    .select('*')
+    .eq('store_number', storeNumber)
+    .lte('start_date', latestStartDate)
+    .gte('end_date', earliestEndDate);
+
+  if (comboError) throw comboError;
+  if (!combos?.length) {
+    return { ...EMPTY_DEAL_SNAPSHOT, storeNumber, timeZone };
+  }
+
+  const { data: comboDetails, error: detailError } = await supabase
+    .from('combo_detail')
+    .select('*')
+    .eq('store_number', storeNumber)
+    .in('combo_number', combos.map(c => c.combo_number));
+
+  if (detailError) throw detailError;
+
+  const mixNumbers = [...new Set((comboDetails || [])
+    .filter(cd => getComboLineType(cd) === 'M')
+    .map(cd => cd.mix_number))];
+
+  let mixDetails = [];
+  if (mixNumbers.length) {
+    const { data, error: mixError } = await supabase
+      .from('mix_detail')
+      .select('mix_number, plu')
+      .eq('store_number', storeNumber)
+      .in('mix_number', mixNumbers);
+
+    if (mixError) throw mixError;
+    mixDetails = data || [];
+  }
+
+  const redemptions = await loadRedemptionCounts(supabase, combos, { userId, excludeOrderId, at, timeZone });
+
+  return {
+    storeNumber,
+    timeZone,
+    combos,
+    comboDetails: comboDetails || [],
+    mixDetails,
+    redemptions
+  };
+};
@@ -0,0 +1,132 @@
+// Copied from src/pricing/orderQuote.js by sync-edge-shared.js; edit that file and run
+// `npm run sync-edge-shared` instead of changing this one.
+
+// Prices an order from nothing but product IDs and quantities (and the cart's line IDs,
+// which the saved items keep so refunds can name exact lines): prices come from the
+// store's store_products rows and deals from its deal tables, both reloaded here.
+// The checkout endpoint uses this so no price, discount or total from the client is
+// trusted.
+
+import { getStoreTimeZone } from './dealSchedule.js';
+import { priceCart } from './dealEngine.js';
+import { loadDealSnapshot } from './dealSnapshot.js';
+import { toOrderAmounts } from './money.js';
+
+// Errors carry a code the checkout endpoint turns into a response
+export const orderError = (code, message, details = null) => Object.assign(new Error(message), { code, details });
+
+const MAX_LINE_ID_LENGTH = 64;
+
+// [{ productId, modifier, quantity, lineId }] with repeated products merged. A product
+// sold with a different POS modifier (e.g. a carton instead of a pack) is its own
+// line, as in the cart, since deal lines can be for one modifier only. Throws on
+// anything that isn't a product ID with a whole, positive quantity and a whole,
+// non-negative modifier (0 when left out). A line keeps the first lineId the cart sent
+// for it; lines without a usable one (missing, too long, or already taken) are
+// numbered line-1, line-2, ... by position.
+const normalizeOrderItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw orderError('invalid_request', 'The order has no items');
+  }
+
+  const lines = new Map();
+  items.forEach(item => {
+    const quantity = Number(item?.quantity);
+    const modifier = Number(item?.modifier ?? 0);
+    if (item?.productId == null || !Number.isInteger(quantity) || quantity < 1) {
+      throw orderError('invalid_request', 'Every item needs a productId and a positive whole quantity');
+    }
+    if (!Number.isInteger(modifier) || modifier < 0) {
+      throw orderError('invalid_request', 'An item modifier must be a whole number');
+    }
+    const key = `${item.productId}|${modifier}`;
+    const line = lines.get(key);
+    if (line) {
+      line.quantity += quantity;
+    } else {
+      lines.set(key, { productId: item.productId, modifier, quantity, lineId: item.lineId });
+    }
+  });
+
+  const usedLineIds = new Set();
+  return [...lines.values()].map((line, idx) => {
+    const usable = typeof line.lineId === 'string' && line.lineId.length > 0 &&
+      line.lineId.length <= MAX_LINE_ID_LENGTH && !usedLineIds.has(line.lineId);
+    let lineId = usable ? line.lineId : `line-${idx + 1}`;
+    while (usedLineIds.has(lineId)) lineId = `${lineId}-${idx + 1}`;
+    usedLineIds.add(lineId);
+    return { ...line, lineId };
+  });
+};
+
+// Returns the priced items (the orders.items shape), the totals in cents and the
+// orders row amounts. Throws orderError for unknown stores or unavailable products,
+// and Supabase errors as they come.
+export const quoteOrder = async (supabase, { storeId, items, userId = null, at = new Date() }) => {
+  const orderItems = normalizeOrderItems(items);
+  const productIds = [...new Set(orderItems.map(item => item.productId))];
+
+  const { data: store, error: storeError } = await supabase
+    .from('stores')
+    .select('*')
+    .eq('id', storeId)
+    .single();
+
+  if (storeError || !store) {
+    throw orderError('unknown_store', 'Store not found');
+  }
+
+  const { data: storeProducts, error: storeProductError } = await supabase
+    .from('store_products')
+    .select('product_id, price, available')
+    .eq('store_id', storeId)
+    .eq('available', true)
+    .in('product_id', productIds);
+
+  if (storeProductError) throw storeProductError;
+
+  const { data: products, error: productError } = await supabase
+    .from('products')
+    .select('*')
+    .in('id', productIds);
+
+  if (productError) throw productError;
+
+  const unavailable = productIds.filter(id =>
+    !(storeProducts || []).some(sp => sp.product_id === id) || !(products || []).some(p => p.id === id)
+  );
+  if (unavailable.length) {
+    throw orderError('unavailable_product', 'Some items are no longer available at this store', { productIds: unavailable });
+  }
+
+  // Same item shape addToCart builds: the product with the store's price
+  const cartItems = orderItems.map(({ productId, modifier, quantity, lineId }) => ({
+    ...products.find(p => p.id === productId),
+    lineId,
+    modifier,
+    price: storeProducts.find(sp => sp.product_id === productId).price,
+    quantity,
+    discountAmount: 0,
+    appliedDeal: null
+  }));
+
+  const timeZone = getStoreTimeZone(store);
+  const snapshot = await loadDealSnapshot(supabase, storeId, { at, timeZone, userId });
+  const breakdown = priceCart(cartItems, snapshot, { at, taxRate: store.tax_rate || 0 });
+
+  const totals = {
+    subtotalCents: breakdown.subtotalCents,
+    discountCents: breakdown.discountCents,
+    taxCents: breakdown.taxCents,
+    totalCents: breakdown.totalCents
+  };
+
+  return {
+    store,
+    timeZone,
+    items: breakdown.items,
+    totals,
+    amounts: toOrderAmounts(totals),
+    warnings: breakdown.warnings
+  };
+};
@@ -0,0 +1,95 @@
+// Checkout: re-prices the order from the database, saves it as pending, charges that
+// amount and places it. The pricing and order logic is shared with the app: it lives in
+// src/checkout/placeOrder.js and src/pricing, and `npm run sync-edge-shared` copies it
+// into ../_shared so it deploys with the function.
+//
+// POST body: { storeId, items: [{ productId, modifier, quantity, lineId }], paymentMethodId,
+//              expectedTotalCents, pickupTime, specialInstructions, idempotencyKey }
+// Authorization: Bearer <the customer's access token>
+//
+// Secrets: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, STRIPE_SECRET_KEY, and for the
+// receipt email RESEND_API_KEY and RECEIPT_FROM_EMAIL (no receipt without them). The
+// card is charged here rather than through the payment function so the charge always
+// carries the order's Stripe Idempotency-Key (see src/checkout/stripePayments.js).
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { handleCheckoutRequest } from '../_shared/checkout/placeOrder.js';
+import { createStripePayments } from '../_shared/checkout/stripePayments.js';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+const json = (status: number, body: unknown) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+
+const dollars = (amount: number) => `$${Number(amount).toFixed(2)}`;
+
+// Plain-text receipt, from placeOrder's receipt details
+const receiptText = (order, receipt) => [
+  `Thanks for your order from ${receipt.storeName}!`,
+  receipt.storeAddress,
+  '',
+  ...receipt.items.map(item => [
+    `${item.quantity} × ${item.name}  ${dollars(item.total)}`,
+    item.deal ? `   ${item.deal} (-${dollars(item.discount)})` : null
+  ].filter(Boolean).join('\n')),
+  '',
+  `Subtotal  ${dollars(receipt.subtotal)}`,
+  Number(receipt.discounts) > 0 ? `Discounts  -${dollars(receipt.discounts)}` : null,
+  `Tax  ${dollars(receipt.tax)}`,
+  `Total  ${dollars(receipt.total)}`,
+  '',
+  `Pickup: ${receipt.pickupTime || 'ASAP'}`,
+  receipt.specialInstructions ? `Instructions: ${receipt.specialInstructions}` : null,
+  `Order #${String(order.id).slice(0, 8)}`
+].filter(line => line !== null).join('\n');
+
+const sendReceipt = async ({ user, order, receipt }) => {
+  const apiKey = Deno.env.get('RESEND_API_KEY');
+  const from = Deno.env.get('RECEIPT_FROM_EMAIL');
+  if (!apiKey || !from || !user.email) return;
+
+  const response = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+    body: JSON.stringify({
+      from,
+      to: user.email,
+      subject: `Your ${receipt.storeName} order receipt`,
+      text: receiptText(order, receipt)
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Receipt email failed (${response.status}): ${await response.text()}`);
+  }
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const supabase = createClient(
+    Deno.env.get('SUPABASE_URL')!,
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+  );
+
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '');
+  const { data: { user } } = await supabase.auth.getUser(token);
+
+  const { chargePayment, refundPayment } = createStripePayments({ secretKey: Deno.env.get('STRIPE_SECRET_KEY')! });
+
+  const body = await req.json().catch(() => null);
+  const { status, body: responseBody } = await handleCheckoutRequest(
+    { supabase, chargePayment, refundPayment, sendReceipt },
+    user,
+    body
+  );
+  return json(status, responseBody);
+});
@@ -0,0 +1,41 @@
+// Reconcile orders: settles orders checkout left pending_payment, refunding any that
+// were paid but never placed (see reconcilePendingOrders in src/checkout/placeOrder.js,
+// copied into ../_shared by `npm run sync-edge-shared`).
+//
+// Run every 10 minutes by the reconcile-orders cron job
+// (supabase/migrations/20261019200000_reconcile_orders_schedule.sql), with the service
+// role key:
+//   POST /functions/v1/reconcile-orders
+//   Authorization: Bearer <SUPABASE_SERVICE_ROLE_KEY>
+// Responds with the order IDs by outcome: { refunded, failed, skipped }.
+//
+// Secrets: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, STRIPE_SECRET_KEY
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { reconcilePendingOrders } from '../_shared/checkout/placeOrder.js';
+import { createStripePayments } from '../_shared/checkout/stripePayments.js';
+
+const json = (status: number, body: unknown) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+Deno.serve(async (req) => {
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+  if (req.headers.get('Authorization') !== `Bearer ${serviceRoleKey}`) {
+    return json(401, { success: false, error: 'Unauthorized' });
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, serviceRoleKey);
+  const { findOrderPayment, refundPayment } = createStripePayments({ secretKey: Deno.env.get('STRIPE_SECRET_KEY')! });
+
+  try {
+    const result = await reconcilePendingOrders({ supabase, findOrderPayment, refundPayment });
+    console.log(`Reconciled orders: ${result.refunded.length} refunded, ${result.failed.length} failed, ${result.skipped.length} skipped`);
+    return json(200, { success: true, ...result });
+  } catch (err) {
+    console.error('Reconcile error:', err);
+    return json(500, { success: false, error: err.message });
+  }
+});
@@ -0,0 +1,12 @@
+-- How a combo combines with other combos in the same cart.
+--   combinable: can apply alongside other combos (each cart unit still counts toward one combo only)
+--   exclusive:  only applies when no other combo is applied to the cart
+alter table combo_master
+  add column if not exists stacking_policy text not null default 'combinable';
+
+alter table combo_master
+  drop constraint if exists combo_master_stacking_policy_check;
+
+alter table combo_master
+  add constraint combo_master_stacking_policy_check
+  check (stacking_policy in ('combinable', 'exclusive'));
@@ -0,0 +1,40 @@
+-- Per-customer redemption limits on combos.
+--   redemption_limit:  how many times one customer can get the combo per period (null = no limit)
+--   redemption_period: day       - the store's calendar day
+--                      week      - Monday through Sunday, store local time
+--                      promotion - the whole start_date..end_date run of the combo
+alter table combo_master
+  add column if not exists redemption_limit integer,
+  add column if not exists redemption_period text not null default 'day';
+
+alter table combo_master
+  drop constraint if exists combo_master_redemption_limit_check;
+
+alter table combo_master
+  add constraint combo_master_redemption_limit_check
+  check (redemption_limit is null or redemption_limit > 0);
+
+alter table combo_master
+  drop constraint if exists combo_master_redemption_period_check;
+
+alter table combo_master
+  add constraint combo_master_redemption_period_check
+  check (redemption_period in ('day', 'week', 'promotion'));
+
+-- One row per order and combo: how many times the combo was applied to that order.
+-- Refunds lower times_applied (to 0 for a full refund) so the redemption is given back.
+create table if not exists deal_redemptions (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references orders(id) on delete cascade,
+  user_id uuid not null references auth.users(id),
+  store_number integer not null,
+  combo_number integer not null,
+  times_applied integer not null check (times_applied >= 0),
+  redeemed_on date not null, -- store local date the order was placed
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (order_id, combo_number)
+);
+
+create index if not exists deal_redemptions_user_combo_idx
+  on deal_redemptions (user_id, store_number, combo_number, redeemed_on);
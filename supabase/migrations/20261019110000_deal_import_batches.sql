@@ -0,0 +1,156 @@
+-- Versioned deal imports. import-deals.js stages the validated rows of all four deal
+-- tables as one batch, then activate_deal_import_batch() applies the batch in a single
+-- transaction, so either every table changes or none do. Each batch keeps the rows it
+-- replaced, and rollback_deal_import() puts them back.
+--
+-- status: staged      - uploaded, not applied yet
+--         active      - applied; the live deal set for its stores
+--         superseded  - replaced by a later batch for (some of) the same stores
+--         rolled_back - undone by rollback_deal_import()
+--         failed      - activation failed; nothing was changed
+create table if not exists deal_import_batches (
+  id bigint generated always as identity primary key,
+  status text not null default 'staged'
+    check (status in ('staged', 'active', 'superseded', 'rolled_back', 'failed')),
+  store_numbers integer[] not null,
+  records jsonb not null,          -- { combo_master: [...], combo_detail: [...], mix_master: [...], mix_detail: [...] }
+  previous_records jsonb,          -- the live rows of store_numbers just before activation
+  superseded_by bigint references deal_import_batches(id),
+  error text,
+  created_at timestamptz not null default now(),
+  activated_at timestamptz,
+  rolled_back_at timestamptz
+);
+
+create index if not exists deal_import_batches_status_idx
+  on deal_import_batches (status, activated_at desc);
+
+-- Applies a staged batch the same way the importer always has: combos and mixes are
+-- upserted (columns set in the app, like stacking_policy, are kept) and the lines of
+-- every combo / the PLUs of every mix in the batch are replaced.
+create or replace function activate_deal_import_batch(p_batch_id bigint)
+returns deal_import_batches
+language plpgsql
+as $$
+declare
+  v_batch deal_import_batches;
+begin
+  -- One import or rollback at a time
+  perform pg_advisory_xact_lock(hashtext('deal_import_batches'));
+
+  select * into v_batch from deal_import_batches where id = p_batch_id for update;
+  if not found then
+    raise exception 'Deal import batch % does not exist', p_batch_id;
+  end if;
+  if v_batch.status <> 'staged' then
+    raise exception 'Deal import batch % is %, not staged', p_batch_id, v_batch.status;
+  end if;
+
+  update deal_import_batches set previous_records = jsonb_build_object(
+    'combo_master', coalesce((select jsonb_agg(to_jsonb(t)) from combo_master t where t.store_number = any(v_batch.store_numbers)), '[]'::jsonb),
+    'combo_detail', coalesce((select jsonb_agg(to_jsonb(t)) from combo_detail t where t.store_number = any(v_batch.store_numbers)), '[]'::jsonb),
+    'mix_master', coalesce((select jsonb_agg(to_jsonb(t)) from mix_master t where t.store_number = any(v_batch.store_numbers)), '[]'::jsonb),
+    'mix_detail', coalesce((select jsonb_agg(to_jsonb(t)) from mix_detail t where t.store_number = any(v_batch.store_numbers)), '[]'::jsonb)
+  )
+  where id = p_batch_id;
+
+  insert into combo_master (store_number, combo_number, description, start_date, start_time, end_date, end_time, combo_price, updated_at)
+  select store_number, combo_number, description, start_date, start_time, end_date, end_time, combo_price, now()
+  from jsonb_populate_recordset(null::combo_master, v_batch.records->'combo_master')
+  on conflict (store_number, combo_number) do update set
+    description = excluded.description,
+    start_date = excluded.start_date,
+    start_time = excluded.start_time,
+    end_date = excluded.end_date,
+    end_time = excluded.end_time,
+    combo_price = excluded.combo_price,
+    updated_at = excluded.updated_at;
+
+  delete from combo_detail cd
+  using (
+    select distinct store_number, combo_number
+    from jsonb_populate_recordset(null::combo_detail, v_batch.records->'combo_detail')
+  ) b
+  where cd.store_number = b.store_number and cd.combo_number = b.combo_number;
+
+  insert into combo_detail (store_number, combo_number, sequence, type, plu_number, modifier, price, mix_number,
+                            quantity, percentage, discount_amount, transaction_limit, updated_at)
+  select store_number, combo_number, sequence, type, plu_number, modifier, price, mix_number,
+         quantity, percentage, discount_amount, transaction_limit, now()
+  from jsonb_populate_recordset(null::combo_detail, v_batch.records->'combo_detail');
+
+  insert into mix_master (store_number, mix_number, description, updated_at)
+  select store_number, mix_number, description, now()
+  from jsonb_populate_recordset(null::mix_master, v_batch.records->'mix_master')
+  on conflict (store_number, mix_number) do update set
+    description = excluded.description,
+    updated_at = excluded.updated_at;
+
+  delete from mix_detail md
+  using (
+    select distinct store_number, mix_number
+    from jsonb_populate_recordset(null::mix_detail, v_batch.records->'mix_detail')
+  ) b
+  where md.store_number = b.store_number and md.mix_number = b.mix_number;
+
+  insert into mix_detail (store_number, mix_number, plu, updated_at)
+  select store_number, mix_number, plu, now()
+  from jsonb_populate_recordset(null::mix_detail, v_batch.records->'mix_detail');
+
+  update deal_import_batches
+  set status = 'superseded', superseded_by = p_batch_id
+  where status = 'active' and store_numbers && v_batch.store_numbers;
+
+  update deal_import_batches
+  set status = 'active', activated_at = now()
+  where id = p_batch_id
+  returning * into v_batch;
+
+  return v_batch;
+end;
+$$;
+
+-- Undoes an active batch (the most recently activated one by default): its stores get
+-- back exactly the rows they had before it, and the batches it superseded are active again.
+create or replace function rollback_deal_import(p_batch_id bigint default null)
+returns deal_import_batches
+language plpgsql
+as $$
+declare
+  v_batch deal_import_batches;
+begin
+  perform pg_advisory_xact_lock(hashtext('deal_import_batches'));
+
+  select * into v_batch
+  from deal_import_batches
+  where status = 'active' and (p_batch_id is null or id = p_batch_id)
+  order by activated_at desc
+  limit 1
+  for update;
+
+  if not found then
+    raise exception 'No active deal import batch%', coalesce(' ' || p_batch_id, '') || ' to roll back';
+  end if;
+
+  delete from combo_detail where store_number = any(v_batch.store_numbers);
+  delete from mix_detail where store_number = any(v_batch.store_numbers);
+  delete from combo_master where store_number = any(v_batch.store_numbers);
+  delete from mix_master where store_number = any(v_batch.store_numbers);
+
+  insert into combo_master select * from jsonb_populate_recordset(null::combo_master, v_batch.previous_records->'combo_master');
+  insert into mix_master select * from jsonb_populate_recordset(null::mix_master, v_batch.previous_records->'mix_master');
+  insert into combo_detail select * from jsonb_populate_recordset(null::combo_detail, v_batch.previous_records->'combo_detail');
+  insert into mix_detail select * from jsonb_populate_recordset(null::mix_detail, v_batch.previous_records->'mix_detail');
+
+  update deal_import_batches
+  set status = 'active', superseded_by = null
+  where superseded_by = v_batch.id;
+
+  update deal_import_batches
+  set status = 'rolled_back', rolled_back_at = now()
+  where id = v_batch.id
+  returning * into v_batch;
+
+  return v_batch;
+end;
+$$;
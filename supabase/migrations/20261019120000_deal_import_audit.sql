@@ -0,0 +1,226 @@
+-- Audit trail for deal imports. Every run of import-deals.js that tries to import is
+-- recorded in deal_import_batches (runs that fail before anything is staged too, with
+-- no records), and every deal row points at the batch that last changed it:
+--
+--   select c.store_number, c.combo_number, c.description, b.id, b.run_by, b.activated_at, b.source_files
+--   from combo_master c
+--   join deal_import_batches b on b.id = c.import_batch_id
+--   where c.store_number = 301 and c.combo_number = 405;
+--
+-- Rows from before batches were recorded have no import_batch_id.
+alter table deal_import_batches
+  alter column records drop not null,
+  add column if not exists run_by text,                    -- who ran the import (user@host, or DEAL_IMPORT_RUN_BY)
+  add column if not exists source_files jsonb,             -- { "ComboMaster.csv": { sha256, rows, rejected }, ... }
+  add column if not exists row_counts jsonb,               -- { combo_master: 14, ... } rows in the batch
+  add column if not exists row_changes jsonb,              -- { combo_master: { added, changed, removed }, ... }
+  add column if not exists rejected_rows integer not null default 0,
+  add column if not exists integrity_problems integer not null default 0,
+  add column if not exists rolled_back_by text;
+
+alter table combo_master add column if not exists import_batch_id bigint references deal_import_batches(id);
+alter table combo_detail add column if not exists import_batch_id bigint references deal_import_batches(id);
+alter table mix_master add column if not exists import_batch_id bigint references deal_import_batches(id);
+alter table mix_detail add column if not exists import_batch_id bigint references deal_import_batches(id);
+
+-- The four deal tables' rows for some stores, as stored in previous_records
+create or replace function deal_rows_for_stores(p_store_numbers integer[])
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'combo_master', coalesce((select jsonb_agg(to_jsonb(t)) from combo_master t where t.store_number = any(p_store_numbers)), '[]'::jsonb),
+    'combo_detail', coalesce((select jsonb_agg(to_jsonb(t)) from combo_detail t where t.store_number = any(p_store_numbers)), '[]'::jsonb),
+    'mix_master', coalesce((select jsonb_agg(to_jsonb(t)) from mix_master t where t.store_number = any(p_store_numbers)), '[]'::jsonb),
+    'mix_detail', coalesce((select jsonb_agg(to_jsonb(t)) from mix_detail t where t.store_number = any(p_store_numbers)), '[]'::jsonb)
+  );
+$$;
+
+-- Added / changed / removed counts between two row sets of one table. Rows are matched
+-- on p_key and compared on p_columns (the columns the import sets).
+create or replace function deal_import_row_changes(p_before jsonb, p_after jsonb, p_key text[], p_columns text[])
+returns jsonb
+language sql
+immutable
+as $$
+  with before as (
+    select (select jsonb_object_agg(k, r->k) from unnest(p_key) k) as key,
+           (select jsonb_object_agg(c, r->c) from unnest(p_columns) c) as vals
+    from jsonb_array_elements(coalesce(p_before, '[]'::jsonb)) r
+  ), after as (
+    select (select jsonb_object_agg(k, r->k) from unnest(p_key) k) as key,
+           (select jsonb_object_agg(c, r->c) from unnest(p_columns) c) as vals
+    from jsonb_array_elements(coalesce(p_after, '[]'::jsonb)) r
+  )
+  select jsonb_build_object(
+    'added', (select count(*) from after a where not exists (select 1 from before b where b.key = a.key)),
+    'changed', (select count(*) from before b join after a on a.key = b.key where a.vals is distinct from b.vals),
+    'removed', (select count(*) from before b where not exists (select 1 from after a where a.key = b.key))
+  );
+$$;
+
+-- Same as before, plus: rows the batch actually changes (and only those) get the batch's
+-- import_batch_id and a new updated_at, and the batch records what it changed.
+create or replace function activate_deal_import_batch(p_batch_id bigint)
+returns deal_import_batches
+language plpgsql
+as $$
+declare
+  v_batch deal_import_batches;
+  v_after jsonb;
+begin
+  -- One import or rollback at a time
+  perform pg_advisory_xact_lock(hashtext('deal_import_batches'));
+
+  select * into v_batch from deal_import_batches where id = p_batch_id for update;
+  if not found then
+    raise exception 'Deal import batch % does not exist', p_batch_id;
+  end if;
+  if v_batch.status <> 'staged' then
+    raise exception 'Deal import batch % is %, not staged', p_batch_id, v_batch.status;
+  end if;
+
+  v_batch.previous_records := deal_rows_for_stores(v_batch.store_numbers);
+
+  insert into combo_master (store_number, combo_number, description, start_date, start_time, end_date, end_time, combo_price, updated_at, import_batch_id)
+  select store_number, combo_number, description, start_date, start_time, end_date, end_time, combo_price, now(), p_batch_id
+  from jsonb_populate_recordset(null::combo_master, v_batch.records->'combo_master')
+  on conflict (store_number, combo_number) do update set
+    description = excluded.description,
+    start_date = excluded.start_date,
+    start_time = excluded.start_time,
+    end_date = excluded.end_date,
+    end_time = excluded.end_time,
+    combo_price = excluded.combo_price,
+    updated_at = excluded.updated_at,
+    import_batch_id = excluded.import_batch_id
+  where (combo_master.description, combo_master.start_date, combo_master.start_time,
+         combo_master.end_date, combo_master.end_time, combo_master.combo_price)
+    is distinct from
+        (excluded.description, excluded.start_date, excluded.start_time,
+         excluded.end_date, excluded.end_time, excluded.combo_price);
+
+  -- Lines are replaced wholesale; a line that comes back unchanged keeps its history
+  with incoming as (
+    select * from jsonb_populate_recordset(null::combo_detail, v_batch.records->'combo_detail')
+  ), replaced as (
+    delete from combo_detail cd
+    using (select distinct store_number, combo_number from incoming) b
+    where cd.store_number = b.store_number and cd.combo_number = b.combo_number
+    returning cd.*
+  )
+  insert into combo_detail (store_number, combo_number, sequence, type, plu_number, modifier, price, mix_number,
+                            quantity, percentage, discount_amount, transaction_limit, updated_at, import_batch_id)
+  select i.store_number, i.combo_number, i.sequence, i.type, i.plu_number, i.modifier, i.price, i.mix_number,
+         i.quantity, i.percentage, i.discount_amount, i.transaction_limit,
+         case when r.sequence is null then now() else r.updated_at end,
+         case when r.sequence is null then p_batch_id else r.import_batch_id end
+  from incoming i
+  left join replaced r
+    on r.store_number = i.store_number and r.combo_number = i.combo_number and r.sequence = i.sequence
+   and (r.type, r.plu_number, r.modifier, r.price, r.mix_number, r.quantity, r.percentage, r.discount_amount, r.transaction_limit)
+       is not distinct from
+       (i.type, i.plu_number, i.modifier, i.price, i.mix_number, i.quantity, i.percentage, i.discount_amount, i.transaction_limit);
+
+  insert into mix_master (store_number, mix_number, description, updated_at, import_batch_id)
+  select store_number, mix_number, description, now(), p_batch_id
+  from jsonb_populate_recordset(null::mix_master, v_batch.records->'mix_master')
+  on conflict (store_number, mix_number) do update set
+    description = excluded.description,
+    updated_at = excluded.updated_at,
+    import_batch_id = excluded.import_batch_id
+  where mix_master.description is distinct from excluded.description;
+
+  with incoming as (
+    select * from jsonb_populate_recordset(null::mix_detail, v_batch.records->'mix_detail')
+  ), replaced as (
+    delete from mix_detail md
+    using (select distinct store_number, mix_number from incoming) b
+    where md.store_number = b.store_number and md.mix_number = b.mix_number
+    returning md.*
+  )
+  insert into mix_detail (store_number, mix_number, plu, updated_at, import_batch_id)
+  select i.store_number, i.mix_number, i.plu,
+         case when r.plu is null then now() else r.updated_at end,
+         case when r.plu is null then p_batch_id else r.import_batch_id end
+  from incoming i
+  left join replaced r
+    on r.store_number = i.store_number and r.mix_number = i.mix_number and r.plu = i.plu;
+
+  v_after := deal_rows_for_stores(v_batch.store_numbers);
+
+  update deal_import_batches
+  set status = 'superseded', superseded_by = p_batch_id
+  where status = 'active' and store_numbers && v_batch.store_numbers;
+
+  update deal_import_batches
+  set status = 'active',
+      activated_at = now(),
+      previous_records = v_batch.previous_records,
+      row_changes = jsonb_build_object(
+        'combo_master', deal_import_row_changes(v_batch.previous_records->'combo_master', v_after->'combo_master',
+          array['store_number', 'combo_number'],
+          array['description', 'start_date', 'start_time', 'end_date', 'end_time', 'combo_price']),
+        'combo_detail', deal_import_row_changes(v_batch.previous_records->'combo_detail', v_after->'combo_detail',
+          array['store_number', 'combo_number', 'sequence'],
+          array['type', 'plu_number', 'modifier', 'price', 'mix_number', 'quantity', 'percentage', 'discount_amount', 'transaction_limit']),
+        'mix_master', deal_import_row_changes(v_batch.previous_records->'mix_master', v_after->'mix_master',
+          array['store_number', 'mix_number'],
+          array['description']),
+        'mix_detail', deal_import_row_changes(v_batch.previous_records->'mix_detail', v_after->'mix_detail',
+          array['store_number', 'mix_number', 'plu'],
+          array[]::text[])
+      )
+  where id = p_batch_id
+  returning * into v_batch;
+
+  return v_batch;
+end;
+$$;
+
+-- Same as before, plus who rolled it back
+drop function if exists rollback_deal_import(bigint);
+
+create or replace function rollback_deal_import(p_batch_id bigint default null, p_rolled_back_by text default null)
+returns deal_import_batches
+language plpgsql
+as $$
+declare
+  v_batch deal_import_batches;
+begin
+  perform pg_advisory_xact_lock(hashtext('deal_import_batches'));
+
+  select * into v_batch
+  from deal_import_batches
+  where status = 'active' and (p_batch_id is null or id = p_batch_id)
+  order by activated_at desc
+  limit 1
+  for update;
+
+  if not found then
+    raise exception 'No active deal import batch%', coalesce(' ' || p_batch_id, '') || ' to roll back';
+  end if;
+
+  delete from combo_detail where store_number = any(v_batch.store_numbers);
+  delete from mix_detail where store_number = any(v_batch.store_numbers);
+  delete from combo_master where store_number = any(v_batch.store_numbers);
+  delete from mix_master where store_number = any(v_batch.store_numbers);
+
+  insert into combo_master select * from jsonb_populate_recordset(null::combo_master, v_batch.previous_records->'combo_master');
+  insert into mix_master select * from jsonb_populate_recordset(null::mix_master, v_batch.previous_records->'mix_master');
+  insert into combo_detail select * from jsonb_populate_recordset(null::combo_detail, v_batch.previous_records->'combo_detail');
+  insert into mix_detail select * from jsonb_populate_recordset(null::mix_detail, v_batch.previous_records->'mix_detail');
+
+  update deal_import_batches
+  set status = 'active', superseded_by = null
+  where superseded_by = v_batch.id;
+
+  update deal_import_batches
+  set status = 'rolled_back', rolled_back_at = now(), rolled_back_by = p_rolled_back_by
+  where id = v_batch.id
+  returning * into v_batch;
+
+  return v_batch;
+end;
+$$;
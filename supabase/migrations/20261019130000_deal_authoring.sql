@@ -0,0 +1,111 @@
+-- Deals authored in the app (the admin Deals tab). A save goes through the same batch
+-- machinery as import-deals.js, so it shows up in deal_import_batches with who saved
+-- it and what it changed, the rows it changed point at it, and rollback_deal_import()
+-- can undo it. POS deals edited here are overwritten by the next import that carries
+-- the same combo, unless the edit is exported to the POS first (export-deals.js).
+alter table combo_master add column if not exists age_restricted boolean not null default false;
+
+alter table deal_import_batches
+  add column if not exists source text not null default 'import'
+    check (source in ('import', 'app'));
+
+-- row_changes for a batch, given the rows of its stores before and after it was applied
+create or replace function deal_batch_row_changes(p_before jsonb, p_after jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select jsonb_build_object(
+    'combo_master', deal_import_row_changes(p_before->'combo_master', p_after->'combo_master',
+      array['store_number', 'combo_number'],
+      array['description', 'start_date', 'start_time', 'end_date', 'end_time', 'combo_price', 'age_restricted']),
+    'combo_detail', deal_import_row_changes(p_before->'combo_detail', p_after->'combo_detail',
+      array['store_number', 'combo_number', 'sequence'],
+      array['type', 'plu_number', 'modifier', 'price', 'mix_number', 'quantity', 'percentage', 'discount_amount', 'transaction_limit']),
+    'mix_master', deal_import_row_changes(p_before->'mix_master', p_after->'mix_master',
+      array['store_number', 'mix_number'],
+      array['description']),
+    'mix_detail', deal_import_row_changes(p_before->'mix_detail', p_after->'mix_detail',
+      array['store_number', 'mix_number', 'plu'],
+      array[]::text[])
+  );
+$$;
+
+-- Saves one combo for exactly p_store_numbers: p_records holds its combo_master and
+-- combo_detail rows for those stores plus any mixes it (re)defines, in the batch
+-- records shape. Stores that ran the combo but aren't in p_store_numbers stop running
+-- it. Admins only.
+create or replace function save_deal(p_combo_number integer, p_store_numbers integer[], p_records jsonb)
+returns deal_import_batches
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_batch deal_import_batches;
+  v_stores integer[];
+  v_after jsonb;
+begin
+  if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+    raise exception 'Only admins can save deals' using errcode = '42501';
+  end if;
+
+  if coalesce(cardinality(p_store_numbers), 0) = 0 then
+    raise exception 'A deal needs at least one store';
+  end if;
+  if exists (
+    select 1
+    from jsonb_array_elements(coalesce(p_records->'combo_master', '[]'::jsonb) || coalesce(p_records->'combo_detail', '[]'::jsonb)) r
+    where (r->>'combo_number')::integer <> p_combo_number
+       or not (r->>'store_number')::integer = any(p_store_numbers)
+  ) then
+    raise exception 'Rows for combo % may only be for that combo and stores %', p_combo_number, p_store_numbers;
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('deal_import_batches'));
+
+  -- The batch covers every store that runs the combo before or after the save, so a
+  -- rollback restores the stores it was removed from too
+  select array_agg(distinct store_number order by store_number) into v_stores
+  from (
+    select unnest(p_store_numbers) as store_number
+    union
+    select store_number from combo_master where combo_number = p_combo_number
+  ) s;
+
+  insert into deal_import_batches (source, store_numbers, records, run_by, row_counts)
+  values (
+    'app',
+    v_stores,
+    p_records,
+    coalesce(auth.jwt()->>'email', auth.uid()::text),
+    (select jsonb_object_agg(t, jsonb_array_length(coalesce(p_records->t, '[]'::jsonb)))
+     from unnest(array['combo_master', 'combo_detail', 'mix_master', 'mix_detail']) t)
+  )
+  returning * into v_batch;
+
+  v_batch := activate_deal_import_batch(v_batch.id);
+
+  -- What the import doesn't carry: the age restriction, and stores dropping the combo
+  update combo_master c
+  set age_restricted = coalesce(r.age_restricted, false), updated_at = now(), import_batch_id = v_batch.id
+  from jsonb_populate_recordset(null::combo_master, p_records->'combo_master') r
+  where c.store_number = r.store_number and c.combo_number = r.combo_number
+    and c.age_restricted is distinct from coalesce(r.age_restricted, false);
+
+  delete from combo_detail where combo_number = p_combo_number and not store_number = any(p_store_numbers);
+  delete from combo_master where combo_number = p_combo_number and not store_number = any(p_store_numbers);
+
+  v_after := deal_rows_for_stores(v_stores);
+
+  update deal_import_batches
+  set row_changes = deal_batch_row_changes(previous_records, v_after)
+  where id = v_batch.id
+  returning * into v_batch;
+
+  return v_batch;
+end;
+$$;
+
+revoke execute on function save_deal(integer, integer[], jsonb) from public;
+grant execute on function save_deal(integer, integer[], jsonb) to authenticated;
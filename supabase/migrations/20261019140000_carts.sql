@@ -0,0 +1,18 @@
+-- The customer's cart, so it survives reloads and follows them to other devices.
+-- One row per user; the app keeps a copy in localStorage too and merges the two on
+-- sign-in (src/cart/cartStorage.js). items holds what the customer chose (product,
+-- quantity, modifier); prices and deals are recalculated whenever the cart is loaded.
+create table if not exists carts (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  store_id integer references stores(id) on delete set null,
+  items jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+alter table carts enable row level security;
+
+drop policy if exists "Customers manage their own cart" on carts;
+create policy "Customers manage their own cart" on carts
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
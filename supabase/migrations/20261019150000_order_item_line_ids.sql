@@ -0,0 +1,33 @@
+-- Gives every item on existing orders a lineId, so refunds pick exact lines instead of
+-- matching by product name (src/cart/cartLines.js). Items are numbered line-1, line-2,
+-- ... in order, the same IDs parseOrderItems falls back to, and items that only have
+-- product_id get an id too. Orders whose items were saved as a JSON string are
+-- rewritten as an array. New orders get their line IDs from the cart at checkout.
+with parsed as (
+  select id,
+    case when jsonb_typeof(items) = 'string' then (items #>> '{}')::jsonb else items end as items
+  from orders
+  where items is not null
+),
+numbered as (
+  select parsed.id,
+    jsonb_agg(
+      item
+        || jsonb_build_object('lineId', coalesce(nullif(item->>'lineId', ''), 'line-' || position))
+        || case
+             when (item->'id' is null or item->'id' = 'null'::jsonb) and item ? 'product_id'
+               then jsonb_build_object('id', item->'product_id')
+             else '{}'::jsonb
+           end
+      order by position
+    ) as items
+  from parsed
+    cross join lateral jsonb_array_elements(parsed.items) with ordinality as elements(item, position)
+  where jsonb_typeof(parsed.items) = 'array'
+  group by parsed.id
+)
+update orders
+set items = numbered.items
+from numbered
+where orders.id = numbered.id
+  and orders.items is distinct from numbered.items;
@@ -0,0 +1,13 @@
+-- Checkout saves the order before charging the card (src/checkout/placeOrder.js):
+--   pending_payment  - saved, card not yet charged (or the charge not yet confirmed)
+--   payment_failed   - the card was declined
+--   payment_refunded - the charge went through but the order couldn't be placed, so it was refunded
+-- idempotency_key is the client's key for one checkout attempt; a retry or double tap
+-- sends the same key and finds this order instead of charging again.
+alter table orders
+  add column if not exists idempotency_key text;
+
+create unique index if not exists orders_user_idempotency_key
+  on orders (user_id, idempotency_key)
+  where idempotency_key is not null;
+
@@ -0,0 +1,63 @@
+-- deal_redemptions decides who still gets a limited deal, so customers may only read
+-- it. Rows are written by the checkout function (service role) when an order is
+-- placed; refunds give redemptions back through release_deal_redemptions below,
+-- which store staff can call but which can only ever lower a count.
+alter table deal_redemptions enable row level security;
+
+revoke insert, update, delete on deal_redemptions from anon, authenticated;
+
+drop policy if exists "Customers read their own redemptions" on deal_redemptions;
+create policy "Customers read their own redemptions" on deal_redemptions
+  for select
+  using (auth.uid() = user_id);
+
+-- Refunds re-price the rest of the order with the customer's other redemptions counted
+drop policy if exists "Store staff read redemptions" on deal_redemptions;
+create policy "Store staff read redemptions" on deal_redemptions
+  for select
+  using (exists (
+    select 1 from profiles
+    where profiles.id = auth.uid() and profiles.role in ('store_manager', 'admin')
+  ));
+
+-- Limits count a customer's redemptions at every store (combo numbers are chain-wide),
+-- so the lookup no longer starts with store_number
+drop index if exists deal_redemptions_user_combo_idx;
+create index if not exists deal_redemptions_user_combo_idx
+  on deal_redemptions (user_id, combo_number, redeemed_on);
+
+-- After a refund: p_redeemed is { combo_number: times applied } for what's left on
+-- the order (src/pricing/dealEngine.js getRedeemedCombos; {} for a full refund).
+-- Each of the order's rows is lowered to that, never raised. Only an admin or the
+-- manager of the order's store may call it.
+create or replace function release_deal_redemptions(p_order_id uuid, p_redeemed jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1
+    from orders
+    join stores on stores.id = orders.store_id
+    where orders.id = p_order_id
+      and (
+        stores.manager_email = auth.jwt() ->> 'email'
+        or exists (select 1 from profiles where id = auth.uid() and role = 'admin')
+      )
+  ) then
+    raise exception 'Only the store''s manager can release this order''s redemptions'
+      using errcode = '42501';
+  end if;
+
+  update deal_redemptions
+  set times_applied = least(times_applied, coalesce((p_redeemed ->> combo_number::text)::integer, 0)),
+      updated_at = now()
+  where order_id = p_order_id
+    and times_applied > coalesce((p_redeemed ->> combo_number::text)::integer, 0);
+end;
+$$;
+
+revoke execute on function release_deal_redemptions(uuid, jsonb) from public, anon;
+grant execute on function release_deal_redemptions(uuid, jsonb) to authenticated;
@@ -0,0 +1,13 @@
+-- Deal imports are run by import-deals.js with the service role key, and deals saved
+-- in the app go through save_deal(), which checks the caller is an admin. Nothing else
+-- may read or write the batches or call the functions that apply and undo them: with
+-- the API's default grants, anyone with the anon key could activate a staged batch or
+-- roll back the live deal set.
+alter table deal_import_batches enable row level security;
+
+revoke all on deal_import_batches from anon, authenticated;
+
+revoke execute on function activate_deal_import_batch(bigint) from public, anon, authenticated;
+revoke execute on function rollback_deal_import(bigint, text) from public, anon, authenticated;
+grant execute on function activate_deal_import_batch(bigint) to service_role;
+grant execute on function rollback_deal_import(bigint, text) to service_role;
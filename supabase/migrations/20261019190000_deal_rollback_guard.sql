@@ -0,0 +1,78 @@
+-- A rollback puts a batch's stores back to exactly the rows they had before it, so any
+-- later change to those stores would silently go with it: a deal saved in the app
+-- after an import, say, or another import for some of the same stores. Batches only
+-- remember the one batch that superseded them, so after rolling back that one, an
+-- older batch could be active again while later batches still had changes in its
+-- stores. rollback_deal_import() now refuses while any batch applied after the one
+-- being undone, and not rolled back itself, covers one of its stores; those have to be
+-- rolled back first, newest first.
+create or replace function rollback_deal_import(p_batch_id bigint default null, p_rolled_back_by text default null)
+returns deal_import_batches
+language plpgsql
+as $$
+declare
+  v_batch deal_import_batches;
+  v_later deal_import_batches;
+begin
+  perform pg_advisory_xact_lock(hashtext('deal_import_batches'));
+
+  select * into v_batch
+  from deal_import_batches
+  where status = 'active' and (p_batch_id is null or id = p_batch_id)
+  order by activated_at desc
+  limit 1
+  for update;
+
+  if not found then
+    raise exception 'No active deal import batch%', coalesce(' ' || p_batch_id, '') || ' to roll back';
+  end if;
+
+  select * into v_later
+  from deal_import_batches
+  where status in ('active', 'superseded')
+    and activated_at > v_batch.activated_at
+    and store_numbers && v_batch.store_numbers
+  order by activated_at desc
+  limit 1;
+
+  if found then
+    raise exception 'Deal import batch % can''t be rolled back: batch % (% by %, %) changed stores % since. Roll that back first.',
+      v_batch.id, v_later.id, case v_later.source when 'app' then 'saved in the app' else 'imported' end,
+      coalesce(v_later.run_by, 'unknown'), v_later.activated_at,
+      (select array_agg(s order by s) from unnest(v_later.store_numbers) s where s = any(v_batch.store_numbers));
+  end if;
+
+  delete from combo_detail where store_number = any(v_batch.store_numbers);
+  delete from mix_detail where store_number = any(v_batch.store_numbers);
+  delete from combo_master where store_number = any(v_batch.store_numbers);
+  delete from mix_master where store_number = any(v_batch.store_numbers);
+
+  insert into combo_master select * from jsonb_populate_recordset(null::combo_master, v_batch.previous_records->'combo_master');
+  insert into mix_master select * from jsonb_populate_recordset(null::mix_master, v_batch.previous_records->'mix_master');
+  insert into combo_detail select * from jsonb_populate_recordset(null::combo_detail, v_batch.previous_records->'combo_detail');
+  insert into mix_detail select * from jsonb_populate_recordset(null::mix_detail, v_batch.previous_records->'mix_detail');
+
+  update deal_import_batches
+  set status = 'active', superseded_by = null
+  where superseded_by = v_batch.id;
+
+  update deal_import_batches
+  set status = 'rolled_back', rolled_back_at = now(), rolled_back_by = p_rolled_back_by
+  where id = v_batch.id
+  returning * into v_batch;
+
+  return v_batch;
+end;
+$$;
+
+-- save_deal() checks the caller is an admin and runs the batch functions as their
+-- owner; they're closed to everyone else (20261019180000_deal_import_batches_rls.sql).
+-- Supabase also grants new functions to anon directly, which the revoke from public
+-- in 20261019130000_deal_authoring.sql didn't remove.
+revoke execute on function save_deal(integer, integer[], jsonb) from anon;
+revoke execute on function deal_rows_for_stores(integer[]) from public, anon, authenticated;
+revoke execute on function deal_import_row_changes(jsonb, jsonb, text[], text[]) from public, anon, authenticated;
+revoke execute on function deal_batch_row_changes(jsonb, jsonb) from public, anon, authenticated;
+grant execute on function deal_rows_for_stores(integer[]) to service_role;
+grant execute on function deal_import_row_changes(jsonb, jsonb, text[], text[]) to service_role;
+grant execute on function deal_batch_row_changes(jsonb, jsonb) to service_role;
@@ -0,0 +1,30 @@
+-- Orders left pending_payment by checkout (a charge whose outcome was never known, or
+-- a paid order that couldn't be placed or refunded) are settled by the
+-- reconcile-orders edge function. This runs it every 10 minutes. It needs two Vault
+-- secrets, set once per project:
+--   select vault.create_secret('https://<project-ref>.supabase.co', 'project_url');
+--   select vault.create_secret('<service role key>', 'service_role_key');
+create extension if not exists pg_cron;
+create extension if not exists pg_net;
+
+create index if not exists orders_pending_payment_idx
+  on orders (created_at)
+  where status = 'pending_payment';
+
+select cron.unschedule('reconcile-orders')
+where exists (select 1 from cron.job where jobname = 'reconcile-orders');
+
+select cron.schedule(
+  'reconcile-orders',
+  '*/10 * * * *',
+  $$
+  select net.http_post(
+    url := (select decrypted_secret from vault.decrypted_secrets where name = 'project_url') || '/functions/v1/reconcile-orders',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (select decrypted_secret from vault.decrypted_secrets where name = 'service_role_key')
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+// The checkout edge function runs the same pricing and order code as the app, but
+// `supabase functions deploy` only bundles what's under supabase/functions, and the app
+// build only what's under src. The code lives in src; this copies ENTRY_POINTS and every
+// module they import into supabase/functions/_shared, in the same folders so the
+// relative imports still work:
+//   npm run sync-edge-shared            write the copies
+//   npm run sync-edge-shared -- --check exit 1 if any copy is out of date
+// src/checkout/edgeShared.test.js fails while the copies are out of date.
+
+const ROOT = __dirname;
+const SOURCE_DIR = path.join(ROOT, 'src');
+const TARGET_DIR = path.join(ROOT, 'supabase', 'functions', '_shared');
+const ENTRY_POINTS = ['checkout/placeOrder.js', 'checkout/stripePayments.js'];
+
+const header = (file) => `// Copied from src/${file} by sync-edge-shared.js; edit that file and run
+// \`npm run sync-edge-shared\` instead of changing this one.
+
+`;
+
+// src-relative paths of the entry points and every module they import, in import order
+const collectModules = (files = ENTRY_POINTS, seen = new Set()) => {
+  files.forEach(file => {
+    if (seen.has(file)) return;
+    seen.add(file);
+    const source = fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8');
+    const imports = [...source.matchAll(/^import .* from '(\.{1,2}\/[^']+)';$/gm)]
+      .map(([, specifier]) => path.posix.join(path.posix.dirname(file), specifier));
+    collectModules(imports, seen);
+  });
+  return [...seen];
+};
+
+// [{ file, target, contents }] for each module, contents being what its copy should hold
+const sharedFiles = () => collectModules().map(file => ({
+  file,
+  target: path.join(TARGET_DIR, file),
+  contents: header(file) + fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8')
+}));
+
+const isCurrent = ({ target, contents }) =>
+  fs.existsSync(target) && fs.readFileSync(target, 'utf8') === contents;
+
+function main() {
+  const check = process.argv.includes('--check');
+  const stale = sharedFiles().filter(shared => !isCurrent(shared));
+
+  if (check) {
+    stale.forEach(({ file }) => console.error(`✗ supabase/functions/_shared/${file} is out of date`));
+    if (stale.length) console.error('  Run npm run sync-edge-shared');
+    return stale.length ? 1 : 0;
+  }
+
+  stale.forEach(({ file, target, contents }) => {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, contents);
+    console.log(`✓ supabase/functions/_shared/${file}`);
+  });
+  if (!stale.length) console.log('✓ supabase/functions/_shared is up to date');
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = { sharedFiles, isCurrent };